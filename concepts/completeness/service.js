@@ -0,0 +1,156 @@
+const { TranslationService } = require('../translation/service');
+const { LocaleService } = require('../locale/service');
+const { SidebarService } = require('../sidebar/service');
+
+/**
+ * Service computing how completely each locale translates the keys of the base locale
+ */
+class CoverageService {
+    constructor() {
+        this.translationService = new TranslationService();
+        this.localeService = new LocaleService();
+        this.sidebarService = new SidebarService();
+    }
+
+    /**
+     * Compute the coverage of every locale against the base locale
+     * @param {string} workspacePath The project path
+     * @returns {Promise<Object>} The report: {project, baseLocale, totalKeys, generatedAt, locales} where each locale
+     *   has {locale, total, translated, missing, empty, variantIncomplete, percent} and the keys of each problem
+     */
+    async computeCoverage(workspacePath) {
+        const baseLocale = this.localeService.getBaseLocale(workspacePath);
+        const availableLocales = await this.sidebarService.getAvailableLocales(workspacePath);
+        const translationsByLocale = await this.translationService.loadTranslationsForLocales(workspacePath, availableLocales);
+
+        const baseKeys = this.translationService.flattenTranslations(translationsByLocale.get(baseLocale)).map(entry => entry.key);
+
+        const locales = availableLocales
+            .filter(locale => locale !== baseLocale)
+            .map(locale => this.computeLocaleCoverage(locale, translationsByLocale.get(locale), baseKeys));
+
+        return {
+            project: workspacePath,
+            baseLocale,
+            totalKeys: baseKeys.length,
+            generatedAt: new Date().toISOString(),
+            locales
+        };
+    }
+
+    /**
+     * Compute the coverage of one locale
+     * @param {string} locale The locale
+     * @param {Object|null} translations The translations of the locale
+     * @param {Array<string>} baseKeys The keys of the base locale
+     * @returns {Object} The locale coverage with counts, percentage and the keys of each problem
+     */
+    computeLocaleCoverage(locale, translations, baseKeys) {
+        const missingKeys = [];
+        const emptyKeys = [];
+        const variantIncompleteKeys = [];
+
+        for (const key of baseKeys) {
+            const state = this.getKeyState(translations, key);
+            if (state === 'missing') missingKeys.push(key);
+            if (state === 'empty') emptyKeys.push(key);
+            if (state === 'variantIncomplete') variantIncompleteKeys.push(key);
+        }
+
+        const total = baseKeys.length;
+        const translated = total - missingKeys.length - emptyKeys.length - variantIncompleteKeys.length;
+
+        return {
+            locale,
+            total,
+            translated,
+            missing: missingKeys.length,
+            empty: emptyKeys.length,
+            variantIncomplete: variantIncompleteKeys.length,
+            // Rounded down so a locale only shows 100% when nothing is left to translate
+            percent: total === 0 ? 100 : Math.floor((translated / total) * 100),
+            missingKeys,
+            emptyKeys,
+            variantIncompleteKeys
+        };
+    }
+
+    /**
+     * Get the translation state of a key in a locale
+     * @param {Object|null} translations The translations of the locale
+     * @param {string} key The translation key
+     * @returns {string} 'translated', 'missing', 'empty' or 'variantIncomplete' (a variant with an empty branch)
+     */
+    getKeyState(translations, key) {
+        // Checked before getTranslation(), which reports a variant without any text as not found
+        const variant = this.translationService.parseVariantMessage(this.translationService.getRawTranslation(translations, key));
+        if (variant) {
+            const incomplete = variant.branches.length === 0 || variant.branches.some(branch => branch.value.trim() === '');
+            return incomplete ? 'variantIncomplete' : 'translated';
+        }
+
+        const value = this.translationService.getTranslation(translations, key);
+        if (value === null) {
+            return 'missing';
+        }
+
+        return value.trim() === '' ? 'empty' : 'translated';
+    }
+
+    /**
+     * Format the one-line summary shown in the status bar, e.g. "es 87% · fr 64%"
+     * @param {Object} report The report from computeCoverage()
+     * @returns {string} The summary
+     */
+    formatSummary(report) {
+        return report.locales.map(({ locale, percent }) => `${locale} ${percent}%`).join(' · ');
+    }
+
+    /**
+     * Format the report as Markdown: a table of all locales followed by the untranslated keys of each locale
+     * @param {Object} report The report from computeCoverage()
+     * @returns {string} The Markdown document
+     */
+    formatMarkdown(report) {
+        const lines = [
+            '# Translation Coverage',
+            '',
+            `Base locale: \`${report.baseLocale}\` · ${report.totalKeys} ${report.totalKeys === 1 ? 'key' : 'keys'} · ${report.generatedAt}`,
+            '',
+            '| Locale | Coverage | Translated | Missing | Empty | Variant incomplete |',
+            '| --- | ---: | ---: | ---: | ---: | ---: |'
+        ];
+
+        for (const coverage of report.locales) {
+            lines.push(`| \`${coverage.locale}\` | ${coverage.percent}% | ${coverage.translated} | ${coverage.missing} | ${coverage.empty} | ${coverage.variantIncomplete} |`);
+        }
+
+        for (const coverage of report.locales) {
+            if (coverage.translated === coverage.total) continue;
+
+            lines.push('', `## ${coverage.locale}`);
+            const groups = [
+                ['Missing', coverage.missingKeys],
+                ['Empty', coverage.emptyKeys],
+                ['Variant incomplete', coverage.variantIncompleteKeys]
+            ];
+            for (const [title, keys] of groups) {
+                if (keys.length === 0) continue;
+                lines.push('', `### ${title} (${keys.length})`, '', ...keys.map(key => `- \`${key}\``));
+            }
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Format the report as JSON
+     * @param {Object} report The report from computeCoverage()
+     * @returns {string} The JSON document
+     */
+    formatJson(report) {
+        return JSON.stringify(report, null, 2) + '\n';
+    }
+}
+
+module.exports = { CoverageService };
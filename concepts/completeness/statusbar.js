@@ -0,0 +1,84 @@
+const vscode = require('vscode');
+
+/**
+ * Status bar item summarizing the translation coverage of the active project, e.g. "es 87% · fr 64%"
+ */
+class CoverageStatusBar {
+    /**
+     * @param {CoverageService} coverageService The service computing the coverage
+     */
+    constructor(coverageService) {
+        this.coverageService = coverageService;
+        this.item = vscode.window.createStatusBarItem('elementaryWatson.coverage', vscode.StatusBarAlignment.Right, 100);
+        this.item.name = 'Translation Coverage';
+        this.item.command = 'elementaryWatson.showCoverageReport';
+    }
+
+    /**
+     * Check if the coverage status bar item is enabled in the settings
+     * @returns {boolean} True if enabled
+     */
+    isEnabled() {
+        const config = vscode.workspace.getConfiguration('elementaryWatson');
+        return config.get('coverageStatusBar', true);
+    }
+
+    /**
+     * Show the coverage of a project, or hide the item if there is no project or no other locale
+     * @param {string|null} workspacePath The project path
+     * @returns {Promise<void>}
+     */
+    async update(workspacePath) {
+        try {
+            if (!workspacePath || !this.isEnabled()) {
+                this.item.hide();
+                return;
+            }
+
+            const report = await this.coverageService.computeCoverage(workspacePath);
+            if (report.locales.length === 0) {
+                this.item.hide();
+                return;
+            }
+
+            this.item.text = `$(checklist) ${this.coverageService.formatSummary(report)}`;
+            this.item.tooltip = this.createTooltip(report);
+            this.item.show();
+        } catch (error) {
+            console.error('Error updating coverage status bar:', error);
+            this.item.hide();
+        }
+    }
+
+    /**
+     * Build the tooltip listing the counts of every locale
+     * @param {Object} report The coverage report
+     * @returns {vscode.MarkdownString} The tooltip
+     */
+    createTooltip(report) {
+        const tooltip = new vscode.MarkdownString('', true);
+        tooltip.appendMarkdown(`**Translation coverage** against \`${report.baseLocale}\` (${report.totalKeys} keys)\n\n`);
+
+        for (const coverage of report.locales) {
+            const problems = [
+                coverage.missing > 0 ? `${coverage.missing} missing` : null,
+                coverage.empty > 0 ? `${coverage.empty} empty` : null,
+                coverage.variantIncomplete > 0 ? `${coverage.variantIncomplete} variant incomplete` : null
+            ].filter(Boolean);
+
+            tooltip.appendMarkdown(`- \`${coverage.locale}\` ${coverage.percent}%${problems.length > 0 ? `: ${problems.join(', ')}` : ''}\n`);
+        }
+
+        tooltip.appendMarkdown('\nClick for the full report');
+        return tooltip;
+    }
+
+    /**
+     * Dispose of the status bar item
+     */
+    dispose() {
+        this.item.dispose();
+    }
+}
+
+module.exports = { CoverageStatusBar };
@@ -0,0 +1,265 @@
+const vscode = require('vscode');
+const { TranslationService } = require('../translation/service');
+const { LocaleService } = require('../locale/service');
+const { WorkspaceScanner } = require('../workspace/scanner');
+const { ProjectService } = require('../project/service');
+const { HardcodedTextDetector } = require('../extraction/detector');
+
+/**
+ * Service reporting missing and partially translated keys of the whole workspace in the Problems panel
+ */
+class DiagnosticsService {
+    constructor() {
+        this.translationService = new TranslationService();
+        this.localeService = new LocaleService();
+        this.projectService = new ProjectService();
+        this.workspaceScanner = new WorkspaceScanner();
+        this.hardcodedTextDetector = new HardcodedTextDetector();
+        this.diagnosticCollection = vscode.languages.createDiagnosticCollection('elementaryWatson');
+        this.scanTimeout = null; // Debounce full rescans triggered by translation file changes
+        this.SCAN_DELAY = 500; // ms to wait before rescanning after translation files change
+    }
+
+    /**
+     * Check if workspace diagnostics are enabled
+     * @returns {boolean} True if workspace diagnostics are enabled
+     */
+    isEnabled() {
+        const config = vscode.workspace.getConfiguration('elementaryWatson');
+        return config.get('workspaceDiagnostics', true);
+    }
+
+    /**
+     * Check if hard-coded text in Svelte markup is reported
+     * @returns {boolean} True if hard-coded text diagnostics are enabled
+     */
+    isHardcodedTextEnabled() {
+        const config = vscode.workspace.getConfiguration('elementaryWatson');
+        return config.get('hardcodedTextDiagnostics', true);
+    }
+
+    /**
+     * Scan every supported source file of the workspace and refresh its diagnostics
+     * @returns {Promise<void>}
+     */
+    async scanWorkspace() {
+        try {
+            if (!this.isEnabled()) {
+                this.diagnosticCollection.clear();
+                return;
+            }
+
+            const files = await this.workspaceScanner.findSourceFiles();
+
+            // Compute everything first so the Problems panel is swapped in one go
+            const entries = [];
+            for (const uri of files) {
+                const diagnostics = await this.computeFileDiagnostics(uri);
+                if (diagnostics && diagnostics.length > 0) {
+                    entries.push([uri, diagnostics]);
+                }
+            }
+
+            this.diagnosticCollection.clear();
+            this.diagnosticCollection.set(entries);
+        } catch (error) {
+            console.error('Error scanning workspace for translation diagnostics:', error);
+        }
+    }
+
+    /**
+     * Schedule a debounced full workspace scan
+     */
+    scheduleWorkspaceScan() {
+        if (this.scanTimeout) {
+            clearTimeout(this.scanTimeout);
+        }
+
+        this.scanTimeout = setTimeout(() => {
+            this.scanTimeout = null;
+            this.scanWorkspace();
+        }, this.SCAN_DELAY);
+    }
+
+    /**
+     * Refresh diagnostics for a single file
+     * @param {vscode.Uri} uri The file URI
+     * @returns {Promise<void>}
+     */
+    async updateFile(uri) {
+        if (!this.isEnabled()) {
+            return;
+        }
+
+        const diagnostics = await this.computeFileDiagnostics(uri);
+        if (diagnostics && diagnostics.length > 0) {
+            this.diagnosticCollection.set(uri, diagnostics);
+        } else {
+            this.diagnosticCollection.delete(uri);
+        }
+    }
+
+    /**
+     * Compute diagnostics for a single file
+     * @param {vscode.Uri} uri The file URI
+     * @returns {Promise<Array<vscode.Diagnostic>|null>} The diagnostics or null if the file is not scanned
+     */
+    async computeFileDiagnostics(uri) {
+        try {
+            if (!this.workspaceScanner.isSourceFile(uri)) {
+                return null;
+            }
+
+            const workspacePath = this.projectService.getProjectPath(uri);
+            if (!workspacePath) return null;
+
+            const result = await this.workspaceScanner.collectTranslationCalls(uri);
+            if (!result) {
+                return [];
+            }
+
+            const diagnostics = result.calls.length > 0
+                ? await this.createDiagnostics(workspacePath, result.text, result.calls)
+                : [];
+
+            if (this.workspaceScanner.getLanguageId(uri.fsPath) === 'svelte' && this.isHardcodedTextEnabled()) {
+                diagnostics.push(...this.createHardcodedTextDiagnostics(result.text));
+            }
+
+            return diagnostics;
+        } catch (error) {
+            console.error(`Error computing translation diagnostics for ${uri.fsPath}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Refresh diagnostics for an open document
+     * @param {vscode.TextDocument} document The document
+     * @returns {Promise<void>}
+     */
+    async updateDocument(document) {
+        await this.updateFile(document.uri);
+    }
+
+    /**
+     * Remove the diagnostics of a deleted file
+     * @param {vscode.Uri} uri The file URI
+     */
+    removeFile(uri) {
+        this.diagnosticCollection.delete(uri);
+    }
+
+    /**
+     * Create diagnostics for the translation calls of a file
+     * @param {string} workspacePath The workspace root path
+     * @param {string} text The file text
+     * @param {Array} calls Translation calls found in the file
+     * @returns {Promise<Array<vscode.Diagnostic>>} The diagnostics
+     */
+    async createDiagnostics(workspacePath, text, calls) {
+        const locales = await this.localeService.getAvailableLocales(workspacePath);
+        const translationsByLocale = await this.translationService.loadTranslationsForLocales(workspacePath, locales);
+        const toPosition = this.workspaceScanner.createPositionMapper(text);
+        const diagnostics = [];
+
+        for (const call of calls) {
+            const { translated, missing } = this.translationService.getKeyLocaleStatus(translationsByLocale, call.methodName);
+
+            // Call arguments can only be checked against a message that exists somewhere
+            if (translated.length > 0) {
+                diagnostics.push(...this.createArgumentDiagnostics(call, translationsByLocale, toPosition));
+            }
+
+            if (missing.length === 0) continue;
+
+            const range = new vscode.Range(toPosition(call.start), toPosition(call.calleeEnd));
+            let diagnostic;
+
+            if (translated.length === 0) {
+                // Same state as the red 'No locale defined' label
+                diagnostic = new vscode.Diagnostic(
+                    range,
+                    `Translation key "${call.methodName}" is not defined in any locale`,
+                    vscode.DiagnosticSeverity.Error
+                );
+                diagnostic.code = 'noLocale';
+            } else {
+                // Same state as the yellow '(locales missing)' label
+                diagnostic = new vscode.Diagnostic(
+                    range,
+                    `Translation key "${call.methodName}" is missing in: ${missing.join(', ')}`,
+                    vscode.DiagnosticSeverity.Warning
+                );
+                diagnostic.code = 'missingLocale';
+            }
+
+            diagnostic.source = 'ElementaryWatson';
+            diagnostics.push(diagnostic);
+        }
+
+        return diagnostics;
+    }
+
+    /**
+     * Create diagnostics for call arguments that do not match the message parameters
+     * @param {Object} call The translation call
+     * @param {Map<string, Object|null>} translationsByLocale Map of locale to translations object
+     * @param {Function} toPosition Function mapping an offset to a vscode.Position
+     * @returns {Array<vscode.Diagnostic>} The diagnostics
+     */
+    createArgumentDiagnostics(call, translationsByLocale, toPosition) {
+        const parameters = this.translationService.getKeyParameters(translationsByLocale, call.methodName);
+        const issues = this.translationService.validateCallArguments(call, parameters);
+
+        return issues.map(issue => {
+            // Unknown parameters still render, everything else prints raw {placeholders}
+            const severity = issue.type === 'unknownParameter'
+                ? vscode.DiagnosticSeverity.Warning
+                : vscode.DiagnosticSeverity.Error;
+
+            const diagnostic = new vscode.Diagnostic(
+                new vscode.Range(toPosition(issue.start), toPosition(issue.end)),
+                issue.message,
+                severity
+            );
+            diagnostic.code = issue.type;
+            diagnostic.source = 'ElementaryWatson';
+            return diagnostic;
+        });
+    }
+
+    /**
+     * Create information diagnostics for user-facing literal text in Svelte markup
+     * @param {string} text The Svelte component source
+     * @returns {Array<vscode.Diagnostic>} The diagnostics
+     */
+    createHardcodedTextDiagnostics(text) {
+        const toPosition = this.workspaceScanner.createPositionMapper(text);
+
+        return this.hardcodedTextDetector.findStrings(text).map(found => {
+            const location = found.kind === 'attribute' ? `${found.attribute} attribute` : 'text';
+            const diagnostic = new vscode.Diagnostic(
+                new vscode.Range(toPosition(found.start), toPosition(found.end)),
+                `Hard-coded ${location} "${found.value}" is not translated`,
+                vscode.DiagnosticSeverity.Information
+            );
+            diagnostic.code = 'hardcodedText';
+            diagnostic.source = 'ElementaryWatson';
+            return diagnostic;
+        });
+    }
+
+    /**
+     * Dispose of the service resources
+     */
+    dispose() {
+        if (this.scanTimeout) {
+            clearTimeout(this.scanTimeout);
+            this.scanTimeout = null;
+        }
+        this.diagnosticCollection.dispose();
+    }
+}
+
+module.exports = { DiagnosticsService };
@@ -0,0 +1,120 @@
+const vscode = require('vscode');
+const { HardcodedTextDetector } = require('../extraction/detector');
+const { TranslationService } = require('../translation/service');
+
+/**
+ * Code action provider offering quick fixes for ElementaryWatson diagnostics
+ */
+class TranslationCodeActionProvider {
+    constructor() {
+        this.hardcodedTextDetector = new HardcodedTextDetector();
+        this.translationService = new TranslationService();
+    }
+
+    /**
+     * Get the code action kinds this provider returns
+     * @returns {Array<vscode.CodeActionKind>} The provided kinds
+     */
+    getProvidedCodeActionKinds() {
+        return [vscode.CodeActionKind.QuickFix];
+    }
+
+    /**
+     * Provide quick fixes for the diagnostics in a range
+     * @param {vscode.TextDocument} document The document
+     * @param {vscode.Range} range The range the actions are requested for
+     * @param {vscode.CodeActionContext} context The diagnostics of the range
+     * @returns {Array<vscode.CodeAction>} The code actions
+     */
+    provideCodeActions(document, range, context) {
+        const ownDiagnostics = context.diagnostics.filter(diagnostic => diagnostic.source === 'ElementaryWatson');
+        const actions = [];
+
+        const missingKeyDiagnostics = ownDiagnostics.filter(diagnostic => diagnostic.code === 'noLocale');
+        if (missingKeyDiagnostics.length > 0) {
+            actions.push(...this.createMissingKeyActions(document, missingKeyDiagnostics));
+        }
+
+        const hardcodedDiagnostics = ownDiagnostics.filter(diagnostic => diagnostic.code === 'hardcodedText');
+        if (hardcodedDiagnostics.length > 0) {
+            actions.push(...this.createHardcodedTextActions(document, hardcodedDiagnostics));
+        }
+
+        return actions;
+    }
+
+    /**
+     * Create the actions adding keys that are missing in every locale
+     * @param {vscode.TextDocument} document The document
+     * @param {Array<vscode.Diagnostic>} diagnostics The noLocale diagnostics of the range
+     * @returns {Array<vscode.CodeAction>} One create action per missing key
+     */
+    createMissingKeyActions(document, diagnostics) {
+        const calls = this.translationService.findTranslationCalls(document.getText(), document.languageId);
+        const actions = [];
+        const seenKeys = new Set();
+
+        for (const diagnostic of diagnostics) {
+            const start = document.offsetAt(diagnostic.range.start);
+            const call = calls.find(candidate => candidate.start === start);
+            if (!call || seenKeys.has(call.methodName)) continue;
+            seenKeys.add(call.methodName);
+
+            const action = new vscode.CodeAction(`Create key "${call.methodName}" in all locales`, vscode.CodeActionKind.QuickFix);
+            action.diagnostics = [diagnostic];
+            action.isPreferred = true;
+            action.command = {
+                command: 'elementaryWatson.createMissingKey',
+                title: 'Create key in all locales',
+                arguments: [document.uri, call.methodName]
+            };
+            actions.push(action);
+        }
+
+        return actions;
+    }
+
+    /**
+     * Create the extract actions for hard-coded text diagnostics
+     * @param {vscode.TextDocument} document The Svelte document
+     * @param {Array<vscode.Diagnostic>} diagnostics The hard-coded text diagnostics of the range
+     * @returns {Array<vscode.CodeAction>} One extract action per diagnostic and an action extracting the whole file
+     */
+    createHardcodedTextActions(document, diagnostics) {
+        // Detect again so the actions match the current text, not the last scan
+        const strings = this.hardcodedTextDetector.findStrings(document.getText());
+        const actions = [];
+
+        for (const diagnostic of diagnostics) {
+            const start = document.offsetAt(diagnostic.range.start);
+            const found = strings.find(candidate => candidate.start === start);
+            if (!found) continue;
+
+            const displayValue = found.value.length > 30 ? found.value.substring(0, 27) + '...' : found.value;
+            const action = new vscode.CodeAction(`Extract "${displayValue}" to messages`, vscode.CodeActionKind.QuickFix);
+            action.diagnostics = [diagnostic];
+            action.isPreferred = true;
+            action.command = {
+                command: 'elementaryWatson.extractHardcodedText',
+                title: 'Extract to messages',
+                arguments: [document.uri, found]
+            };
+            actions.push(action);
+        }
+
+        if (strings.length > 1) {
+            const extractAll = new vscode.CodeAction(`Extract all strings in file (${strings.length})`, vscode.CodeActionKind.QuickFix);
+            extractAll.diagnostics = diagnostics;
+            extractAll.command = {
+                command: 'elementaryWatson.extractAllHardcodedText',
+                title: 'Extract all strings in file',
+                arguments: [document.uri]
+            };
+            actions.push(extractAll);
+        }
+
+        return actions;
+    }
+}
+
+module.exports = { TranslationCodeActionProvider };
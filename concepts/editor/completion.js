@@ -0,0 +1,199 @@
+const vscode = require('vscode');
+const { TranslationService } = require('../translation/service');
+const { LocaleService } = require('../locale/service');
+const { ProjectService } = require('../project/service');
+
+// Keys that can be written with dot syntax (m.key)
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+// Text after a key that already calls it
+const CALL_SUFFIX_PATTERN = /^\s*\(/;
+
+/**
+ * Completion provider suggesting translation keys after `m.` and inside `m["`
+ */
+class TranslationCompletionProvider {
+    constructor() {
+        this.translationService = new TranslationService();
+        this.localeService = new LocaleService();
+        this.projectService = new ProjectService();
+    }
+
+    /**
+     * Provide translation key completions at the cursor
+     * @param {vscode.TextDocument} document The document
+     * @param {vscode.Position} position The cursor position
+     * @returns {Promise<Array<vscode.CompletionItem>>} The completion items
+     */
+    async provideCompletionItems(document, position) {
+        try {
+            const workspacePath = this.projectService.getProjectPath(document.uri);
+            if (!workspacePath) return [];
+
+            const lineText = document.lineAt(position.line).text;
+            const linePrefix = lineText.slice(0, position.character);
+            const lineSuffix = lineText.slice(position.character);
+
+            // m["partial or m['partial
+            const bracketMatch = linePrefix.match(/\bm\[\s*(['"`])([^'"`]*)$/);
+            // m.partial
+            const dotMatch = linePrefix.match(/\bm\.([A-Za-z_$][\w$]*)?$/);
+            if (!bracketMatch && !dotMatch) return [];
+
+            const baseLocale = this.localeService.getBaseLocale(workspacePath);
+            const currentLocale = this.localeService.getCurrentLocale(workspacePath);
+            const locales = await this.localeService.getAvailableLocales(workspacePath);
+            const translationsByLocale = await this.translationService.loadTranslationsForLocales(workspacePath, locales);
+
+            const baseTranslations = translationsByLocale.get(baseLocale)
+                || await this.translationService.loadTranslationsForLocale(workspacePath, baseLocale);
+            const entries = this.translationService.flattenTranslations(baseTranslations);
+
+            const items = [];
+            for (const entry of entries) {
+                const item = bracketMatch
+                    ? this.createBracketItem(entry, bracketMatch, position, lineSuffix)
+                    : this.createDotItem(entry, dotMatch, position, lineSuffix);
+
+                item.detail = this.getDetail(translationsByLocale.get(currentLocale), entry.key, currentLocale);
+                item.documentation = this.createDocumentation(entry.key, translationsByLocale);
+                items.push(item);
+            }
+
+            return items;
+        } catch (error) {
+            console.error('Error providing translation completions:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Create a completion item for the m.key syntax. Nested keys are rewritten to m["nested.key"].
+     * @param {{key: string, value: any}} entry The message entry
+     * @param {RegExpMatchArray} match The m.partial match before the cursor
+     * @param {vscode.Position} position The cursor position
+     * @param {string} lineSuffix The line text after the cursor
+     * @returns {vscode.CompletionItem} The completion item
+     */
+    createDotItem(entry, match, position, lineSuffix) {
+        const typed = match[1] || '';
+        const wordRange = new vscode.Range(position.translate(0, -typed.length), position);
+        // Call parentheses already after the cursor (renaming m.old|() to another key) get no second pair
+        const parameters = CALL_SUFFIX_PATTERN.test(lineSuffix) ? [] : this.translationService.getMessageParameters(entry.value);
+        const item = new vscode.CompletionItem(entry.key, vscode.CompletionItemKind.Constant);
+
+        if (IDENTIFIER_PATTERN.test(entry.key)) {
+            item.insertText = this.createCallSnippet(entry.key, parameters);
+            item.range = wordRange;
+            return item;
+        }
+
+        // Nested keys need bracket syntax: replace the typed word and drop the dot before it
+        const dotPosition = position.translate(0, -typed.length - 1);
+        item.insertText = this.createCallSnippet(`["${entry.key}"]`, parameters);
+        item.range = wordRange;
+        item.filterText = entry.key;
+        item.additionalTextEdits = [vscode.TextEdit.delete(new vscode.Range(dotPosition, dotPosition.translate(0, 1)))];
+        return item;
+    }
+
+    /**
+     * Create a completion item for the m["key"] syntax
+     * @param {{key: string, value: any}} entry The message entry
+     * @param {RegExpMatchArray} match The m["partial match before the cursor
+     * @param {vscode.Position} position The cursor position
+     * @param {string} lineSuffix The line text after the cursor
+     * @returns {vscode.CompletionItem} The completion item
+     */
+    createBracketItem(entry, match, position, lineSuffix) {
+        const quote = match[1];
+        const typed = match[2];
+        const parameters = this.translationService.getMessageParameters(entry.value);
+        const item = new vscode.CompletionItem(entry.key, vscode.CompletionItemKind.Constant);
+
+        const start = position.translate(0, -typed.length);
+        const closing = `${quote}]`;
+        item.range = new vscode.Range(start, position);
+
+        if (lineSuffix.startsWith(closing)) {
+            // The closing quote and bracket are already there (auto-closed) - replace them too so the
+            // parameters land after them, unless the call parentheses follow already
+            const hasCall = CALL_SUFFIX_PATTERN.test(lineSuffix.slice(closing.length));
+            if (hasCall) {
+                item.insertText = entry.key;
+            } else {
+                item.range = new vscode.Range(start, position.translate(0, closing.length));
+                item.insertText = this.createCallSnippet(`${entry.key}${closing}`, parameters);
+            }
+        } else if (lineSuffix.startsWith(quote)) {
+            // Only the closing quote is there - only complete the key
+            item.insertText = entry.key;
+        } else {
+            item.insertText = this.createCallSnippet(`${entry.key}${closing}`, parameters);
+        }
+
+        return item;
+    }
+
+    /**
+     * Create the inserted text for a call, with a snippet for the parameter object if the message has parameters
+     * @param {string} callee The text before the call parentheses
+     * @param {Array<string>} parameters The message parameter names
+     * @returns {vscode.SnippetString|string} The text to insert
+     */
+    createCallSnippet(callee, parameters) {
+        if (parameters.length === 0) {
+            return callee;
+        }
+
+        const snippet = new vscode.SnippetString();
+        snippet.appendText(`${callee}({ `);
+        parameters.forEach((name, index) => {
+            if (index > 0) snippet.appendText(', ');
+            snippet.appendText(`${name}: `);
+            snippet.appendPlaceholder(name);
+        });
+        snippet.appendText(' })');
+        return snippet;
+    }
+
+    /**
+     * Get the completion detail showing the current locale value
+     * @param {Object|null} translations The current locale translations
+     * @param {string} key The translation key
+     * @param {string} currentLocale The current locale
+     * @returns {string} The detail text
+     */
+    getDetail(translations, key, currentLocale) {
+        const value = this.translationService.getTranslation(translations, key);
+        return value ? `${currentLocale}: "${value}"` : `${currentLocale}: (missing)`;
+    }
+
+    /**
+     * Create the completion documentation listing the value in every locale
+     * @param {string} key The translation key
+     * @param {Map<string, Object|null>} translationsByLocale Map of locale to translations object
+     * @returns {vscode.MarkdownString} The documentation
+     */
+    createDocumentation(key, translationsByLocale) {
+        const markdown = new vscode.MarkdownString();
+        markdown.appendMarkdown(`**${key}**\n\n`);
+
+        for (const [locale, translations] of translationsByLocale) {
+            const value = this.translationService.getTranslation(translations, key);
+            markdown.appendMarkdown(`- \`${locale}\`: `);
+            if (value === null) {
+                markdown.appendMarkdown('*missing*');
+            } else if (value.trim() === '') {
+                markdown.appendMarkdown('*empty*');
+            } else {
+                markdown.appendText(`"${value}"`);
+            }
+            markdown.appendMarkdown('\n');
+        }
+
+        return markdown;
+    }
+}
+
+module.exports = { TranslationCompletionProvider };
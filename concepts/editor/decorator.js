@@ -37,7 +37,10 @@ class EditorDecorator {
         const decorations = [];
         
         for (const result of translationResults) {
-            let contentText, color, borderColor;
+            let contentText, color, borderColor, hoverMessage;
+            
+            // Prefer the preview rendered with the call's literal arguments
+            const displayValue = result.renderedValue ?? result.translationValue;
             
             if (result.warningType === 'noLocale') {
                 // Red alert for no locale defined
@@ -46,12 +49,23 @@ class EditorDecorator {
                 borderColor = '#cc6666';
             } else if (result.warningType === 'missingLocale') {
                 // Yellow warning + translation from other locale
-                contentText = `"${result.translationValue}" (locales missing)`;
+                contentText = `"${displayValue}" (locales missing)`;
                 color = '#d4a574';
                 borderColor = '#d4a574';
+            } else if (result.stale) {
+                // Purple: the reference locale changed after this translation
+                contentText = `"${displayValue}" ← "${result.referenceValue}"`;
+                color = '#b48ead';
+                borderColor = '#b48ead';
+                hoverMessage = `"${result.referenceLocale}" changed after this translation was last updated; it may be outdated`;
+            } else if (result.referenceValue) {
+                // Translation next to the reference locale value
+                contentText = `"${displayValue}" ← "${result.referenceValue}"`;
+                color = '#888888';
+                borderColor = '#888888';
             } else {
                 // Normal case - translation found in current locale
-                contentText = `"${result.translationValue}"`;
+                contentText = `"${displayValue}"`;
                 color = '#888888';
                 borderColor = '#888888';
             }
@@ -61,6 +75,7 @@ class EditorDecorator {
                     document.positionAt(result.end),
                     document.positionAt(result.end)
                 ),
+                hoverMessage,
                 renderOptions: {
                     after: {
                         contentText: contentText,
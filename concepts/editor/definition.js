@@ -0,0 +1,80 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const { TranslationService } = require('../translation/service');
+const { LocaleService } = require('../locale/service');
+const { ProjectService } = require('../project/service');
+
+/**
+ * Definition provider jumping from a translation call to the key in the message files
+ */
+class TranslationDefinitionProvider {
+    constructor() {
+        this.translationService = new TranslationService();
+        this.localeService = new LocaleService();
+        this.projectService = new ProjectService();
+    }
+
+    /**
+     * Provide the key locations for the translation call under the cursor.
+     * The current locale comes first so Go to Definition lands there; Peek Definition lists every locale.
+     * @param {vscode.TextDocument} document The document
+     * @param {vscode.Position} position The cursor position
+     * @returns {Promise<Array<vscode.LocationLink>>} The key locations
+     */
+    async provideDefinition(document, position) {
+        try {
+            const workspacePath = this.projectService.getProjectPath(document.uri);
+            if (!workspacePath) return [];
+
+            const call = this.translationService.findTranslationCallAt(
+                document.getText(),
+                document.languageId,
+                document.offsetAt(position)
+            );
+            if (!call) return [];
+
+            const currentLocale = this.localeService.getCurrentLocale(workspacePath);
+            const locales = await this.localeService.getAvailableLocales(workspacePath);
+            const orderedLocales = [currentLocale, ...locales.filter(locale => locale !== currentLocale)];
+
+            const originSelectionRange = new vscode.Range(
+                document.positionAt(call.keyStart),
+                document.positionAt(call.keyEnd)
+            );
+
+            const links = [];
+            for (const locale of orderedLocales) {
+                // A locale has several files when pathPattern is an array
+                for (const translationPath of this.localeService.resolveTranslationPaths(workspacePath, locale)) {
+                    if (!fs.existsSync(translationPath)) continue;
+
+                    // Locate in the open document so unsaved edits in the message file are respected
+                    const targetUri = vscode.Uri.file(translationPath);
+                    const targetDocument = await vscode.workspace.openTextDocument(targetUri);
+                    const location = this.translationService.locateKeyInText(targetDocument.getText(), call.methodName, translationPath);
+                    if (!location) continue;
+
+                    links.push({
+                        originSelectionRange,
+                        targetUri,
+                        targetRange: new vscode.Range(
+                            targetDocument.positionAt(location.propertyOffset),
+                            targetDocument.positionAt(location.propertyOffset + location.propertyLength)
+                        ),
+                        targetSelectionRange: new vscode.Range(
+                            targetDocument.positionAt(location.keyOffset),
+                            targetDocument.positionAt(location.keyOffset + location.keyLength)
+                        )
+                    });
+                }
+            }
+
+            return links;
+        } catch (error) {
+            console.error('Error providing translation definition:', error);
+            return [];
+        }
+    }
+}
+
+module.exports = { TranslationDefinitionProvider };
@@ -0,0 +1,114 @@
+const vscode = require('vscode');
+const { TranslationService } = require('../translation/service');
+const { LocaleService } = require('../locale/service');
+const { ProjectService } = require('../project/service');
+const { MachineTranslationService } = require('../machine/service');
+
+/**
+ * Hover provider showing the value of a translation key in every locale
+ */
+class TranslationHoverProvider {
+    constructor() {
+        this.translationService = new TranslationService();
+        this.localeService = new LocaleService();
+        this.projectService = new ProjectService();
+        this.machineTranslationService = new MachineTranslationService();
+    }
+
+    /**
+     * Provide a hover for the translation call under the cursor
+     * @param {vscode.TextDocument} document The document
+     * @param {vscode.Position} position The hovered position
+     * @returns {Promise<vscode.Hover|null>} The hover or null if no translation call is hovered
+     */
+    async provideHover(document, position) {
+        try {
+            const workspacePath = this.projectService.getProjectPath(document.uri);
+            if (!workspacePath) return null;
+
+            const call = this.translationService.findTranslationCallAt(
+                document.getText(),
+                document.languageId,
+                document.offsetAt(position)
+            );
+            if (!call) return null;
+
+            const locales = await this.localeService.getAvailableLocales(workspacePath);
+            const translationsByLocale = await this.translationService.loadTranslationsForLocales(workspacePath, locales);
+
+            const markdown = this.createHoverContent(call.methodName, workspacePath, translationsByLocale);
+            const range = new vscode.Range(document.positionAt(call.start), document.positionAt(call.calleeEnd));
+
+            return new vscode.Hover(markdown, range);
+        } catch (error) {
+            console.error('Error providing translation hover:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Build the Markdown content listing a key's value in every locale
+     * @param {string} key The translation key
+     * @param {string} workspacePath The workspace root path
+     * @param {Map<string, Object|null>} translationsByLocale Map of locale to translations object
+     * @returns {vscode.MarkdownString} The hover content
+     */
+    createHoverContent(key, workspacePath, translationsByLocale) {
+        const currentLocale = this.localeService.getCurrentLocale(workspacePath);
+        const machineTranslations = this.machineTranslationService.loadRecord(workspacePath);
+        const markdown = new vscode.MarkdownString('', true);
+        markdown.isTrusted = { enabledCommands: ['elementaryWatson.openTranslationFile'] };
+
+        markdown.appendMarkdown(`**${this.escapeMarkdown(key)}**\n\n`);
+
+        for (const [locale, translations] of translationsByLocale) {
+            const value = this.translationService.getTranslation(translations, key);
+            const args = encodeURIComponent(JSON.stringify([workspacePath, locale, key]));
+            const localeLink = `[\`${locale}\`](command:elementaryWatson.openTranslationFile?${args} "Open ${locale} translation file")`;
+            const currentMarker = locale === currentLocale ? ' *(current)*' : '';
+
+            const variant = this.translationService.parseVariantMessage(
+                this.translationService.getRawTranslation(translations, key)
+            );
+
+            let valueText;
+            if (variant) {
+                valueText = `*variant* (${variant.branches.length} ${variant.branches.length === 1 ? 'branch' : 'branches'})`;
+            } else if (value === null) {
+                valueText = '$(error) *missing*';
+            } else if (value.trim() === '') {
+                valueText = '$(warning) *empty*';
+            } else {
+                valueText = `"${this.escapeMarkdown(value)}"`;
+
+                const rawValue = this.translationService.getRawTranslation(translations, key);
+                if (this.machineTranslationService.isMachineTranslated(machineTranslations, locale, key, rawValue)) {
+                    valueText += ' $(robot) *machine-translated*';
+                }
+            }
+
+            markdown.appendMarkdown(`- ${localeLink}${currentMarker}: ${valueText}\n`);
+
+            // List every match branch of variant messages (plurals, selects)
+            if (variant) {
+                for (const branch of variant.branches) {
+                    const branchValue = branch.value.trim() === '' ? '$(warning) *empty*' : `"${this.escapeMarkdown(branch.value)}"`;
+                    markdown.appendMarkdown(`    - \`${branch.label}\`: ${branchValue}\n`);
+                }
+            }
+        }
+
+        return markdown;
+    }
+
+    /**
+     * Escape Markdown control characters in a translation value
+     * @param {string} text The text to escape
+     * @returns {string} The escaped text
+     */
+    escapeMarkdown(text) {
+        return text.replace(/[\\`*_{}[\]()#+\-.!|<>$]/g, '\\$&');
+    }
+}
+
+module.exports = { TranslationHoverProvider };
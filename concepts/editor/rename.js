@@ -0,0 +1,157 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const { TranslationService } = require('../translation/service');
+const { TranslationRepository } = require('../translation/repository');
+const { TranslationFileWriter } = require('../translation/writer');
+const { LocaleService } = require('../locale/service');
+const { ExtractionService } = require('../extraction/service');
+const { KeyNamingService } = require('../extraction/naming');
+const { WorkspaceScanner } = require('../workspace/scanner');
+const { ProjectService } = require('../project/service');
+
+/**
+ * Rename provider updating a translation key in every locale file and every call site
+ */
+class TranslationRenameProvider {
+    constructor() {
+        this.translationService = new TranslationService();
+        this.translationRepository = new TranslationRepository();
+        this.translationFileWriter = new TranslationFileWriter();
+        this.localeService = new LocaleService();
+        this.extractionService = new ExtractionService();
+        this.keyNamingService = new KeyNamingService();
+        this.workspaceScanner = new WorkspaceScanner();
+        this.projectService = new ProjectService();
+    }
+
+    /**
+     * Check that the cursor is on a translation key and return its range
+     * @param {vscode.TextDocument} document The document
+     * @param {vscode.Position} position The cursor position
+     * @returns {{range: vscode.Range, placeholder: string}} The key range and current name
+     * @throws {Error} If the cursor is not on a translation call
+     */
+    prepareRename(document, position) {
+        const call = this.translationService.findTranslationCallAt(
+            document.getText(),
+            document.languageId,
+            document.offsetAt(position)
+        );
+
+        if (!call) {
+            throw new Error('Place the cursor on a translation call (m.key() or m["nested.key"]()) to rename its key');
+        }
+
+        return {
+            range: new vscode.Range(document.positionAt(call.keyStart), document.positionAt(call.keyEnd)),
+            placeholder: call.methodName
+        };
+    }
+
+    /**
+     * Build a single workspace edit renaming the key in all locale files and call sites
+     * @param {vscode.TextDocument} document The document
+     * @param {vscode.Position} position The cursor position
+     * @param {string} newName The new key
+     * @returns {Promise<vscode.WorkspaceEdit>} The edit to apply
+     * @throws {Error} If the new key is invalid or already exists
+     */
+    async provideRenameEdits(document, position, newName) {
+        const call = this.translationService.findTranslationCallAt(
+            document.getText(),
+            document.languageId,
+            document.offsetAt(position)
+        );
+        if (!call) {
+            throw new Error('No translation call found at the cursor');
+        }
+
+        const oldKey = call.methodName;
+        const newKey = newName.trim();
+        if (!this.keyNamingService.isValidKey(newKey)) {
+            throw new Error(`"${newName}" is not a valid translation key`);
+        }
+
+        const workspacePath = this.projectService.getProjectPath(document.uri);
+        if (!workspacePath) {
+            throw new Error('No workspace folder found');
+        }
+
+        const edit = new vscode.WorkspaceEdit();
+        if (newKey === oldKey) {
+            return edit;
+        }
+
+        await this.addLocaleFileEdits(edit, workspacePath, oldKey, newKey);
+        await this.addCallSiteEdits(edit, workspacePath, oldKey, newKey);
+
+        return edit;
+    }
+
+    /**
+     * Add the edits renaming the key in every locale file
+     * @param {vscode.WorkspaceEdit} edit The workspace edit to extend
+     * @param {string} workspacePath The workspace root path
+     * @param {string} oldKey The current key
+     * @param {string} newKey The new key
+     * @returns {Promise<void>}
+     */
+    async addLocaleFileEdits(edit, workspacePath, oldKey, newKey) {
+        const locales = await this.localeService.getAvailableLocales(workspacePath);
+
+        // A locale has several files when pathPattern is an array
+        const localeFiles = locales.flatMap(locale => this.localeService.resolveTranslationPaths(workspacePath, locale)
+            .map(translationPath => ({ locale, translationPath })));
+
+        for (const { locale, translationPath } of localeFiles) {
+            if (!fs.existsSync(translationPath)) continue;
+
+            // Work on the open document so unsaved changes are respected
+            const localeDocument = await vscode.workspace.openTextDocument(translationPath);
+            const text = localeDocument.getText();
+
+            let renamedText;
+            try {
+                renamedText = this.translationRepository.renameKeyInText(text, oldKey, newKey, translationPath);
+            } catch (error) {
+                throw new Error(`Cannot rename in ${locale}: ${error.message}`);
+            }
+            if (renamedText === null) continue;
+
+            this.translationFileWriter.addTextEdit(edit, localeDocument, renamedText);
+        }
+    }
+
+    /**
+     * Add the edits updating every m.key() / m["key"]() call of the project
+     * @param {vscode.WorkspaceEdit} edit The workspace edit to extend
+     * @param {string} workspacePath The project whose source files are updated
+     * @param {string} oldKey The current key
+     * @param {string} newKey The new key
+     * @returns {Promise<void>}
+     */
+    async addCallSiteEdits(edit, workspacePath, oldKey, newKey) {
+        // Switches between dot and bracket syntax when the key becomes nested or flat
+        const newAccessor = this.extractionService.formatKeyAccessor(newKey);
+        const files = await this.workspaceScanner.findSourceFiles();
+
+        for (const uri of files) {
+            // Other inlang projects have their own message files, so their calls keep the old key
+            if (this.projectService.getProjectPath(uri) !== workspacePath) continue;
+
+            const text = await this.workspaceScanner.readSourceFile(uri);
+            if (!text || !text.includes(oldKey)) continue;
+
+            const calls = this.translationService.findTranslationCalls(text, this.workspaceScanner.getLanguageId(uri.fsPath))
+                .filter(call => call.methodName === oldKey);
+            if (calls.length === 0) continue;
+
+            const toPosition = this.workspaceScanner.createPositionMapper(text);
+            for (const call of calls) {
+                edit.replace(uri, new vscode.Range(toPosition(call.start), toPosition(call.calleeEnd)), newAccessor);
+            }
+        }
+    }
+}
+
+module.exports = { TranslationRenameProvider };
@@ -3,6 +3,13 @@ const { TranslationService } = require('../translation/service');
 const { LocaleService } = require('../locale/service');
 const { EditorDecorator } = require('./decorator');
 const { TranslationCodeLensProvider } = require('./codelens');
+const { TranslationHoverProvider } = require('./hover');
+const { TranslationDefinitionProvider } = require('./definition');
+const { TranslationCompletionProvider } = require('./completion');
+const { TranslationRenameProvider } = require('./rename');
+const { TranslationCodeActionProvider } = require('./codeaction');
+const { ProjectService } = require('../project/service');
+const { translationHistory } = require('../translation/history');
 
 /**
  * Service for processing VS Code documents and managing translation displays
@@ -11,8 +18,14 @@ class EditorService {
     constructor() {
         this.translationService = new TranslationService();
         this.localeService = new LocaleService();
+        this.projectService = new ProjectService();
         this.editorDecorator = new EditorDecorator();
         this.codeLensProvider = new TranslationCodeLensProvider();
+        this.hoverProvider = new TranslationHoverProvider();
+        this.definitionProvider = new TranslationDefinitionProvider();
+        this.completionProvider = new TranslationCompletionProvider();
+        this.renameProvider = new TranslationRenameProvider();
+        this.codeActionProvider = new TranslationCodeActionProvider();
     }
 
     /**
@@ -39,11 +52,11 @@ class EditorService {
             this.editorDecorator.clearDecorations(editor);
 
             const text = document.getText();
-            const workspaceFolder = vscode.workspace.getWorkspaceFolder(document.uri);
-            if (!workspaceFolder) return;
+            const workspacePath = this.projectService.getProjectPath(document.uri);
+            if (!workspacePath) return;
 
             // Find all m.methodName() calls
-            const translationCalls = this.translationService.findTranslationCalls(text);
+            const translationCalls = this.translationService.findTranslationCalls(text, document.languageId);
             if (translationCalls.length === 0) {
                 // Clear CodeLens when no translation calls are found
                 this.codeLensProvider.updateTranslationResults(document, []);
@@ -51,18 +64,22 @@ class EditorService {
             }
 
             // Load translations using the current locale
-            const currentLocale = this.localeService.getCurrentLocale();
+            const currentLocale = this.localeService.getCurrentLocale(workspacePath);
             const translations = await this.translationService.loadTranslationsForLocale(
-                workspaceFolder.uri.fsPath, 
+                workspacePath, 
                 currentLocale
             );
 
             // Process translation calls to get resolved values with warning states
             // Note: We process even if translations is null to show warning labels
-            const translationResults = await this.translationService.processTranslationCallsWithWarnings(
-                translationCalls, 
-                translations || {}, 
-                workspaceFolder.uri.fsPath,
+            const translationResults = await this.addReferenceValues(
+                await this.translationService.processTranslationCallsWithWarnings(
+                    translationCalls, 
+                    translations || {}, 
+                    workspacePath,
+                    currentLocale
+                ),
+                workspacePath,
                 currentLocale
             );
             
@@ -96,6 +113,44 @@ class EditorService {
         }
     }
 
+    /**
+     * Add the value of the reference locale to translated results, flagging translations the reference changed after
+     * @param {Array} translationResults The results of the current locale
+     * @param {string} workspacePath The project path
+     * @param {string} currentLocale The current locale
+     * @returns {Promise<Array>} The results, with referenceLocale, referenceValue and stale where the reference translates the key
+     */
+    async addReferenceValues(translationResults, workspacePath, currentLocale) {
+        const referenceLocale = this.localeService.getReferenceLocale(currentLocale);
+        if (!referenceLocale) {
+            return translationResults;
+        }
+
+        const referenceTranslations = await this.translationService.loadTranslationsForLocale(workspacePath, referenceLocale);
+        const translationPaths = this.localeService.resolveTranslationPaths(workspacePath, currentLocale);
+        const referencePaths = this.localeService.resolveTranslationPaths(workspacePath, referenceLocale);
+
+        return translationResults.map(result => {
+            // Fallback values from other locales already say the current locale is missing
+            if (result.warningType !== null) return result;
+
+            const referenceValue = this.translationService.getTranslation(referenceTranslations, result.methodName);
+            if (!referenceValue) return result;
+
+            return {
+                ...result,
+                referenceLocale,
+                referenceValue: this.translationService.renderTranslation(
+                    referenceValue,
+                    result,
+                    this.translationService.getRawTranslation(referenceTranslations, result.methodName),
+                    referenceLocale
+                ),
+                stale: translationHistory.isStale(translationPaths, referencePaths, result.methodName)
+            };
+        });
+    }
+
     /**
      * Get the editor decorator instance
      * @returns {EditorDecorator} The editor decorator
@@ -112,6 +167,46 @@ class EditorService {
         return this.codeLensProvider;
     }
 
+    /**
+     * Get the hover provider instance
+     * @returns {TranslationHoverProvider} The hover provider instance
+     */
+    getHoverProvider() {
+        return this.hoverProvider;
+    }
+
+    /**
+     * Get the definition provider instance
+     * @returns {TranslationDefinitionProvider} The definition provider instance
+     */
+    getDefinitionProvider() {
+        return this.definitionProvider;
+    }
+
+    /**
+     * Get the completion provider instance
+     * @returns {TranslationCompletionProvider} The completion provider instance
+     */
+    getCompletionProvider() {
+        return this.completionProvider;
+    }
+
+    /**
+     * Get the rename provider instance
+     * @returns {TranslationRenameProvider} The rename provider instance
+     */
+    getRenameProvider() {
+        return this.renameProvider;
+    }
+
+    /**
+     * Get the code action provider instance
+     * @returns {TranslationCodeActionProvider} The code action provider instance
+     */
+    getCodeActionProvider() {
+        return this.codeActionProvider;
+    }
+
     /**
      * Dispose of the service resources
      */
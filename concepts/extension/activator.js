@@ -5,6 +5,26 @@ const { LocaleService } = require('../locale/service');
 const { ExtractionService } = require('../extraction/service');
 const { SidebarService } = require('../sidebar/service');
 const { SidebarTreeProvider } = require('../sidebar/provider');
+const { DiagnosticsService } = require('../diagnostics/service');
+const { UnusedKeysService } = require('../unused/service');
+const { UnusedKeysTreeProvider } = require('../unused/provider');
+const { ProjectService } = require('../project/service');
+const { TranslationGridService } = require('../grid/service');
+const { TranslationGridPanel } = require('../grid/panel');
+const { TranslationService } = require('../translation/service');
+const { MachineTranslationService } = require('../machine/service');
+const { CoverageService } = require('../completeness/service');
+const { CoverageStatusBar } = require('../completeness/statusbar');
+const { LocaleStatusBar } = require('../locale/statusbar');
+const { translationCache } = require('../translation/cache');
+const { translationHistory } = require('../translation/history');
+
+// Documents the editor features (CodeLens, hover, ...) are registered for
+const SUPPORTED_DOCUMENT_SELECTOR = [
+    { language: 'javascript', scheme: 'file' },
+    { language: 'typescript', scheme: 'file' },
+    { language: 'svelte', scheme: 'file' }
+];
 
 /**
  * Extension activator that manages the lifecycle and event handling
@@ -13,9 +33,20 @@ class ExtensionActivator {
     constructor() {
         this.editorService = new EditorService();
         this.localeService = new LocaleService();
+        this.projectService = new ProjectService();
         this.extractionService = new ExtractionService();
         this.sidebarService = new SidebarService();
         this.sidebarTreeProvider = new SidebarTreeProvider(this.sidebarService);
+        this.diagnosticsService = new DiagnosticsService();
+        this.unusedKeysService = new UnusedKeysService();
+        this.unusedKeysTreeProvider = new UnusedKeysTreeProvider(this.unusedKeysService);
+        this.unusedKeysTreeView = null;
+        this.translationGridPanel = new TranslationGridPanel(new TranslationGridService());
+        this.translationService = new TranslationService();
+        this.machineTranslationService = new MachineTranslationService();
+        this.coverageService = new CoverageService();
+        this.coverageStatusBar = new CoverageStatusBar(this.coverageService);
+        this.localeStatusBar = new LocaleStatusBar(this.localeService);
         this.disposables = [];
         this.treeView = null; // Tree view instance for title updates
         
@@ -105,6 +136,12 @@ class ExtensionActivator {
     activate(context) {
         console.log('ElementaryWatson i18n companion is now active!');
 
+        // Restore when each key last changed, used to flag translations older than their reference
+        translationHistory.initialize(context.workspaceState);
+
+        // Restore which values machine translation wrote, marked in the hover and sidebar until edited
+        this.machineTranslationService.initialize(context.workspaceState);
+
         // Register the sidebar tree provider
         this.registerSidebar();
         
@@ -120,12 +157,44 @@ class ExtensionActivator {
         // Register sidebar commands
         this.registerSidebarCommands();
 
+        // Register the unused keys view and its commands
+        this.registerUnusedKeys();
+
+        // Register the translation grid editor
+        this.registerTranslationGridCommand();
+
+        // Register machine translation of missing values
+        this.registerMachineTranslationCommand();
+
+        // Register the coverage report and its status bar summary
+        this.registerCoverageReport();
+
         // Register translation label click command
         this.registerTranslationLabelClickCommand();
 
         // Register CodeLens provider
         this.registerCodeLensProvider();
 
+        // Register hover provider
+        this.registerHoverProvider();
+
+        // Register definition provider
+        this.registerDefinitionProvider();
+
+        // Register translation key completions
+        this.registerCompletionProvider();
+
+        // Register rename-key refactoring
+        this.registerRenameProvider();
+
+        // Register quick fixes and their commands
+        this.registerCodeActionProvider();
+        this.registerHardcodedTextCommands();
+        this.registerCreateMissingKeyCommand();
+
+        // Register workspace-wide translation diagnostics
+        this.registerDiagnostics();
+
         // Set up event listeners
         this.setupEventListeners();
 
@@ -173,31 +242,280 @@ class ExtensionActivator {
             }
         );
 
-        this.disposables.push(openTranslationCommand);
+        const editValueCommand = vscode.commands.registerCommand('elementaryWatson.editTranslationValue', async (node) => {
+            if (!node) return;
+
+            const value = await vscode.window.showInputBox({
+                title: `Edit ${node.key}`,
+                prompt: `Translation for locale "${node.locale}"`,
+                value: node.value
+            });
+
+            // Cancelled or unchanged
+            if (value === undefined || value === node.value) return;
+
+            await this.saveTranslationValue(node.workspacePath, node.locale, node.key, value);
+        });
+
+        const copyValueCommand = vscode.commands.registerCommand('elementaryWatson.copyTranslationValue', async (node) => {
+            if (!node) return;
+
+            await vscode.env.clipboard.writeText(node.value);
+            vscode.window.setStatusBarMessage(`Copied ${node.key} (${node.locale})`, 2000);
+        });
+
+        const clearValueCommand = vscode.commands.registerCommand('elementaryWatson.clearTranslationValue', async (node) => {
+            if (!node) return;
+
+            const confirmation = await vscode.window.showWarningMessage(
+                `Clear the "${node.locale}" translation of "${node.key}"?`,
+                { modal: true },
+                'Clear'
+            );
+            if (confirmation !== 'Clear') return;
+
+            await this.saveTranslationValue(node.workspacePath, node.locale, node.key, '');
+        });
+
+        const addTranslationCommand = vscode.commands.registerCommand('elementaryWatson.addTranslationForLocale', async (node) => {
+            if (!node || !node.workspacePath) return;
+
+            const untranslatedLocales = await this.sidebarService.getUntranslatedLocales(node.workspacePath, node.key);
+            if (untranslatedLocales.length === 0) {
+                vscode.window.showInformationMessage(`"${node.key}" is already translated in every locale`);
+                return;
+            }
+
+            const locale = await vscode.window.showQuickPick(untranslatedLocales, {
+                title: `Add translation for ${node.key}`,
+                placeHolder: 'Select a locale'
+            });
+            if (!locale) return;
+
+            const value = await vscode.window.showInputBox({
+                title: `Add translation for ${node.key}`,
+                prompt: `Translation for locale "${locale}"`
+            });
+            if (value === undefined) return;
+
+            await this.saveTranslationValue(node.workspacePath, locale, node.key, value);
+        });
+
+        this.disposables.push(openTranslationCommand, editValueCommand, copyValueCommand, clearValueCommand, addTranslationCommand);
+    }
+
+    /**
+     * Save a value edited from the sidebar and refresh decorations, sidebar and diagnostics
+     * @param {string} workspacePath The project path
+     * @param {string} locale The locale to update
+     * @param {string} key The translation key
+     * @param {string} value The new value
+     * @returns {Promise<void>}
+     */
+    async saveTranslationValue(workspacePath, locale, key, value) {
+        try {
+            const translationPath = await this.sidebarService.updateTranslationValue(workspacePath, locale, key, value);
+
+            // Refresh right away instead of waiting for the file watcher
+            await this.handleTranslationFileChange(locale, translationPath);
+        } catch (error) {
+            console.error('Error saving translation value:', error);
+            vscode.window.showErrorMessage(`Failed to update ${locale} translation of "${key}": ${error.message}`);
+        }
+    }
+
+    /**
+     * Register the unused keys view and its commands
+     */
+    registerUnusedKeys() {
+        this.unusedKeysTreeView = vscode.window.createTreeView('elementaryWatsonUnusedKeys', {
+            treeDataProvider: this.unusedKeysTreeProvider,
+            canSelectMany: true
+        });
+
+        // The analysis scans the whole workspace, so only run it once the view is first shown
+        const visibilityDisposable = this.unusedKeysTreeView.onDidChangeVisibility(async (event) => {
+            if (event.visible && !this.unusedKeysTreeProvider.hasScanned) {
+                await this.unusedKeysTreeProvider.refresh();
+            }
+        });
+
+        const findUnusedKeysCommand = vscode.commands.registerCommand('elementaryWatson.findUnusedKeys', async () => {
+            await vscode.window.withProgress(
+                { location: { viewId: 'elementaryWatsonUnusedKeys' } },
+                () => this.unusedKeysTreeProvider.refresh()
+            );
+        });
+
+        const removeUnusedKeysCommand = vscode.commands.registerCommand('elementaryWatson.removeUnusedKeys', 
+            async (node, selectedNodes) => {
+                // Context menu passes the clicked node and the selection; the title button uses the selection
+                const nodes = selectedNodes && selectedNodes.length > 0 
+                    ? selectedNodes 
+                    : (node ? [node] : [...this.unusedKeysTreeView.selection]);
+                if (nodes.length === 0) {
+                    vscode.window.showInformationMessage('Select the unused keys to remove first');
+                    return;
+                }
+
+                const label = nodes.length === 1 ? `"${nodes[0].key}"` : `${nodes.length} keys`;
+                const confirmation = await vscode.window.showWarningMessage(
+                    `Remove ${label} from all locale files?`,
+                    { modal: true },
+                    'Remove'
+                );
+                if (confirmation !== 'Remove') return;
+
+                // Group keys per workspace folder
+                const keysByWorkspace = new Map();
+                for (const selected of nodes) {
+                    if (!keysByWorkspace.has(selected.workspacePath)) {
+                        keysByWorkspace.set(selected.workspacePath, []);
+                    }
+                    keysByWorkspace.get(selected.workspacePath).push(selected.key);
+                }
+
+                for (const [workspacePath, keys] of keysByWorkspace) {
+                    const success = await this.extractionService.removeFromLocaleFiles(workspacePath, keys);
+                    if (!success) {
+                        vscode.window.showErrorMessage('Failed to update locale files');
+                        return;
+                    }
+                }
+
+                vscode.window.showInformationMessage(`Removed ${label} from all locale files`);
+                await this.unusedKeysTreeProvider.refresh();
+            }
+        );
+
+        this.disposables.push(this.unusedKeysTreeView, visibilityDisposable, findUnusedKeysCommand, removeUnusedKeysCommand);
     }
 
     /**
-     * Register the change locale command
+     * Register the commands switching the locale of the inline labels and the status bar item showing it
      */
     registerChangeLocaleCommand() {
         const changeLocaleCommand = vscode.commands.registerCommand('elementaryWatson.changeLocale', async () => {
-            const currentLocale = this.localeService.getCurrentLocale();
-            const newLocale = await vscode.window.showInputBox({
-                prompt: 'Enter the locale code (e.g., en, es, fr)',
-                value: currentLocale,
-                placeHolder: 'en'
-            });
+            const workspacePath = this.projectService.getActiveProjectPath();
+            if (!workspacePath) {
+                vscode.window.showErrorMessage('No workspace folder found');
+                return;
+            }
+
+            const currentLocale = this.localeService.getCurrentLocale(workspacePath);
+            const newLocale = await this.pickDisplayLocale(workspacePath, currentLocale);
 
             if (newLocale && newLocale !== currentLocale) {
-                await this.localeService.updateLocale(newLocale);
+                await this.switchLocale(workspacePath, newLocale);
                 vscode.window.showInformationMessage(`Locale changed to: ${newLocale}`);
-                
-                // Refresh all open documents
-                await this.processActiveEditor();
             }
         });
 
-        this.disposables.push(changeLocaleCommand);
+        const cycleLocaleCommand = vscode.commands.registerCommand('elementaryWatson.cycleLocale', async () => {
+            const workspacePath = this.projectService.getActiveProjectPath();
+            if (!workspacePath) return;
+
+            const locales = await this.localeService.getAvailableLocales(workspacePath);
+            if (locales.length < 2) return;
+
+            // A current locale outside the project's locales starts over at the first one
+            const currentIndex = locales.indexOf(this.localeService.getCurrentLocale(workspacePath));
+            const newLocale = locales[(currentIndex + 1) % locales.length];
+
+            await this.switchLocale(workspacePath, newLocale);
+            vscode.window.setStatusBarMessage(`Translation labels: ${newLocale}`, 2000);
+        });
+
+        this.disposables.push(changeLocaleCommand, cycleLocaleCommand, this.localeStatusBar);
+
+        this.updateLocaleStatus();
+    }
+
+    /**
+     * Let the user pick one of the project's locales, showing how complete each one is
+     * @param {string} workspacePath The project path
+     * @param {string} currentLocale The locale the labels show now
+     * @returns {Promise<string|undefined>} The picked locale or undefined if cancelled
+     */
+    async pickDisplayLocale(workspacePath, currentLocale) {
+        const locales = await this.localeService.getAvailableLocales(workspacePath);
+
+        // A message file that cannot be read only costs the coverage, not the picker
+        let report = null;
+        try {
+            report = await this.coverageService.computeCoverage(workspacePath);
+        } catch (error) {
+            console.error('Error computing coverage for the locale picker:', error);
+        }
+
+        const items = this.createLocaleItems(locales, currentLocale, this.localeService.getBaseLocale(workspacePath), report);
+
+        const quickPick = vscode.window.createQuickPick();
+        quickPick.title = 'Translation label locale';
+        quickPick.placeholder = `Labels show "${currentLocale}"`;
+        quickPick.items = items;
+        quickPick.activeItems = items.filter(item => item.locale === currentLocale);
+
+        const selected = await new Promise(resolve => {
+            quickPick.onDidAccept(() => resolve(quickPick.selectedItems[0]));
+            quickPick.onDidHide(() => resolve(undefined));
+            quickPick.show();
+        });
+        quickPick.dispose();
+
+        return selected ? selected.locale : undefined;
+    }
+
+    /**
+     * Create the locale picker items, e.g. "fr" described as "87% translated · 12 untranslated"
+     * @param {Array<string>} locales The project's locales
+     * @param {string} currentLocale The locale the labels show now
+     * @param {string} baseLocale The base locale
+     * @param {Object|null} report The coverage report, or null to leave out the coverage
+     * @returns {Array<{label: string, description: string, locale: string}>} The items
+     */
+    createLocaleItems(locales, currentLocale, baseLocale, report) {
+        return locales.map(locale => {
+            const descriptions = [];
+            if (locale === baseLocale) {
+                descriptions.push('base locale');
+            }
+
+            const coverage = report && report.locales.find(candidate => candidate.locale === locale);
+            if (coverage) {
+                descriptions.push(`${coverage.percent}% translated`);
+                if (coverage.translated < coverage.total) {
+                    descriptions.push(`${coverage.total - coverage.translated} untranslated`);
+                }
+            }
+
+            return {
+                label: locale === currentLocale ? `$(check) ${locale}` : locale,
+                description: descriptions.join(' · '),
+                locale
+            };
+        });
+    }
+
+    /**
+     * Switch the locale of the inline labels and refresh everything showing it
+     * @param {string} workspacePath The project path
+     * @param {string} locale The new locale
+     * @returns {Promise<void>}
+     */
+    async switchLocale(workspacePath, locale) {
+        await this.localeService.updateLocale(locale);
+        this.localeStatusBar.update(workspacePath);
+
+        // Refresh all open documents
+        await this.processActiveEditor();
+    }
+
+    /**
+     * Show the display locale of the active project in the status bar
+     */
+    updateLocaleStatus() {
+        this.localeStatusBar.update(this.projectService.getActiveProjectPath());
     }
 
     /**
@@ -225,6 +543,219 @@ class ExtensionActivator {
         this.disposables.push(extractTextCommand);
     }
 
+    /**
+     * Register the command opening the translation grid editor
+     */
+    registerTranslationGridCommand() {
+        const openGridCommand = vscode.commands.registerCommand('elementaryWatson.openTranslationGrid', async () => {
+            const workspacePath = await this.pickProject();
+            if (!workspacePath) return;
+
+            await this.translationGridPanel.show(workspacePath);
+        });
+
+        this.disposables.push(openGridCommand, this.translationGridPanel);
+    }
+
+    /**
+     * Register the command filling missing and empty values through the machine translation provider
+     */
+    registerMachineTranslationCommand() {
+        const translateCommand = vscode.commands.registerCommand('elementaryWatson.translateMissingValues', async (node) => {
+            // Invoked on a sidebar key, or from the palette for the key at the cursor, the active file or the whole project
+            const scope = node && node.key && node.workspacePath
+                ? { workspacePath: node.workspacePath, keys: [node.key], label: `"${node.key}"` }
+                : await this.pickMachineTranslationScope();
+            if (!scope) return;
+
+            const baseLocale = this.localeService.getBaseLocale(scope.workspacePath);
+            const locales = (await this.localeService.getAvailableLocales(scope.workspacePath)).filter(locale => locale !== baseLocale);
+            if (locales.length === 0) {
+                vscode.window.showInformationMessage('The project has no locales besides the base locale');
+                return;
+            }
+
+            const selected = await vscode.window.showQuickPick(
+                locales.map(locale => ({ label: locale, picked: true })),
+                { title: `Translate missing values of ${scope.label}`, placeHolder: `Locales to fill from "${baseLocale}"`, canPickMany: true }
+            );
+            if (!selected || selected.length === 0) return;
+
+            await this.translateMissingValues(scope, baseLocale, selected.map(item => item.label));
+        });
+
+        this.disposables.push(translateCommand);
+    }
+
+    /**
+     * Ask which keys to machine-translate: the key at the cursor, the keys used in the active file or every key
+     * @returns {Promise<{workspacePath: string, keys: Array<string>|null, label: string}|null>} The scope
+     *   (keys null for every key of the project) or null if cancelled
+     */
+    async pickMachineTranslationScope() {
+        const workspacePath = await this.pickProject();
+        if (!workspacePath) return null;
+
+        const scopes = [];
+        const editor = vscode.window.activeTextEditor;
+        if (editor && this.editorService.isSupportedDocument(editor.document) && this.projectService.getProjectPath(editor.document.uri) === workspacePath) {
+            const { document } = editor;
+            const callAtCursor = this.translationService.findTranslationCallAt(document.getText(), document.languageId, document.offsetAt(editor.selection.active));
+            if (callAtCursor) {
+                scopes.push({ label: '$(symbol-key) Key at cursor', description: callAtCursor.methodName, keys: [callAtCursor.methodName], scopeLabel: `"${callAtCursor.methodName}"` });
+            }
+
+            const fileKeys = [...new Set(this.translationService.findTranslationCalls(document.getText(), document.languageId).map(call => call.methodName))];
+            if (fileKeys.length > 0) {
+                const fileName = path.basename(document.uri.fsPath);
+                scopes.push({ label: `$(file) Keys used in ${fileName}`, description: `${fileKeys.length} ${fileKeys.length === 1 ? 'key' : 'keys'}`, keys: fileKeys, scopeLabel: fileName });
+            }
+        }
+        scopes.push({ label: '$(globe) All keys of the project', description: vscode.workspace.asRelativePath(workspacePath), keys: null, scopeLabel: 'all keys' });
+
+        const selected = scopes.length === 1 ? scopes[0] : await vscode.window.showQuickPick(scopes, { placeHolder: 'Which keys should be translated?' });
+        return selected ? { workspacePath, keys: selected.keys, label: selected.scopeLabel } : null;
+    }
+
+    /**
+     * Machine-translate the missing and empty values of a scope into several locales and report the result
+     * @param {{workspacePath: string, keys: Array<string>|null}} scope The keys to translate (null for every key)
+     * @param {string} baseLocale The locale the texts are translated from
+     * @param {Array<string>} locales The locales to fill
+     * @returns {Promise<void>}
+     */
+    async translateMissingValues(scope, baseLocale, locales) {
+        let provider;
+        try {
+            provider = this.machineTranslationService.createProvider();
+        } catch (error) {
+            vscode.window.showErrorMessage(error.message);
+            return;
+        }
+
+        const translatedCounts = [];
+        const skippedKeys = [];
+        try {
+            await vscode.window.withProgress({
+                location: vscode.ProgressLocation.Notification,
+                title: `Translating missing values with ${provider.label}`,
+                cancellable: true
+            }, async (progress, token) => {
+                for (const locale of locales) {
+                    if (token.isCancellationRequested) break;
+                    progress.report({ message: locale });
+
+                    const entries = await this.machineTranslationService.findUntranslatedEntries(scope.workspacePath, locale, scope.keys);
+                    if (entries.length === 0) continue;
+
+                    const { translated, skipped, error } = await this.machineTranslationService.translateEntries(provider, entries, baseLocale, locale, token);
+                    skippedKeys.push(...skipped.map(key => `${key} (${locale})`));
+
+                    // Write the batches translated before a failed one, then report the failure
+                    if (translated.length > 0) {
+                        const changedPaths = await this.machineTranslationService.writeTranslations(scope.workspacePath, locale, translated);
+                        translatedCounts.push(`${locale} ${translated.length}`);
+
+                        // Refresh right away instead of waiting for the file watcher
+                        for (const translationPath of changedPaths) {
+                            await this.handleTranslationFileChange(locale, translationPath);
+                        }
+                    }
+                    if (error) throw error;
+                }
+            });
+        } catch (error) {
+            console.error('Error during machine translation:', error);
+            const written = translatedCounts.length > 0 ? ` (written before the failure: ${translatedCounts.join(', ')})` : '';
+            vscode.window.showErrorMessage(`Machine translation failed: ${error.message}${written}`);
+            return;
+        }
+
+        if (translatedCounts.length > 0) {
+            vscode.window.showInformationMessage(`Machine-translated missing values: ${translatedCounts.join(', ')}`);
+        } else if (skippedKeys.length === 0) {
+            vscode.window.showInformationMessage('No missing values to translate');
+        }
+
+        // A translation that lost or changed a {placeholder} is never written
+        if (skippedKeys.length > 0) {
+            const listed = skippedKeys.slice(0, 5).join(', ') + (skippedKeys.length > 5 ? ', ...' : '');
+            vscode.window.showWarningMessage(`${skippedKeys.length} ${skippedKeys.length === 1 ? 'value was' : 'values were'} left empty because the translation changed their placeholders: ${listed}`);
+        }
+    }
+
+    /**
+     * Register the coverage report command and show the coverage of the active project in the status bar
+     */
+    registerCoverageReport() {
+        const reportCommand = vscode.commands.registerCommand('elementaryWatson.showCoverageReport', async () => {
+            const workspacePath = await this.pickProject();
+            if (!workspacePath) return;
+
+            const format = await vscode.window.showQuickPick([
+                { label: 'Markdown', description: 'Table per locale with the untranslated keys', language: 'markdown' },
+                { label: 'JSON', description: 'Counts and keys for scripts and CI', language: 'json' }
+            ], { placeHolder: 'Report format' });
+            if (!format) return;
+
+            try {
+                const report = await this.coverageService.computeCoverage(workspacePath);
+                const content = format.language === 'json'
+                    ? this.coverageService.formatJson(report)
+                    : this.coverageService.formatMarkdown(report);
+
+                const document = await vscode.workspace.openTextDocument({ language: format.language, content });
+                await vscode.window.showTextDocument(document);
+            } catch (error) {
+                console.error('Error creating coverage report:', error);
+                vscode.window.showErrorMessage(`Failed to create coverage report: ${error.message}`);
+            }
+        });
+
+        this.disposables.push(reportCommand, this.coverageStatusBar);
+
+        this.updateCoverageStatus();
+    }
+
+    /**
+     * Show the coverage of the active project in the status bar
+     * @returns {Promise<void>}
+     */
+    async updateCoverageStatus() {
+        await this.coverageStatusBar.update(this.projectService.getActiveProjectPath());
+    }
+
+    /**
+     * Pick the inlang project to work on: the project of the active editor, or a choice if there are several
+     * @returns {Promise<string|null>} The project path or null if cancelled or without a workspace
+     */
+    async pickProject() {
+        const activeEditor = vscode.window.activeTextEditor;
+        if (activeEditor && activeEditor.document.uri.scheme === 'file') {
+            const projectPath = this.projectService.getProjectPath(activeEditor.document.uri);
+            if (projectPath) return projectPath;
+        }
+
+        const projects = await this.projectService.findProjects();
+        if (projects.length === 0) {
+            vscode.window.showErrorMessage('No workspace folder found');
+            return null;
+        }
+        if (projects.length === 1) {
+            return projects[0];
+        }
+
+        const selected = await vscode.window.showQuickPick(
+            projects.map(projectPath => ({
+                label: path.basename(projectPath),
+                description: vscode.workspace.asRelativePath(projectPath),
+                projectPath
+            })),
+            { placeHolder: 'Select the inlang project' }
+        );
+        return selected ? selected.projectPath : null;
+    }
+
     /**
      * Register the translation label click command
      */
@@ -235,15 +766,14 @@ class ExtensionActivator {
                     // Show the sidebar
                     await vscode.commands.executeCommand('workbench.view.extension.elementaryWatson');
                     
-                    // Get the workspace folder to find the current locale
-                    const workspaceFolder = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(filePath));
-                    if (!workspaceFolder) {
+                    // Get the inlang project of the file to find the current locale
+                    const workspacePath = this.projectService.getProjectPath(filePath);
+                    if (!workspacePath) {
                         vscode.window.showErrorMessage('Cannot determine workspace folder');
                         return;
                     }
 
-                    const workspacePath = workspaceFolder.uri.fsPath;
-                    const currentLocale = this.localeService.getCurrentLocale();
+                    const currentLocale = this.localeService.getCurrentLocale(workspacePath);
                     
                     // Refresh sidebar with current document to ensure it shows the clicked key
                     const activeEditor = vscode.window.activeTextEditor;
@@ -273,11 +803,7 @@ class ExtensionActivator {
         const codeLensProvider = this.editorService.getCodeLensProvider();
         
         const codeLensDisposable = vscode.languages.registerCodeLensProvider(
-            [
-                { language: 'javascript', scheme: 'file' },
-                { language: 'typescript', scheme: 'file' },
-                { language: 'svelte', scheme: 'file' }
-            ],
+            SUPPORTED_DOCUMENT_SELECTOR,
             codeLensProvider
         );
 
@@ -285,7 +811,170 @@ class ExtensionActivator {
     }
 
     /**
-     * Set up file system watchers for translation files
+     * Register the hover provider showing a key's value in every locale
+     */
+    registerHoverProvider() {
+        const hoverDisposable = vscode.languages.registerHoverProvider(
+            SUPPORTED_DOCUMENT_SELECTOR,
+            this.editorService.getHoverProvider()
+        );
+
+        this.disposables.push(hoverDisposable);
+    }
+
+    /**
+     * Register the definition provider jumping from calls into the message files
+     */
+    registerDefinitionProvider() {
+        const definitionDisposable = vscode.languages.registerDefinitionProvider(
+            SUPPORTED_DOCUMENT_SELECTOR,
+            this.editorService.getDefinitionProvider()
+        );
+
+        this.disposables.push(definitionDisposable);
+    }
+
+    /**
+     * Register the completion provider suggesting translation keys
+     */
+    registerCompletionProvider() {
+        const completionDisposable = vscode.languages.registerCompletionItemProvider(
+            SUPPORTED_DOCUMENT_SELECTOR,
+            this.editorService.getCompletionProvider(),
+            '.', '"', "'", '`'
+        );
+
+        this.disposables.push(completionDisposable);
+    }
+
+    /**
+     * Register the rename provider for translation keys
+     */
+    registerRenameProvider() {
+        const renameDisposable = vscode.languages.registerRenameProvider(
+            SUPPORTED_DOCUMENT_SELECTOR,
+            this.editorService.getRenameProvider()
+        );
+
+        this.disposables.push(renameDisposable);
+    }
+
+    /**
+     * Register the code action provider offering quick fixes for diagnostics
+     */
+    registerCodeActionProvider() {
+        const codeActionProvider = this.editorService.getCodeActionProvider();
+
+        const codeActionDisposable = vscode.languages.registerCodeActionsProvider(
+            SUPPORTED_DOCUMENT_SELECTOR,
+            codeActionProvider,
+            { providedCodeActionKinds: codeActionProvider.getProvidedCodeActionKinds() }
+        );
+
+        this.disposables.push(codeActionDisposable);
+    }
+
+    /**
+     * Register the commands extracting hard-coded Svelte text found by the diagnostics
+     */
+    registerHardcodedTextCommands() {
+        const extractOneCommand = vscode.commands.registerCommand('elementaryWatson.extractHardcodedText', async (uri, found) => {
+            const editor = await vscode.window.showTextDocument(uri);
+            const range = new vscode.Range(editor.document.positionAt(found.start), editor.document.positionAt(found.end));
+
+            // Markup text and attribute values both become {m.key()}
+            const success = await this.extractionService.extractRange(editor, range, { value: found.value, interpolationType: 'template' });
+            if (success) {
+                await this.diagnosticsService.updateDocument(editor.document);
+            }
+        });
+
+        const extractAllCommand = vscode.commands.registerCommand('elementaryWatson.extractAllHardcodedText', async (uri) => {
+            const editor = uri ? await vscode.window.showTextDocument(uri) : vscode.window.activeTextEditor;
+            if (!editor || editor.document.languageId !== 'svelte') {
+                vscode.window.showErrorMessage('Open a Svelte file to extract its hard-coded strings');
+                return;
+            }
+
+            const strings = this.extractionService.findHardcodedStrings(editor.document);
+            if (strings.length === 0) {
+                vscode.window.showInformationMessage('No hard-coded strings found in this file');
+                return;
+            }
+
+            const confirmation = await vscode.window.showWarningMessage(
+                `Extract ${strings.length} hard-coded ${strings.length === 1 ? 'string' : 'strings'} from ${path.basename(editor.document.uri.fsPath)} to the message files?`,
+                { modal: true },
+                'Extract'
+            );
+            if (confirmation !== 'Extract') return;
+
+            const extracted = await this.extractionService.extractStrings(editor, strings, 'template');
+            if (extracted > 0) {
+                vscode.window.showInformationMessage(`Extracted ${extracted} ${extracted === 1 ? 'string' : 'strings'} to locale files`);
+                await this.diagnosticsService.updateDocument(editor.document);
+            }
+        });
+
+        this.disposables.push(extractOneCommand, extractAllCommand);
+    }
+
+    /**
+     * Register the command creating a key that is missing in every locale from one of its call sites
+     */
+    registerCreateMissingKeyCommand() {
+        const createMissingKeyCommand = vscode.commands.registerCommand('elementaryWatson.createMissingKey', async (uri, key) => {
+            const workspacePath = this.projectService.getProjectPath(uri);
+            if (!workspacePath) {
+                vscode.window.showErrorMessage('No inlang project found for this file');
+                return;
+            }
+
+            const baseLocale = this.localeService.getBaseLocale(workspacePath);
+            const value = await vscode.window.showInputBox({
+                title: `Create key ${key}`,
+                prompt: `Value for the base locale "${baseLocale}" (other locales are left empty)`
+            });
+            if (value === undefined) return;
+
+            const success = await this.extractionService.addToLocaleFiles(workspacePath, key, value);
+            if (!success) {
+                vscode.window.showErrorMessage('Failed to update locale files');
+                return;
+            }
+
+            vscode.window.showInformationMessage(`Created "${key}" in all locale files`);
+
+            // Other files may call the same key
+            await this.processActiveEditor();
+            this.diagnosticsService.scheduleWorkspaceScan();
+        });
+
+        this.disposables.push(createMissingKeyCommand);
+    }
+
+    /**
+     * Register workspace-wide diagnostics for missing and partially translated keys
+     */
+    registerDiagnostics() {
+        // Keep diagnostics of files changed outside the editor up to date
+        const sourceFileWatcher = vscode.workspace.createFileSystemWatcher(this.diagnosticsService.workspaceScanner.getSourceFileGlob());
+        sourceFileWatcher.onDidCreate(uri => this.diagnosticsService.updateFile(uri));
+        sourceFileWatcher.onDidChange(uri => this.diagnosticsService.updateFile(uri));
+        sourceFileWatcher.onDidDelete(uri => this.diagnosticsService.removeFile(uri));
+
+        const scanWorkspaceCommand = vscode.commands.registerCommand('elementaryWatson.scanWorkspace', async () => {
+            await this.diagnosticsService.scanWorkspace();
+        });
+
+        this.disposables.push(sourceFileWatcher, scanWorkspaceCommand, this.diagnosticsService);
+
+        // Initial scan runs in the background so activation is not blocked
+        this.diagnosticsService.scanWorkspace();
+    }
+
+    /**
+     * Set up file system watchers for the translation files of every inlang project
      */
     async setupTranslationFileWatchers() {
         try {
@@ -296,44 +985,60 @@ class ExtensionActivator {
                 return;
             }
 
-            const workspaceFolder = vscode.workspace.workspaceFolders[0];
-            const workspacePath = workspaceFolder.uri.fsPath;
+            // Re-discover projects when a project.inlang is added, removed or its settings change
+            const settingsWatcher = vscode.workspace.createFileSystemWatcher(this.projectService.getSettingsGlob());
+            const handleSettingsChange = async () => {
+                this.projectService.clearCache();
+                this.localeService.clearSettingsCache();
+                translationCache.clear();
+                await this.setupTranslationFileWatchers();
+                this.diagnosticsService.scheduleWorkspaceScan();
+                await this.processActiveEditor();
+                this.updateLocaleStatus();
+                await this.updateCoverageStatus();
+            };
+            settingsWatcher.onDidCreate(handleSettingsChange);
+            settingsWatcher.onDidChange(handleSettingsChange);
+            settingsWatcher.onDidDelete(handleSettingsChange);
+            this.translationFileWatchers.push(settingsWatcher);
             
-            // Get available locales
-            const availableLocales = await this.sidebarService.getAvailableLocales(workspacePath);
+            const projects = await this.projectService.findProjects();
             
-            // Create file watchers for each locale
-            for (const locale of availableLocales) {
-                const translationPath = this.localeService.resolveTranslationPath(workspacePath, locale);
-                const relativePath = path.relative(workspacePath, translationPath);
-                
-                // Create a file system watcher for this specific translation file
-                const watcher = vscode.workspace.createFileSystemWatcher(
-                    new vscode.RelativePattern(workspaceFolder, relativePath),
-                    false, // Don't ignore creates
-                    false, // Don't ignore changes
-                    false  // Don't ignore deletes
-                );
+            for (const workspacePath of projects) {
+                // Get available locales of this project
+                const availableLocales = await this.sidebarService.getAvailableLocales(workspacePath);
                 
-                // Handle file changes
-                watcher.onDidChange(async () => {
-                    await this.handleTranslationFileChange(locale);
-                });
-                
-                // Handle file creation (useful for new locale files)
-                watcher.onDidCreate(async () => {
-                    await this.handleTranslationFileChange(locale);
-                });
-                
-                // Handle file deletion
-                watcher.onDidDelete(async () => {
-                    await this.handleTranslationFileChange(locale);
-                });
-                
-                this.translationFileWatchers.push(watcher);
-                this.disposables.push(watcher);
-                
-                console.log(`🔍 Watching translation file: ${relativePath}`);
+                // Create file watchers for each locale file (several per locale when pathPattern is an array)
+                for (const locale of availableLocales) {
+                    for (const translationPath of this.localeService.resolveTranslationPaths(workspacePath, locale)) {
+                        // Create a file system watcher for this specific translation file
+                        const watcher = vscode.workspace.createFileSystemWatcher(
+                            new vscode.RelativePattern(vscode.Uri.file(path.dirname(translationPath)), path.basename(translationPath)),
+                            false, // Don't ignore creates
+                            false, // Don't ignore changes
+                            false  // Don't ignore deletes
+                        );
+                        
+                        // Handle file changes
+                        watcher.onDidChange(async () => {
+                            await this.handleTranslationFileChange(locale, translationPath);
+                        });
+                        
+                        // Handle file creation (useful for new locale files)
+                        watcher.onDidCreate(async () => {
+                            await this.handleTranslationFileChange(locale, translationPath);
+                        });
+                        
+                        // Handle file deletion
+                        watcher.onDidDelete(async () => {
+                            await this.handleTranslationFileChange(locale, translationPath);
+                        });
+                        
+                        this.translationFileWatchers.push(watcher);
+                        
+                        console.log(`🔍 Watching translation file: ${vscode.workspace.asRelativePath(translationPath)}`);
+                    }
+                }
             }
             
         } catch (error) {
@@ -344,11 +1049,22 @@ class ExtensionActivator {
     /**
      * Handle changes to translation files
      * @param {string} locale The locale of the changed file
+     * @param {string} translationPath The full path to the changed file
      */
-    async handleTranslationFileChange(locale) {
+    async handleTranslationFileChange(locale, translationPath) {
         try {
             console.log(`🔄 Translation file changed for locale: ${locale}`);
             
+            // Drop the stale parsed copy before anything reloads it
+            translationCache.invalidate(translationPath);
+            
+            // Any file in the workspace may reference the changed keys
+            this.diagnosticsService.scheduleWorkspaceScan();
+            
+            // Keep the translation grid and the coverage summary in sync with edits made elsewhere
+            await this.translationGridPanel.refresh();
+            await this.updateCoverageStatus();
+            
             const activeEditor = vscode.window.activeTextEditor;
             
             // Check if sidebar has preserved context (from a previous non-translation file)
@@ -418,6 +1134,9 @@ class ExtensionActivator {
                 
                 // Refresh sidebar for the saved document
                 await this.sidebarTreeProvider.refresh(document);
+                
+                // Refresh diagnostics for the saved document
+                await this.diagnosticsService.updateDocument(document);
             }
         });
 
@@ -436,6 +1155,10 @@ class ExtensionActivator {
                 // Clear sidebar if no supported document is active and it's not a translation file
                 await this.sidebarTreeProvider.refresh(null);
             }
+
+            // The new editor may belong to another project
+            this.updateLocaleStatus();
+            await this.updateCoverageStatus();
         });
 
         // Listen for document content changes (new!)
@@ -470,6 +1193,9 @@ class ExtensionActivator {
                     
                     // Refresh sidebar for the changed document
                     await this.sidebarTreeProvider.refresh(document);
+                    
+                    // Refresh diagnostics for the changed document
+                    await this.diagnosticsService.updateDocument(document);
                 } catch (error) {
                     console.error('Error processing document content change:', error);
                 }
@@ -478,7 +1204,10 @@ class ExtensionActivator {
 
         // Listen for configuration changes
         const configChangeDisposable = vscode.workspace.onDidChangeConfiguration(async (event) => {
-            if (event.affectsConfiguration('elementaryWatson.defaultLocale')) {
+            if (event.affectsConfiguration('elementaryWatson.defaultLocale') ||
+                event.affectsConfiguration('elementaryWatson.referenceLocale')) {
+                this.updateLocaleStatus();
+
                 // Refresh current document when locale changes
                 await this.processActiveEditor();
                 
@@ -502,6 +1231,15 @@ class ExtensionActivator {
                 }
             }
             
+            if (event.affectsConfiguration('elementaryWatson.workspaceDiagnostics') ||
+                event.affectsConfiguration('elementaryWatson.hardcodedTextDiagnostics')) {
+                await this.diagnosticsService.scanWorkspace();
+            }
+            
+            if (event.affectsConfiguration('elementaryWatson.coverageStatusBar')) {
+                await this.updateCoverageStatus();
+            }
+            
             if (event.affectsConfiguration('elementaryWatson.updateDelay')) {
                 const delay = this.getDebounceDelay();
                 console.log(`⏱️  Update delay changed to ${delay}ms`);
@@ -511,7 +1249,11 @@ class ExtensionActivator {
         // Listen for workspace folder changes to refresh translation file watchers
         const workspaceFoldersChangeDisposable = vscode.workspace.onDidChangeWorkspaceFolders(async () => {
             console.log('📁 Workspace folders changed, refreshing translation file watchers');
+            this.projectService.clearCache();
+            this.localeService.clearSettingsCache();
+            translationCache.clear();
             await this.setupTranslationFileWatchers();
+            this.diagnosticsService.scheduleWorkspaceScan();
         });
 
         this.disposables.push(saveDisposable, editorChangeDisposable, documentChangeDisposable, configChangeDisposable, workspaceFoldersChangeDisposable);
@@ -548,6 +1290,7 @@ class ExtensionActivator {
         
         // Dispose of translation file watchers
         this.disposeTranslationFileWatchers();
+        translationCache.clear();
         
         // Dispose of other resources
         this.editorService.dispose();
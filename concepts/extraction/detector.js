@@ -0,0 +1,226 @@
+const { TranslationCallParser } = require('../translation/parser');
+
+// Attributes whose literal value is shown to users
+const TEXT_ATTRIBUTES = ['placeholder', 'title', 'alt', 'aria-label'];
+const TEXT_ATTRIBUTE_PATTERN = new RegExp(`(^|\\s)(${TEXT_ATTRIBUTES.join('|')})\\s*=\\s*("([^"]*)"|'([^']*)')`, 'gi');
+
+// Elements whose content is code, never user-facing text
+const RAW_TEXT_ELEMENTS = ['script', 'style'];
+
+// Svelte block and special tags ({#if}, {:else}, {/if}, {@html}), which end a text node unlike expression tags
+const SVELTE_BLOCK_PATTERN = /^\{\s*[#:/@]/;
+
+// Entities commonly written in markup text, decoded for the message value
+const HTML_ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#39;': "'",
+    '&apos;': "'",
+    '&nbsp;': ' '
+};
+
+/**
+ * Detector for user-facing literal text in Svelte markup (text nodes and text attributes)
+ */
+class HardcodedTextDetector {
+    constructor() {
+        this.parser = new TranslationCallParser();
+    }
+
+    /**
+     * Find hard-coded strings in a Svelte component
+     * @param {string} text The Svelte component source
+     * @returns {Array} Array of string objects sorted by position, each with start/end (the range to replace,
+     *   including the quotes of attribute values), value (the message text; text nodes keep their {expression} tags),
+     *   kind ('text' | 'attribute') and attribute
+     */
+    findStrings(text) {
+        const strings = [];
+        let index = 0;
+        let textStart = 0;
+
+        while (index < text.length) {
+            if (text.startsWith('<!--', index)) {
+                strings.push(...this.getTextSegment(text, textStart, index));
+                const commentEnd = text.indexOf('-->', index + 4);
+                index = commentEnd === -1 ? text.length : commentEnd + 3;
+                textStart = index;
+                continue;
+            }
+
+            if (text[index] === '<' && /[A-Za-z/]/.test(text[index + 1] || '')) {
+                strings.push(...this.getTextSegment(text, textStart, index));
+
+                const tagEnd = this.findTagEnd(text, index);
+                const tagName = (/^<([A-Za-z][\w:.-]*)/.exec(text.slice(index, tagEnd)) || [])[1];
+                if (tagName) {
+                    strings.push(...this.getAttributeStrings(text, index, tagEnd));
+                }
+
+                index = tagEnd === -1 ? text.length : tagEnd + 1;
+
+                // Skip the whole content of <script> and <style> elements
+                if (tagName && RAW_TEXT_ELEMENTS.includes(tagName.toLowerCase()) && text[tagEnd - 1] !== '/') {
+                    const closeIndex = text.toLowerCase().indexOf(`</${tagName.toLowerCase()}`, index);
+                    const closeEnd = closeIndex === -1 ? -1 : text.indexOf('>', closeIndex);
+                    index = closeEnd === -1 ? text.length : closeEnd + 1;
+                }
+
+                textStart = index;
+                continue;
+            }
+
+            if (text[index] === '{') {
+                // Blocks split the surrounding text, expression tags are part of it ("Hello {name}!")
+                const isBlock = SVELTE_BLOCK_PATTERN.test(text.slice(index, index + 20));
+                if (isBlock) {
+                    strings.push(...this.getTextSegment(text, textStart, index));
+                }
+                const closeIndex = this.parser.findClosingBrace(text, index);
+                index = closeIndex === -1 ? text.length : closeIndex + 1;
+                if (isBlock) {
+                    textStart = index;
+                }
+                continue;
+            }
+
+            index++;
+        }
+
+        strings.push(...this.getTextSegment(text, textStart, text.length));
+        return strings;
+    }
+
+    /**
+     * Find the end of a tag, skipping quoted attribute values and expressions
+     * @param {string} text The component source
+     * @param {number} tagStart Index of the opening '<'
+     * @returns {number} Index of the closing '>' or -1 if unterminated
+     */
+    findTagEnd(text, tagStart) {
+        for (let i = tagStart + 1; i < text.length; i++) {
+            const char = text[i];
+
+            if (char === '"' || char === "'") {
+                const closeQuote = text.indexOf(char, i + 1);
+                if (closeQuote === -1) return -1;
+                i = closeQuote;
+            } else if (char === '{') {
+                const closeIndex = this.parser.findClosingBrace(text, i);
+                if (closeIndex === -1) return -1;
+                i = closeIndex;
+            } else if (char === '>') {
+                return i;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Get the user-facing text of a text node segment
+     * @param {string} text The component source
+     * @param {number} start Start of the segment
+     * @param {number} end End of the segment
+     * @returns {Array} The segment as a single string object, or an empty array if it has no words
+     *   outside its expression tags
+     */
+    getTextSegment(text, start, end) {
+        const segment = text.slice(start, end);
+        const trimmed = segment.trim();
+        const parts = this.splitExpressionTags(trimmed);
+        if (!this.isUserFacing(parts.filter(part => !part.expression).map(part => part.text).join(' '))) {
+            return [];
+        }
+
+        const trimmedStart = start + segment.indexOf(trimmed);
+        return [{
+            start: trimmedStart,
+            end: trimmedStart + trimmed.length,
+            // Expression tags are kept as they are written, only the literal text is normalized
+            value: parts.map(part => (part.expression ? part.text : this.normalizeText(part.text))).join(''),
+            kind: 'text',
+            attribute: null
+        }];
+    }
+
+    /**
+     * Split text node content into literal text and {expression} tags
+     * @param {string} text The text node content
+     * @returns {Array<{text: string, expression: boolean}>} The parts, in order
+     */
+    splitExpressionTags(text) {
+        const parts = [];
+        let textStart = 0;
+        let index = text.indexOf('{');
+
+        while (index !== -1) {
+            const closeIndex = this.parser.findClosingBrace(text, index);
+            if (closeIndex === -1) break;
+
+            parts.push({ text: text.slice(textStart, index), expression: false });
+            parts.push({ text: text.slice(index, closeIndex + 1), expression: true });
+            textStart = closeIndex + 1;
+            index = text.indexOf('{', textStart);
+        }
+
+        parts.push({ text: text.slice(textStart), expression: false });
+        return parts.filter(part => part.text !== '');
+    }
+
+    /**
+     * Get the literal text attribute values of a tag
+     * @param {string} text The component source
+     * @param {number} tagStart Index of the opening '<'
+     * @param {number} tagEnd Index of the closing '>' or -1 if unterminated
+     * @returns {Array} String objects whose range covers the quoted value
+     */
+    getAttributeStrings(text, tagStart, tagEnd) {
+        const tagText = text.slice(tagStart, tagEnd === -1 ? text.length : tagEnd);
+        const strings = [];
+
+        TEXT_ATTRIBUTE_PATTERN.lastIndex = 0;
+        let match;
+        while ((match = TEXT_ATTRIBUTE_PATTERN.exec(tagText)) !== null) {
+            const value = match[4] !== undefined ? match[4] : match[5];
+
+            // Values with {expressions} are dynamic and cannot be extracted as they are
+            if (value.includes('{') || !this.isUserFacing(value.trim())) continue;
+
+            const start = tagStart + match.index + match[0].length - match[3].length;
+            strings.push({
+                start,
+                end: start + match[3].length,
+                value: this.normalizeText(value.trim()),
+                kind: 'attribute',
+                attribute: match[2].toLowerCase()
+            });
+        }
+
+        return strings;
+    }
+
+    /**
+     * Check if text contains words a user would read
+     * @param {string} text The trimmed text
+     * @returns {boolean} True if the text contains at least one letter outside HTML entities
+     */
+    isUserFacing(text) {
+        return /\p{L}/u.test(text.replace(/&#?\w+;/g, ''));
+    }
+
+    /**
+     * Turn markup text into a message value: whitespace collapsed as the browser renders it and common entities decoded
+     * @param {string} text The trimmed markup text
+     * @returns {string} The message value
+     */
+    normalizeText(text) {
+        return text
+            .replace(/\s+/g, ' ')
+            .replace(/&(amp|lt|gt|quot|#39|apos|nbsp);/g, entity => HTML_ENTITIES[entity]);
+    }
+}
+
+module.exports = { HardcodedTextDetector };
@@ -0,0 +1,187 @@
+const { TranslationCallParser } = require('../translation/parser');
+
+// Identifiers and member chains whose last property names the parameter, e.g. user.name or $page.data?.title
+const MEMBER_CHAIN_PATTERN = /^[A-Za-z_$][\w$]*(\s*\??\.\s*[A-Za-z_$][\w$]*)*$/;
+
+// Svelte block and special tags that cannot be part of a message
+const SVELTE_BLOCK_PATTERN = /^\s*[#:/@]/;
+
+/**
+ * Builds inlang messages with named parameters from extracted text containing expressions
+ * (Svelte markup `Hello {user.name}` or template literals `` `Hi ${name}` ``)
+ */
+class ExtractedMessageBuilder {
+    constructor() {
+        this.parser = new TranslationCallParser();
+    }
+
+    /**
+     * Build the message for an extracted selection
+     * @param {string} text The trimmed selection text
+     * @param {string} languageId The VS Code language ID of the document
+     * @returns {{value: string, params: Array<{name: string, expression: string}>}} The message pattern
+     *   (literal braces escaped) and its parameters in order of appearance
+     * @throws {Error} If the selection contains Svelte blocks or an unterminated expression
+     */
+    build(text, languageId) {
+        const quote = text.length >= 2 && text[0] === text[text.length - 1] ? text[0] : null;
+
+        if (quote === '`') {
+            // Template literal: ${...} are expressions, everything else is literal text
+            return this.buildFromParts(this.splitExpressions(text.slice(1, -1), '${'), true);
+        }
+
+        if (quote === '"' || quote === "'") {
+            // String literals have no expressions in their text
+            return { value: this.escapeText(this.unescapeString(text.slice(1, -1))), params: [] };
+        }
+
+        if (languageId !== 'svelte') {
+            return { value: this.escapeText(text), params: [] };
+        }
+
+        return this.buildFromMarkup(text);
+    }
+
+    /**
+     * Build the message for Svelte markup text, where every {...} is an expression tag
+     * @param {string} text The markup text, e.g. "Hello {user.name}, welcome"
+     * @returns {{value: string, params: Array<{name: string, expression: string}>}} The message pattern and its parameters
+     * @throws {Error} If the text contains Svelte blocks or an unterminated expression
+     */
+    buildFromMarkup(text) {
+        return this.buildFromParts(this.splitExpressions(text, '{'), false);
+    }
+
+    /**
+     * Split text into literal and expression parts
+     * @param {string} text The text
+     * @param {string} opener The expression opener ('${' for template literals, '{' for Svelte markup)
+     * @returns {Array<{type: string, text: string}>} Parts of type 'text' or 'expression'
+     * @throws {Error} If an expression is a Svelte block or is not terminated
+     */
+    splitExpressions(text, opener) {
+        const parts = [];
+        let index = 0;
+        let textStart = 0;
+
+        while (index < text.length) {
+            const isOpener = text.startsWith(opener, index) && !(opener === '${' && text[index - 1] === '\\');
+            if (!isOpener) {
+                index++;
+                continue;
+            }
+
+            const braceIndex = index + opener.length - 1;
+            const closeIndex = this.parser.findClosingBrace(text, braceIndex);
+            if (closeIndex === -1) {
+                throw new Error('The selection contains an unterminated expression');
+            }
+
+            const expression = text.slice(braceIndex + 1, closeIndex);
+            if (opener === '{' && SVELTE_BLOCK_PATTERN.test(expression)) {
+                throw new Error('The selection contains Svelte blocks; select the text inside the block instead');
+            }
+
+            parts.push({ type: 'text', text: text.slice(textStart, index) });
+            parts.push({ type: 'expression', text: expression.trim() });
+            index = closeIndex + 1;
+            textStart = index;
+        }
+
+        parts.push({ type: 'text', text: text.slice(textStart) });
+        return parts;
+    }
+
+    /**
+     * Join literal and expression parts into a message with named parameters
+     * @param {Array<{type: string, text: string}>} parts The parts
+     * @param {boolean} javascriptString True if the literal parts are JavaScript source with escape sequences
+     * @returns {{value: string, params: Array<{name: string, expression: string}>}} The message and its parameters
+     */
+    buildFromParts(parts, javascriptString) {
+        const params = [];
+        let value = '';
+
+        for (const part of parts) {
+            if (part.type === 'text') {
+                value += this.escapeText(javascriptString ? this.unescapeString(part.text) : part.text);
+                continue;
+            }
+
+            // The same expression used twice is one parameter
+            let param = params.find(existing => existing.expression === part.text);
+            if (!param) {
+                param = { name: this.getParameterName(part.text, params.map(existing => existing.name)), expression: part.text };
+                params.push(param);
+            }
+            value += `{${param.name}}`;
+        }
+
+        return { value, params };
+    }
+
+    /**
+     * Derive a parameter name from an expression, e.g. "user.name" → "name" and "$count" → "count"
+     * @param {string} expression The expression source
+     * @param {Array<string>} usedNames Names already taken by other parameters of the message
+     * @returns {string} A unique parameter name
+     */
+    getParameterName(expression, usedNames) {
+        let name = 'value';
+        if (MEMBER_CHAIN_PATTERN.test(expression)) {
+            // Svelte store subscriptions ($count) read better without the $
+            name = expression.split(/\??\./).pop().trim().replace(/^\$+/, '') || 'value';
+        }
+
+        let candidate = name;
+        for (let counter = 2; usedNames.includes(candidate); counter++) {
+            candidate = `${name}${counter}`;
+        }
+        return candidate;
+    }
+
+    /**
+     * Resolve the escape sequences of JavaScript string literal source, e.g. "Don\\'t" → "Don't"
+     * @param {string} text The string literal content without quotes
+     * @returns {string} The string value
+     */
+    unescapeString(text) {
+        const simpleEscapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+        return text.replace(/\\(u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|\r?\n|[\s\S])/g, (match, escape) => {
+            if (/^[ux]/.test(escape) && escape.length > 1) {
+                return String.fromCodePoint(parseInt(escape.replace(/[ux{}]/g, ''), 16));
+            }
+            if (escape.includes('\n')) {
+                return ''; // Line continuation
+            }
+            return escape in simpleEscapes ? simpleEscapes[escape] : escape;
+        });
+    }
+
+    /**
+     * Escape literal text for an inlang message pattern, where {...} would start a placeholder
+     * @param {string} text The literal text
+     * @returns {string} The text with backslashes and braces escaped
+     */
+    escapeText(text) {
+        return text.replace(/[\\{}]/g, '\\$&');
+    }
+
+    /**
+     * Format the parameter object of a call, e.g. "{ name: user.name, count }"
+     * @param {Array<{name: string, expression: string}>} params The parameters
+     * @returns {string} The object literal source, empty if there are no parameters
+     */
+    formatArguments(params) {
+        if (params.length === 0) {
+            return '';
+        }
+
+        const properties = params.map(({ name, expression }) => (name === expression ? name : `${name}: ${expression}`));
+        return `{ ${properties.join(', ')} }`;
+    }
+}
+
+module.exports = { ExtractedMessageBuilder };
@@ -0,0 +1,312 @@
+const vscode = require('vscode');
+const path = require('path');
+const { humanId } = require('human-id');
+const { LocaleService } = require('../locale/service');
+const { TranslationService } = require('../translation/service');
+
+// Dot-separated segments without whitespace, quotes or brackets
+const VALID_KEY_PATTERN = /^[^\s.'"`[\]\\]+(\.[^\s.'"`[\]\\]+)*$/;
+
+// Folders whose name says nothing about the feature a file belongs to
+const NAMESPACE_ROOTS = ['src', 'routes', 'lib', 'app', 'pages'];
+
+// SvelteKit route files named after their role instead of their content
+const ROUTE_FILE_PATTERN = /^\+(page|layout|error|server)(@[\w-]*)?$/;
+
+// Longest slug taken from the extracted text, in words
+const MAX_SLUG_WORDS = 5;
+
+/**
+ * Service generating keys for extracted text with the configured naming strategy
+ * ('humanId', 'slug', 'path', 'template' or 'prompt')
+ */
+class KeyNamingService {
+    constructor() {
+        this.localeService = new LocaleService();
+        this.translationService = new TranslationService();
+    }
+
+    /**
+     * Get the configured naming strategy
+     * @returns {string} The strategy id
+     */
+    getStrategy() {
+        const config = vscode.workspace.getConfiguration('elementaryWatson');
+        return config.get('keyNaming.strategy', 'humanId');
+    }
+
+    /**
+     * Get the configured key template used by the 'template' and 'prompt' strategies
+     * @returns {string} The template, e.g. "{namespace}.{slug}"
+     */
+    getTemplate() {
+        const config = vscode.workspace.getConfiguration('elementaryWatson');
+        return config.get('keyNaming.template', '{namespace}.{slug}');
+    }
+
+    /**
+     * Check if a key can be called as m.key() or m["nested.key"]()
+     * @param {string} key The translation key
+     * @returns {boolean} True if the key is valid
+     */
+    isValidKey(key) {
+        return VALID_KEY_PATTERN.test(key);
+    }
+
+    /**
+     * Generate a key that no locale of the project uses yet
+     * @param {Object} context What the key is generated for
+     * @param {string} context.workspacePath The project path
+     * @param {string} context.text The extracted text
+     * @param {string} [context.filePath] The file the text is extracted from
+     * @param {Set<string>} [context.reservedKeys] Keys already taken by the same batch but not written yet
+     * @param {boolean} [context.interactive] False to use the suggestion of the 'prompt' strategy without asking
+     * @returns {Promise<string|undefined>} The key or undefined if the user cancelled the prompt
+     */
+    async generateKey({ workspacePath, text, filePath, reservedKeys = new Set(), interactive = true }) {
+        const takenKeys = await this.getTakenKeys(workspacePath);
+        for (const key of reservedKeys) {
+            takenKeys.add(key);
+        }
+
+        const strategy = this.getStrategy();
+        if (strategy === 'humanId') {
+            return this.createHumanIdKey(takenKeys);
+        }
+
+        const humanIdToken = this.createHumanId();
+        const tokens = {
+            namespace: filePath ? this.getPathNamespace(filePath, workspacePath) : '',
+            file: filePath ? this.toSlug(path.parse(filePath).name.replace(ROUTE_FILE_PATTERN, '')) : '',
+            // Text without letters or digits (e.g. only emoji) has no slug
+            slug: this.toSlug(text) || humanIdToken,
+            humanId: humanIdToken
+        };
+
+        let key;
+        if (strategy === 'slug') {
+            key = tokens.slug;
+        } else if (strategy === 'path') {
+            key = this.joinKey([tokens.namespace, tokens.slug]);
+        } else {
+            key = this.applyTemplate(this.getTemplate(), tokens);
+        }
+
+        // A template producing no usable key falls back to a random one
+        if (!key || !this.isValidKey(key)) {
+            key = tokens.humanId;
+        }
+
+        const suggestion = this.makeUnique(key, takenKeys);
+        if (strategy === 'prompt' && interactive) {
+            return this.promptForKey(suggestion, text, takenKeys);
+        }
+
+        return suggestion;
+    }
+
+    /**
+     * Collect every key defined in any locale of a project, including nested keys
+     * @param {string} workspacePath The project path
+     * @returns {Promise<Set<string>>} The keys
+     */
+    async getTakenKeys(workspacePath) {
+        const locales = await this.localeService.getAvailableLocales(workspacePath);
+        const translationsByLocale = await this.translationService.loadTranslationsForLocales(workspacePath, locales);
+
+        const takenKeys = new Set();
+        for (const translations of translationsByLocale.values()) {
+            for (const entry of this.translationService.flattenTranslations(translations)) {
+                takenKeys.add(entry.key);
+            }
+        }
+        return takenKeys;
+    }
+
+    /**
+     * Check if a key can be added without clashing with existing keys
+     * @param {string} key The candidate key
+     * @param {Set<string>} takenKeys The keys in use
+     * @returns {boolean} True if the key, its parents and its children are all unused
+     */
+    isKeyAvailable(key, takenKeys) {
+        if (takenKeys.has(key)) {
+            return false;
+        }
+
+        // "login" cannot hold "login.title" as a message, and "login.title" cannot become a parent
+        const segments = key.split('.');
+        for (let i = 1; i < segments.length; i++) {
+            if (takenKeys.has(segments.slice(0, i).join('.'))) {
+                return false;
+            }
+        }
+
+        for (const takenKey of takenKeys) {
+            if (takenKey.startsWith(`${key}.`)) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Append a counter to a key until it is available
+     * @param {string} key The preferred key
+     * @param {Set<string>} takenKeys The keys in use
+     * @returns {string} The key or key_2, key_3, ... (flattened if a parent is a message)
+     */
+    makeUnique(key, takenKeys) {
+        // A counter cannot help when a parent is already a message, so the namespace is folded into the key
+        const segments = key.split('.');
+        for (let i = 1; i < segments.length; i++) {
+            if (takenKeys.has(segments.slice(0, i).join('.'))) {
+                return this.makeUnique(segments.join('_'), takenKeys);
+            }
+        }
+
+        let candidate = key;
+        for (let counter = 2; !this.isKeyAvailable(candidate, takenKeys); counter++) {
+            candidate = `${key}_${counter}`;
+        }
+        return candidate;
+    }
+
+    /**
+     * Create a random human-readable key that is not in use
+     * @param {Set<string>} takenKeys The keys in use
+     * @returns {string} The key
+     */
+    createHumanIdKey(takenKeys) {
+        // Try to generate unique key up to 10 times
+        for (let i = 0; i < 10; i++) {
+            const key = this.createHumanId();
+            if (this.isKeyAvailable(key, takenKeys)) {
+                return key;
+            }
+        }
+
+        // If we couldn't generate a unique key, add a timestamp
+        return `${this.createHumanId()}_${Date.now()}`;
+    }
+
+    /**
+     * Create a random human-readable id like "silly_brave_otter"
+     * @returns {string} The id
+     */
+    createHumanId() {
+        return humanId({
+            separator: '_',
+            capitalize: false,
+            adjectiveCount: 2,
+            addAdverb: false
+        });
+    }
+
+    /**
+     * Turn text into a snake_case key segment made of its first words
+     * @param {string} text The text
+     * @returns {string} The slug, empty if the text has no letters or digits
+     */
+    toSlug(text) {
+        const words = text
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+            .toLowerCase()
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(Boolean)
+            .slice(0, MAX_SLUG_WORDS);
+
+        const slug = words.join('_');
+
+        // Keys starting with a digit are not valid m.key() identifiers
+        return /^\p{N}/u.test(slug) ? `text_${slug}` : slug;
+    }
+
+    /**
+     * Derive a key namespace from the path of a file inside its project,
+     * e.g. "src/routes/login/+page.svelte" → "login" and "src/lib/components/UserCard.svelte" → "components.user_card"
+     * @param {string} filePath The file path
+     * @param {string} workspacePath The project path
+     * @returns {string} The dot-separated namespace, empty for files at the root of the routes
+     */
+    getPathNamespace(filePath, workspacePath) {
+        const relativePath = path.relative(workspacePath, filePath);
+        const parsed = path.parse(relativePath);
+
+        const segments = parsed.dir.split(/[\\/]/).filter(Boolean);
+        while (segments.length > 0 && NAMESPACE_ROOTS.includes(segments[0])) {
+            segments.shift();
+        }
+
+        // Route files are named after their folder, other files add their own name
+        if (!ROUTE_FILE_PATTERN.test(parsed.name) && parsed.name !== 'index') {
+            segments.push(parsed.name);
+        }
+
+        return this.joinKey(segments
+            // Route groups "(app)" and parameters "[id]" are not part of the URL a user sees
+            .filter(segment => !/^\(.*\)$/.test(segment) && !/^\[.*\]$/.test(segment))
+            .map(segment => this.toSlug(segment)));
+    }
+
+    /**
+     * Fill in the tokens of a key template
+     * @param {string} template The template, e.g. "{namespace}.{slug}"
+     * @param {Object<string, string>} tokens The token values ({namespace}, {file}, {slug}, {humanId})
+     * @returns {string} The key, with empty segments left out
+     */
+    applyTemplate(template, tokens) {
+        const filled = template.replace(/\{(\w+)\}/g, (match, token) => (token in tokens ? tokens[token] : match));
+        return this.joinKey(filled.split('.'));
+    }
+
+    /**
+     * Join key segments, skipping empty ones
+     * @param {Array<string>} segments The segments
+     * @returns {string} The dot-separated key
+     */
+    joinKey(segments) {
+        return segments.map(segment => segment.trim()).filter(Boolean).join('.');
+    }
+
+    /**
+     * Ask the user for a key, suggesting a generated one
+     * @param {string} suggestion The suggested key
+     * @param {string} text The extracted text
+     * @param {Set<string>} takenKeys The keys in use
+     * @returns {Promise<string|undefined>} The key or undefined if the user cancelled
+     */
+    async promptForKey(suggestion, text, takenKeys) {
+        const displayText = text.length > 40 ? text.substring(0, 37) + '...' : text;
+        const key = await vscode.window.showInputBox({
+            title: 'Translation key',
+            prompt: `Key for "${displayText}"`,
+            value: suggestion,
+            validateInput: value => this.validatePromptedKey(value, takenKeys)
+        });
+
+        return key === undefined ? undefined : key.trim();
+    }
+
+    /**
+     * Validate a key typed into the key prompt
+     * @param {string} value The typed key
+     * @param {Set<string>} takenKeys The keys in use
+     * @returns {string|null} The error message, or null if the key can be used
+     */
+    validatePromptedKey(value, takenKeys) {
+        const candidate = value.trim();
+        if (!this.isValidKey(candidate)) {
+            return 'Use dot-separated segments without spaces, quotes or brackets';
+        }
+        if (!this.isKeyAvailable(candidate, takenKeys)) {
+            return `"${candidate}" clashes with an existing key`;
+        }
+        return null;
+    }
+}
+
+module.exports = { KeyNamingService };
@@ -1,9 +1,16 @@
 const vscode = require('vscode');
 const fs = require('fs');
-const path = require('path');
-const { humanId } = require('human-id');
 const { LocaleService } = require('../locale/service');
 const { TranslationRepository } = require('../translation/repository');
+const { TranslationFileWriter } = require('../translation/writer');
+const { TranslationService } = require('../translation/service');
+const { ProjectService } = require('../project/service');
+const { HardcodedTextDetector } = require('./detector');
+const { KeyNamingService } = require('./naming');
+const { ExtractedMessageBuilder } = require('./message');
+
+// Keys that can be written as m.key; any other key needs bracket syntax
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
 
 /**
  * Service for extracting strings and adding them to locale files
@@ -11,77 +18,79 @@ const { TranslationRepository } = require('../translation/repository');
 class ExtractionService {
     constructor() {
         this.localeService = new LocaleService();
+        this.projectService = new ProjectService();
         this.translationRepository = new TranslationRepository();
+        this.translationFileWriter = new TranslationFileWriter();
+        this.hardcodedTextDetector = new HardcodedTextDetector();
+        this.keyNamingService = new KeyNamingService();
+        this.messageBuilder = new ExtractedMessageBuilder();
+        this.translationService = new TranslationService();
     }
 
     /**
-     * Strip matching quotes from text if present
-     * @param {string} text The text to process
-     * @returns {string} Text with matching outer quotes removed
+     * Extract selected text and add to locale files
+     * @param {vscode.TextEditor} editor The active text editor
+     * @returns {Promise<boolean>} True if extraction was successful
      */
-    stripMatchingQuotes(text) {
-        if (!text || text.length < 2) {
-            return text;
+    async extractSelectedText(editor) {
+        if (!editor || !editor.selection || editor.selection.isEmpty) {
+            vscode.window.showErrorMessage('Please select text to extract');
+            return false;
         }
 
-        const firstChar = text[0];
-        const lastChar = text[text.length - 1];
-        
-        // Check if first and last characters are matching quotes
-        if ((firstChar === '"' && lastChar === '"') ||
-            (firstChar === "'" && lastChar === "'") ||
-            (firstChar === '`' && lastChar === '`')) {
-            return text.slice(1, -1);
-        }
-        
-        return text;
+        return await this.extractRange(editor, editor.selection);
     }
 
     /**
-     * Extract selected text and add to locale files
-     * @param {vscode.TextEditor} editor The active text editor
+     * Extract the text of a range and add it to locale files
+     * @param {vscode.TextEditor} editor The text editor
+     * @param {vscode.Range} range The range to replace with the key call
+     * @param {Object} [options] Extraction options
+     * @param {string} [options.value] The markup text of a hard-coded string found by the detector, whose {expression}
+     *   tags become named parameters; defaults to the range text, where quotes are stripped and expressions
+     *   ({expr} in Svelte markup, ${expr} in template literals) become named parameters
+     * @param {string} [options.interpolationType] 'template' or 'code'; the user is asked when omitted
      * @returns {Promise<boolean>} True if extraction was successful
      */
-    async extractSelectedText(editor) {
+    async extractRange(editor, range, options = {}) {
         try {
-            if (!editor || !editor.selection || editor.selection.isEmpty) {
-                vscode.window.showErrorMessage('Please select text to extract');
-                return false;
-            }
-
-            const rawSelectedText = editor.document.getText(editor.selection).trim();
+            const rawSelectedText = editor.document.getText(range).trim();
             if (!rawSelectedText) {
                 vscode.window.showErrorMessage('Selected text is empty');
                 return false;
             }
 
-            // Strip matching quotes if present
-            const selectedText = this.stripMatchingQuotes(rawSelectedText);
+            // Expressions become named parameters and literal braces are escaped
+            const message = options.value !== undefined
+                ? this.messageBuilder.buildFromMarkup(options.value)
+                : this.messageBuilder.build(rawSelectedText, editor.document.languageId);
+            const selectedText = message.value;
 
-            const workspaceFolder = vscode.workspace.getWorkspaceFolder(editor.document.uri);
-            if (!workspaceFolder) {
+            const workspacePath = this.projectService.getProjectPath(editor.document.uri);
+            if (!workspacePath) {
                 vscode.window.showErrorMessage('No workspace folder found');
                 return false;
             }
 
-            const workspacePath = workspaceFolder.uri.fsPath;
-
             // Check if the exact text already exists in translations (using cleaned text)
             const existingKey = await this.findExistingTranslation(workspacePath, selectedText);
             if (existingKey) {
                 // Auto-interpolate with existing key without asking
-                return await this.replaceTextWithKey(editor, existingKey);
+                return await this.replaceTextWithKey(editor, range, existingKey, options.interpolationType, message.params);
             }
 
             // Generate new key
-            const newKey = await this.generateUniqueKey(workspacePath);
+            const newKey = await this.generateUniqueKey(workspacePath, { text: selectedText, filePath: editor.document.uri.fsPath });
+            if (newKey === undefined) {
+                return false; // User cancelled
+            }
             if (!newKey) {
                 vscode.window.showErrorMessage('Failed to generate unique key');
                 return false;
             }
 
             // Get interpolation choice from user (showing the real key name)
-            const interpolationType = await this.getUserInterpolationChoice(editor.document.languageId, newKey);
+            const interpolationType = options.interpolationType || await this.getUserInterpolationChoice(editor.document.languageId, newKey);
             if (!interpolationType) {
                 return false; // User cancelled
             }
@@ -93,9 +102,9 @@ class ExtractionService {
                 return false;
             }
 
-            // Replace selected text with key call
-            const keyCall = this.formatKeyCall(newKey, interpolationType);
-            return await this.replaceSelectedText(editor, keyCall);
+            // Replace the range with key call
+            const keyCall = this.formatKeyCall(newKey, interpolationType, message.params);
+            return await this.replaceRange(editor, range, keyCall);
 
         } catch (error) {
             console.error('Error during text extraction:', error);
@@ -104,6 +113,80 @@ class ExtractionService {
         }
     }
 
+    /**
+     * Find the hard-coded strings of a Svelte document
+     * @param {vscode.TextDocument} document The Svelte document
+     * @returns {Array} The strings found by the hard-coded text detector
+     */
+    findHardcodedStrings(document) {
+        return this.hardcodedTextDetector.findStrings(document.getText());
+    }
+
+    /**
+     * Extract many strings of a document at once, writing every locale file in a single edit
+     * @param {vscode.TextEditor} editor The text editor
+     * @param {Array<{start: number, end: number, value: string}>} strings The hard-coded strings to extract (non-overlapping
+     *   offsets); {expression} tags in their values become named parameters
+     * @param {string} interpolationType 'template' or 'code'
+     * @returns {Promise<number>} The number of extracted strings
+     */
+    async extractStrings(editor, strings, interpolationType) {
+        try {
+            const workspacePath = this.projectService.getProjectPath(editor.document.uri);
+            if (!workspacePath) {
+                vscode.window.showErrorMessage('No workspace folder found');
+                return 0;
+            }
+
+            // Expression tags become named parameters, so "Hello {user.name}" is one message with a {name} parameter
+            const messages = strings.map(found => ({ ...found, ...this.messageBuilder.buildFromMarkup(found.value) }));
+
+            // Equal texts share one key, existing translations are reused
+            const keysByValue = new Map();
+            const newEntries = [];
+            for (const { value } of messages) {
+                if (keysByValue.has(value)) continue;
+
+                let key = await this.findExistingTranslation(workspacePath, value);
+                if (!key) {
+                    // Prompting for every string of a batch would be tedious, so suggested keys are used as they are
+                    key = await this.generateUniqueKey(workspacePath, {
+                        text: value,
+                        filePath: editor.document.uri.fsPath,
+                        reservedKeys: new Set(newEntries.map(entry => entry.key)),
+                        interactive: false
+                    });
+                    if (!key) {
+                        vscode.window.showErrorMessage('Failed to generate unique key');
+                        return 0;
+                    }
+                    newEntries.push({ key, value });
+                }
+                keysByValue.set(value, key);
+            }
+
+            if (newEntries.length > 0) {
+                await this.addEntriesToLocaleFiles(workspacePath, newEntries);
+            }
+
+            const document = editor.document;
+            const applied = await editor.edit(editBuilder => {
+                for (const { start, end, value, params } of messages) {
+                    editBuilder.replace(
+                        new vscode.Range(document.positionAt(start), document.positionAt(end)),
+                        this.formatKeyCall(keysByValue.get(value), interpolationType, params)
+                    );
+                }
+            });
+
+            return applied ? strings.length : 0;
+        } catch (error) {
+            console.error('Error during batch text extraction:', error);
+            vscode.window.showErrorMessage(`Failed to extract strings: ${error.message}`);
+            return 0;
+        }
+    }
+
     /**
      * Find if the exact text already exists in any translation (supports nested keys)
      * @param {string} workspacePath The workspace root path
@@ -158,40 +241,18 @@ class ExtractionService {
     }
 
     /**
-     * Generate a unique human-readable key
+     * Generate a unique key for extracted text with the configured naming strategy
      * @param {string} workspacePath The workspace root path
-     * @returns {Promise<string|null>} The generated unique key or null if failed
+     * @param {Object} [options] Naming options
+     * @param {string} [options.text] The extracted text
+     * @param {string} [options.filePath] The file the text is extracted from
+     * @param {Set<string>} [options.reservedKeys] Keys already taken by the same batch but not written yet
+     * @param {boolean} [options.interactive] False to skip the prompt of the 'prompt' strategy
+     * @returns {Promise<string|null|undefined>} The generated unique key, null if failed or undefined if the user cancelled
      */
-    async generateUniqueKey(workspacePath) {
+    async generateUniqueKey(workspacePath, { text = '', filePath, reservedKeys = new Set(), interactive = true } = {}) {
         try {
-            const inlangSettings = this.localeService.loadInlangSettings(workspacePath);
-            const baseLocale = inlangSettings?.baseLocale || 'en';
-            const baseTranslationPath = this.localeService.resolveTranslationPath(workspacePath, baseLocale);
-            const baseTranslations = await this.translationRepository.loadTranslations(baseTranslationPath, baseLocale) || {};
-
-            // Try to generate unique key up to 10 times
-            for (let i = 0; i < 10; i++) {
-                const key = humanId({
-                    separator: '_',
-                    capitalize: false,
-                    adjectiveCount: 2,
-                    addAdverb: false
-                });
-
-                if (!baseTranslations[key]) {
-                    return key;
-                }
-            }
-
-            // If we couldn't generate a unique key, add a timestamp
-            const key = humanId({
-                separator: '_',
-                capitalize: false,
-                adjectiveCount: 2,
-                addAdverb: false
-            });
-            return `${key}_${Date.now()}`;
-
+            return await this.keyNamingService.generateKey({ workspacePath, text, filePath, reservedKeys, interactive });
         } catch (error) {
             console.error('Error generating unique key:', error);
             return null;
@@ -226,7 +287,7 @@ class ExtractionService {
     }
 
     /**
-     * Add the new key-value pair to all locale files
+     * Add the new key-value pair to all locale files as one undoable edit
      * @param {string} workspacePath The workspace root path
      * @param {string} key The translation key
      * @param {string} value The translation value
@@ -234,23 +295,7 @@ class ExtractionService {
      */
     async addToLocaleFiles(workspacePath, key, value) {
         try {
-            const inlangSettings = this.localeService.loadInlangSettings(workspacePath);
-            const availableLocales = inlangSettings?.locales || ['en'];
-            const baseLocale = inlangSettings?.baseLocale || 'en';
-
-            // Save base locale first
-            await this.updateLocaleFile(workspacePath, baseLocale, key, value);
-            
-            // Wait 2 seconds as requested
-            await new Promise(resolve => setTimeout(resolve, 2000));
-            
-            // Save other locales with empty strings
-            for (const locale of availableLocales) {
-                if (locale !== baseLocale) {
-                    await this.updateLocaleFile(workspacePath, locale, key, '');
-                }
-            }
-
+            await this.addEntriesToLocaleFiles(workspacePath, [{ key, value }]);
             return true;
         } catch (error) {
             console.error('Error adding to locale files:', error);
@@ -258,38 +303,49 @@ class ExtractionService {
         }
     }
 
+    /**
+     * Add several new keys to all locale files as one undoable edit: the value in the base locale, empty elsewhere
+     * @param {string} workspacePath The workspace root path
+     * @param {Array<{key: string, value: string}>} entries The new keys and their base locale values
+     * @returns {Promise<void>}
+     */
+    async addEntriesToLocaleFiles(workspacePath, entries) {
+        const availableLocales = await this.localeService.getAvailableLocales(workspacePath);
+        const baseLocale = this.localeService.getBaseLocale(workspacePath);
+
+        await this.translationFileWriter.applyChanges(availableLocales.map(locale => {
+            const translationPath = this.localeService.resolveTranslationPath(workspacePath, locale);
+            return {
+                translationPath,
+                update: text => entries.reduce(
+                    (updated, { key, value }) => this.translationRepository.setValueInText(updated, key, locale === baseLocale ? value : '', translationPath),
+                    text
+                )
+            };
+        }));
+    }
+
     /**
      * Update a specific locale file with new key-value pair (supports nested keys)
      * @param {string} workspacePath The workspace root path
      * @param {string} locale The locale to update
      * @param {string} key The translation key (can be nested like "login.inputs.email")
      * @param {string} value The translation value
-     * @returns {Promise<void>}
+     * @returns {Promise<string>} The path of the updated locale file
      */
     async updateLocaleFile(workspacePath, locale, key, value) {
         try {
-            const translationPath = this.localeService.resolveTranslationPath(workspacePath, locale);
+            // Existing keys are updated in the file defining them (pathPattern may list several files)
+            const translationPath = await this.translationService.findTranslationFileForKey(workspacePath, locale, key);
             
-            // Load existing translations or create empty object
-            let translations = {};
-            if (fs.existsSync(translationPath)) {
-                const content = fs.readFileSync(translationPath, 'utf8');
-                translations = JSON.parse(content);
-            } else {
-                // Ensure directory exists
-                const dir = path.dirname(translationPath);
-                if (!fs.existsSync(dir)) {
-                    fs.mkdirSync(dir, { recursive: true });
-                }
-            }
-
-            // Set the nested or flat key-value pair
-            this.setNestedValue(translations, key, value);
-
-            // Write back to file maintaining original key order
-            fs.writeFileSync(translationPath, JSON.stringify(translations, null, 2) + '\n', 'utf8');
+            // Only the changed key is edited, keeping key order, indentation and comments; the edit can be undone
+            await this.translationFileWriter.applyChanges([{
+                translationPath,
+                update: text => this.translationRepository.setValueInText(text, key, value, translationPath)
+            }]);
             
             console.log(`✅ Updated ${locale} locale file: ${key} = "${value}"`);
+            return translationPath;
         } catch (error) {
             console.error(`Error updating locale file for ${locale}:`, error);
             throw error;
@@ -297,63 +353,73 @@ class ExtractionService {
     }
 
     /**
-     * Set nested value in object using dot notation
-     * @param {Object} obj The object to modify
-     * @param {string} path The dot-separated path (e.g., "login.inputs.email")
-     * @param {any} value The value to set
+     * Remove keys from every locale file (supports nested keys)
+     * @param {string} workspacePath The workspace root path
+     * @param {Array<string>} keys The translation keys to remove
+     * @returns {Promise<boolean>} True if successful
      */
-    setNestedValue(obj, path, value) {
-        if (!path.includes('.')) {
-            // Simple flat key
-            obj[path] = value;
-            return;
+    async removeFromLocaleFiles(workspacePath, keys) {
+        try {
+            const availableLocales = await this.localeService.getAvailableLocales(workspacePath);
+
+            // A locale has several files when pathPattern is an array
+            const localeFiles = availableLocales.flatMap(locale => this.localeService.resolveTranslationPaths(workspacePath, locale)
+                .map(translationPath => ({ locale, translationPath })));
+
+            // One workspace edit across all locale files, so a single undo restores the keys
+            const existingFiles = localeFiles.filter(({ translationPath }) => fs.existsSync(translationPath));
+            await this.translationFileWriter.applyChanges(existingFiles.map(({ translationPath }) => ({
+                translationPath,
+                update: text => keys.reduce((updated, key) => this.translationRepository.removeKeyInText(updated, key, translationPath), text)
+            })));
+
+            return true;
+        } catch (error) {
+            console.error('Error removing keys from locale files:', error);
+            return false;
         }
+    }
 
-        const keys = path.split('.');
-        const lastKey = keys.pop();
-        
-        // Navigate to the parent object, creating nested objects as needed
-        let current = obj;
-        for (const key of keys) {
-            if (current[key] === undefined || typeof current[key] !== 'object' || Array.isArray(current[key])) {
-                current[key] = {};
-            }
-            current = current[key];
+    /**
+     * Format the m accessor for a key: m.key for identifier keys, m["nested.key"] for nested keys
+     * and keys that are not JavaScript identifiers (e.g. "sign-in" or "1abc")
+     * @param {string} key The translation key
+     * @returns {string} The formatted accessor
+     */
+    formatKeyAccessor(key) {
+        if (!IDENTIFIER_PATTERN.test(key)) {
+            // Nested or non-identifier key - use bracket notation
+            return `m["${key}"]`;
         }
-        
-        current[lastKey] = value;
+
+        // Flat key - use dot notation for backward compatibility
+        return `m.${key}`;
     }
 
     /**
      * Format key call based on key type and interpolation preference
      * @param {string} key The translation key
      * @param {string} interpolationType 'template' or 'code'
+     * @param {Array<{name: string, expression: string}>} [params] The message parameters, passed as an object
      * @returns {string} The formatted key call
      */
-    formatKeyCall(key, interpolationType) {
+    formatKeyCall(key, interpolationType, params = []) {
         const isTemplate = interpolationType === 'template';
-        
-        if (key.includes('.')) {
-            // Nested key - use bracket notation
-            const keyCall = `m["${key}"]()`;
-            return isTemplate ? `{${keyCall}}` : keyCall;
-        } else {
-            // Flat key - use dot notation for backward compatibility
-            const keyCall = `m.${key}()`;
-            return isTemplate ? `{${keyCall}}` : keyCall;
-        }
+        const keyCall = `${this.formatKeyAccessor(key)}(${this.messageBuilder.formatArguments(params)})`;
+        return isTemplate ? `{${keyCall}}` : keyCall;
     }
 
     /**
-     * Replace selected text with the key call
+     * Replace a range with the key call
      * @param {vscode.TextEditor} editor The text editor
+     * @param {vscode.Range} range The range to replace
      * @param {string} replacement The replacement text
      * @returns {Promise<boolean>} True if successful
      */
-    async replaceSelectedText(editor, replacement) {
+    async replaceRange(editor, range, replacement) {
         try {
             await editor.edit(editBuilder => {
-                editBuilder.replace(editor.selection, replacement);
+                editBuilder.replace(range, replacement);
             });
             
             // Focus back on the editor
@@ -367,20 +433,23 @@ class ExtractionService {
     }
 
     /**
-     * Replace text with existing key
+     * Replace a range with an existing key
      * @param {vscode.TextEditor} editor The text editor
+     * @param {vscode.Range} range The range to replace
      * @param {string} existingKey The existing translation key
+     * @param {string} [interpolationType] 'template' or 'code'; the user is asked when omitted
+     * @param {Array<{name: string, expression: string}>} [params] The message parameters
      * @returns {Promise<boolean>} True if successful
      */
-    async replaceTextWithKey(editor, existingKey) {
-        const interpolationType = await this.getUserInterpolationChoice(editor.document.languageId, existingKey);
-        if (!interpolationType) {
+    async replaceTextWithKey(editor, range, existingKey, interpolationType, params = []) {
+        const selectedType = interpolationType || await this.getUserInterpolationChoice(editor.document.languageId, existingKey);
+        if (!selectedType) {
             return false;
         }
 
-        const keyCall = this.formatKeyCall(existingKey, interpolationType);
-        return await this.replaceSelectedText(editor, keyCall);
+        const keyCall = this.formatKeyCall(existingKey, selectedType, params);
+        return await this.replaceRange(editor, range, keyCall);
     }
 }
 
-module.exports = { ExtractionService }; 
\ No newline at end of file
+module.exports = { ExtractionService };
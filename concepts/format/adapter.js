@@ -0,0 +1,101 @@
+/**
+ * Base class of message file format adapters.
+ * An adapter reads a message file into the inlang message format (`{name}` placeholders, nested objects
+ * for dotted keys, variant arrays for plurals), locates keys in the file text and writes changes back
+ * while leaving the rest of the file untouched.
+ *
+ * Locations returned by locateKey() have the shape
+ * {path, propertyOffset, propertyLength, keyOffset, keyLength, keyContentOffset, keyContentLength,
+ *  valueOffset, valueLength, valueContentOffset, valueContentLength, valueType}
+ * where the "content" ranges exclude quotes and valueType is 'string', 'object', 'array' or another scalar type.
+ */
+class MessageFormatAdapter {
+    /**
+     * @param {string} id The adapter id used in logs and settings
+     * @param {string} label The human readable format name
+     */
+    constructor(id, label) {
+        this.id = id;
+        this.label = label;
+    }
+
+    /**
+     * Parse message file content into a translations object
+     * @param {string} text The file content
+     * @returns {Object} The translations object
+     */
+    read() {
+        throw new Error(`${this.label} adapter does not implement read()`);
+    }
+
+    /**
+     * Locate a key in message file content (dotted keys are nested first, with a literal flat key as fallback)
+     * @param {string} text The file content
+     * @param {string} key The translation key
+     * @returns {Object|null} The key location or null if not found
+     */
+    locateKey() {
+        throw new Error(`${this.label} adapter does not implement locateKey()`);
+    }
+
+    /**
+     * Set the value of a key, creating parent objects as needed
+     * @param {string} text The file content
+     * @param {string} key The translation key
+     * @param {any} value The message value
+     * @returns {string} The updated content
+     */
+    setValue() {
+        throw new Error(`${this.label} adapter does not implement setValue()`);
+    }
+
+    /**
+     * Remove a key, dropping parent objects left empty
+     * @param {string} text The file content
+     * @param {string} key The translation key
+     * @returns {string} The updated content (unchanged if the key does not exist)
+     */
+    removeKey() {
+        throw new Error(`${this.label} adapter does not implement removeKey()`);
+    }
+
+    /**
+     * Rename a key, keeping its value and the rest of the file untouched
+     * @param {string} text The file content
+     * @param {string} oldKey The current key
+     * @param {string} newKey The new key
+     * @returns {string|null} The updated content or null if the old key does not exist
+     * @throws {Error} If the new key already exists or collides with an existing message
+     */
+    renameKey() {
+        throw new Error(`${this.label} adapter does not implement renameKey()`);
+    }
+
+    /**
+     * Get the content of a new, empty message file
+     * @returns {string} The initial file content
+     */
+    createEmpty() {
+        return '';
+    }
+
+    /**
+     * Get the candidate paths of a key (dotted keys are nested objects, with a literal flat key as fallback)
+     * @param {string} key The translation key
+     * @returns {Array<Array<string>>} The paths to try, in order
+     */
+    getCandidatePaths(key) {
+        return key.includes('.') ? [this.getKeyPath(key), [key]] : [[key]];
+    }
+
+    /**
+     * Get the path of a key (dotted keys are nested objects)
+     * @param {string} key The translation key
+     * @returns {Array<string>} The path segments
+     */
+    getKeyPath(key) {
+        return key.includes('.') ? key.split('.') : [key];
+    }
+}
+
+module.exports = { MessageFormatAdapter };
@@ -0,0 +1,222 @@
+const { MessageFormatAdapter } = require('./adapter');
+const { JsonFormatAdapter } = require('./json');
+
+// Plural suffixes of i18next keys (key_one, key_other, ...) in CLDR order
+const PLURAL_SUFFIXES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+const PLURAL_KEY_PATTERN = /^(.+)_(zero|one|two|few|many|other)$/;
+
+/**
+ * Adapter for i18next-style nested JSON files.
+ * `{{name}}` interpolations are read as `{name}` placeholders and plural keys (`items_one`, `items_other`)
+ * are grouped into a single variant message selected by `count`, matching the inlang message format.
+ */
+class I18nextFormatAdapter extends MessageFormatAdapter {
+    constructor() {
+        super('i18next', 'i18next JSON');
+        this.jsonAdapter = new JsonFormatAdapter();
+    }
+
+    /**
+     * Parse message file content into a translations object
+     * @param {string} text The file content
+     * @returns {Object} The translations object
+     */
+    read(text) {
+        return this.toMessages(this.jsonAdapter.read(text));
+    }
+
+    /**
+     * Convert an i18next resource object into inlang messages
+     * @param {Object} resources The i18next resources (one nesting level)
+     * @returns {Object} The translations object
+     */
+    toMessages(resources) {
+        const messages = {};
+        const pluralGroups = new Map();
+
+        for (const [key, value] of Object.entries(resources)) {
+            const pluralMatch = key.match(PLURAL_KEY_PATTERN);
+            if (pluralMatch && typeof value === 'string' && !(pluralMatch[1] in resources)) {
+                if (!pluralGroups.has(pluralMatch[1])) {
+                    pluralGroups.set(pluralMatch[1], {});
+                }
+                pluralGroups.get(pluralMatch[1])[pluralMatch[2]] = value;
+                continue;
+            }
+
+            if (typeof value === 'string') {
+                messages[key] = this.toPlaceholders(value);
+            } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+                messages[key] = this.toMessages(value);
+            } else {
+                messages[key] = value;
+            }
+        }
+
+        for (const [baseKey, forms] of pluralGroups) {
+            // Without an _other form the suffix is part of an ordinary key name
+            if (!('other' in forms)) {
+                for (const [suffix, value] of Object.entries(forms)) {
+                    messages[`${baseKey}_${suffix}`] = this.toPlaceholders(value);
+                }
+                continue;
+            }
+
+            const match = {};
+            for (const suffix of PLURAL_SUFFIXES) {
+                if (suffix in forms) {
+                    match[`countPlural=${suffix}`] = this.toPlaceholders(forms[suffix]);
+                }
+            }
+
+            messages[baseKey] = [{
+                declarations: ['input count', 'local countPlural = count: plural'],
+                selectors: ['countPlural'],
+                match
+            }];
+        }
+
+        return messages;
+    }
+
+    /**
+     * Convert i18next interpolations to inlang placeholders ({{name}} and {{- name}} become {name})
+     * @param {string} value The i18next value
+     * @returns {string} The value with inlang placeholders
+     */
+    toPlaceholders(value) {
+        return value.replace(/\{\{-?\s*([\w$.]+)[^{}]*\}\}/g, '{$1}');
+    }
+
+    /**
+     * Convert inlang placeholders to i18next interpolations ({name} becomes {{name}})
+     * @param {string} value The inlang value
+     * @returns {string} The value with i18next interpolations
+     */
+    fromPlaceholders(value) {
+        return value.replace(/(?<![\\{])\{([\w$.]+)\}(?!\})/g, '{{$1}}');
+    }
+
+    /**
+     * Get the i18next keys a message is stored under: the key itself and its plural forms
+     * @param {string} key The translation key
+     * @returns {Array<string>} The candidate keys
+     */
+    getStoredKeys(key) {
+        return [key, ...PLURAL_SUFFIXES.map(suffix => `${key}_${suffix}`)];
+    }
+
+    /**
+     * Locate a key, or its first plural form for plural messages
+     * @param {string} text The file content
+     * @param {string} key The translation key
+     * @returns {Object|null} The key location or null if not found
+     */
+    locateKey(text, key) {
+        for (const storedKey of this.getStoredKeys(key)) {
+            const location = this.jsonAdapter.locateKey(text, storedKey);
+            if (location) {
+                return location;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Set the value of a key. Variant values are written as plural keys (key_one, key_other, ...).
+     * @param {string} text The file content
+     * @param {string} key The translation key
+     * @param {any} value The message value
+     * @returns {string} The updated content
+     */
+    setValue(text, key, value) {
+        if (typeof value === 'string') {
+            return this.jsonAdapter.setValue(text, key, this.fromPlaceholders(value));
+        }
+
+        if (Array.isArray(value) && value[0] && value[0].match) {
+            let updated = text;
+            for (const [suffix, pattern] of this.getPluralForms(key, value)) {
+                updated = this.jsonAdapter.setValue(updated, `${key}_${suffix}`, this.fromPlaceholders(pattern));
+            }
+            return updated;
+        }
+
+        return this.jsonAdapter.setValue(text, key, value);
+    }
+
+    /**
+     * Map the variants of a message to i18next plural suffixes. i18next keys only encode a single plural
+     * selector, so variants selecting on several values (e.g. count and context) cannot be stored.
+     * @param {string} key The translation key
+     * @param {Array<Object>} value The variant message value
+     * @returns {Array<[string, string]>} The plural suffix and pattern of each variant
+     * @throws {Error} If the variants do not form a single plural selection
+     */
+    getPluralForms(key, value) {
+        const [variant] = value;
+        const selectors = variant.selectors || [];
+        const unsupported = new Error(`Message "${key}" cannot be stored as i18next plural keys: only variants of a single plural selector are supported`);
+
+        if (value.length !== 1 || selectors.length > 1) {
+            throw unsupported;
+        }
+
+        return Object.entries(variant.match).map(([condition, pattern]) => {
+            const parts = condition.split(',');
+            const form = parts[0].split('=')[1];
+            const suffix = form && form.trim() === '*' ? 'other' : form && form.trim();
+            if (parts.length !== 1 || !PLURAL_SUFFIXES.includes(suffix)) {
+                throw unsupported;
+            }
+            return [suffix, pattern];
+        });
+    }
+
+    /**
+     * Remove a key together with its plural forms
+     * @param {string} text The file content
+     * @param {string} key The translation key
+     * @returns {string} The updated content (unchanged if the key does not exist)
+     */
+    removeKey(text, key) {
+        return this.getStoredKeys(key).reduce((updated, storedKey) => this.jsonAdapter.removeKey(updated, storedKey), text);
+    }
+
+    /**
+     * Rename a key together with its plural forms
+     * @param {string} text The file content
+     * @param {string} oldKey The current key
+     * @param {string} newKey The new key
+     * @returns {string|null} The updated content or null if the old key does not exist
+     * @throws {Error} If the new key already exists or collides with an existing message
+     */
+    renameKey(text, oldKey, newKey) {
+        if (!this.locateKey(text, oldKey)) {
+            return null;
+        }
+
+        if (this.locateKey(text, newKey)) {
+            throw new Error(`Key "${newKey}" already exists`);
+        }
+
+        let updated = text;
+        for (const suffix of ['', ...PLURAL_SUFFIXES.map(form => `_${form}`)]) {
+            const renamed = this.jsonAdapter.renameKey(updated, `${oldKey}${suffix}`, `${newKey}${suffix}`);
+            if (renamed !== null) {
+                updated = renamed;
+            }
+        }
+        return updated;
+    }
+
+    /**
+     * Get the content of a new, empty message file
+     * @returns {string} The initial file content
+     */
+    createEmpty() {
+        return this.jsonAdapter.createEmpty();
+    }
+}
+
+module.exports = { I18nextFormatAdapter };
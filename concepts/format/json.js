@@ -0,0 +1,286 @@
+const jsonc = require('jsonc-parser');
+const JSON5 = require('json5');
+const { MessageFormatAdapter } = require('./adapter');
+
+/**
+ * Adapter for inlang message format JSON files (plain JSON, nested objects for dotted keys)
+ */
+class JsonFormatAdapter extends MessageFormatAdapter {
+    constructor(id = 'json', label = 'JSON') {
+        super(id, label);
+    }
+
+    /**
+     * Parse message file content into a translations object
+     * @param {string} text The file content
+     * @returns {Object} The translations object
+     */
+    read(text) {
+        return text.trim() === '' ? {} : JSON.parse(text);
+    }
+
+    /**
+     * Locate a key using a JSON location map
+     * @param {string} text The file content
+     * @param {string} key The translation key
+     * @returns {Object|null} The key location or null if not found
+     */
+    locateKey(text, key) {
+        const root = jsonc.parseTree(text);
+        if (!root) {
+            return null;
+        }
+
+        for (const keyPath of this.getCandidatePaths(key)) {
+            const location = this.locatePath(root, keyPath);
+            if (location) {
+                return location;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Locate a JSON path in a parsed tree
+     * @param {Object} root The jsonc-parser tree
+     * @param {Array<string>} keyPath The path segments
+     * @returns {Object|null} The key location or null if the path does not end in a property
+     */
+    locatePath(root, keyPath) {
+        const valueNode = jsonc.findNodeAtLocation(root, keyPath);
+        if (!valueNode || !valueNode.parent || valueNode.parent.type !== 'property') {
+            return null;
+        }
+
+        const propertyNode = valueNode.parent;
+        const keyNode = propertyNode.children[0];
+        const isString = valueNode.type === 'string';
+
+        return {
+            path: keyPath,
+            propertyOffset: propertyNode.offset,
+            propertyLength: propertyNode.length,
+            keyOffset: keyNode.offset,
+            keyLength: keyNode.length,
+            keyContentOffset: keyNode.offset + 1,
+            keyContentLength: keyNode.length - 2,
+            valueOffset: valueNode.offset,
+            valueLength: valueNode.length,
+            valueContentOffset: isString ? valueNode.offset + 1 : valueNode.offset,
+            valueContentLength: isString ? valueNode.length - 2 : valueNode.length,
+            valueType: valueNode.type
+        };
+    }
+
+    /**
+     * Set the value of a key, creating parent objects as needed
+     * @param {string} text The file content
+     * @param {string} key The translation key
+     * @param {any} value The message value
+     * @returns {string} The updated content
+     */
+    setValue(text, key, value) {
+        let updated = text.trim() === '' ? this.createEmpty() : text;
+
+        // Update the existing property (nested or flat) in place
+        const location = this.locateKey(updated, key);
+        if (location) {
+            return this.applyModification(updated, location.path, value);
+        }
+
+        // A message in the way of a nested key is replaced by an object, as before
+        const keyPath = this.getKeyPath(key);
+        for (let i = 1; i < keyPath.length; i++) {
+            const node = jsonc.findNodeAtLocation(jsonc.parseTree(updated), keyPath.slice(0, i));
+            if (node && node.type !== 'object') {
+                updated = this.applyModification(updated, keyPath.slice(0, i), {});
+            }
+        }
+
+        return this.applyModification(updated, keyPath, value);
+    }
+
+    /**
+     * Remove a key, dropping parent objects left empty
+     * @param {string} text The file content
+     * @param {string} key The translation key
+     * @returns {string} The updated content (unchanged if the key does not exist)
+     */
+    removeKey(text, key) {
+        const location = this.locateKey(text, key);
+        if (!location) {
+            return text;
+        }
+
+        let updated = this.applyModification(text, location.path, undefined);
+
+        // Remove nested objects that no longer contain any key
+        for (let depth = location.path.length - 1; depth > 0; depth--) {
+            const parentPath = location.path.slice(0, depth);
+            const parentNode = jsonc.findNodeAtLocation(jsonc.parseTree(updated), parentPath);
+            if (!parentNode || parentNode.type !== 'object' || (parentNode.children && parentNode.children.length > 0)) {
+                break;
+            }
+            updated = this.applyModification(updated, parentPath, undefined);
+        }
+
+        return updated;
+    }
+
+    /**
+     * Rename a key, keeping its value and the rest of the file untouched
+     * @param {string} text The file content
+     * @param {string} oldKey The current key
+     * @param {string} newKey The new key
+     * @returns {string|null} The updated content or null if the old key does not exist
+     * @throws {Error} If the new key already exists or collides with an existing message
+     */
+    renameKey(text, oldKey, newKey) {
+        const location = this.locateKey(text, oldKey);
+        if (!location) {
+            return null;
+        }
+
+        if (this.locateKey(text, newKey)) {
+            throw new Error(`Key "${newKey}" already exists`);
+        }
+
+        const oldPath = location.path;
+        const newPath = this.getKeyPath(newKey);
+        const root = jsonc.parseTree(text);
+
+        // A message cannot become the parent of another message
+        for (let i = 1; i < newPath.length; i++) {
+            const node = jsonc.findNodeAtLocation(root, newPath.slice(0, i));
+            if (node && node.type !== 'object') {
+                throw new Error(`Key "${newPath.slice(0, i).join('.')}" is a message and cannot contain "${newKey}"`);
+            }
+        }
+
+        // Same parent object: only the property name changes, so rewrite it in place
+        const sameParent = oldPath.length === newPath.length &&
+            oldPath.slice(0, -1).every((segment, index) => segment === newPath[index]);
+        if (sameParent) {
+            return text.slice(0, location.keyOffset) +
+                JSON.stringify(newPath[newPath.length - 1]) +
+                text.slice(location.keyOffset + location.keyLength);
+        }
+
+        // Different parent: move the value to its new location, copying its source text verbatim
+        const rawValue = text.substr(location.valueOffset, location.valueLength);
+        const marker = `__elementaryWatson_${Date.now()}__`;
+        const withoutOld = this.removeKey(text, oldKey);
+        return this.applyModification(withoutOld, newPath, marker).replace(JSON.stringify(marker), () => rawValue);
+    }
+
+    /**
+     * Get the content of a new, empty message file
+     * @returns {string} The initial file content
+     */
+    createEmpty() {
+        return '{}\n';
+    }
+
+    /**
+     * Apply a single jsonc-parser modification using the file's own formatting
+     * @param {string} text The file content
+     * @param {Array<string>} keyPath The JSON path to modify
+     * @param {any} value The new value (undefined removes the property)
+     * @returns {string} The updated content
+     */
+    applyModification(text, keyPath, value) {
+        const edits = jsonc.modify(text, keyPath, value, { formattingOptions: this.detectFormatting(text) });
+        return jsonc.applyEdits(text, edits);
+    }
+
+    /**
+     * Detect the indentation and line ending style of a message file
+     * @param {string} text The file content
+     * @returns {{tabSize: number, insertSpaces: boolean, eol: string}} jsonc-parser formatting options
+     */
+    detectFormatting(text) {
+        const indentMatch = text.match(/^[ \t]+(?=\S)/m);
+        const indent = indentMatch ? indentMatch[0] : '  ';
+        const insertSpaces = !indent.startsWith('\t');
+
+        return {
+            tabSize: insertSpaces ? indent.length : 1,
+            insertSpaces,
+            eol: text.includes('\r\n') ? '\r\n' : '\n'
+        };
+    }
+}
+
+/**
+ * Adapter for JSON5 / JSONC message files. Comments and trailing commas are kept when keys are written.
+ */
+class JsoncFormatAdapter extends JsonFormatAdapter {
+    constructor() {
+        super('jsonc', 'JSON5 / JSONC');
+    }
+
+    /**
+     * Parse message file content, allowing comments, trailing commas and the rest of the JSON5 syntax
+     * @param {string} text The file content
+     * @returns {Object} The translations object
+     */
+    read(text) {
+        return text.trim() === '' ? {} : JSON5.parse(text);
+    }
+
+    /**
+     * Set the value of a key, creating parent objects as needed
+     * @param {string} text The file content
+     * @param {string} key The translation key
+     * @param {any} value The message value
+     * @returns {string} The updated content
+     * @throws {Error} If the file uses JSON5 syntax that cannot be edited in place
+     */
+    setValue(text, key, value) {
+        this.assertEditable(text);
+        return super.setValue(text, key, value);
+    }
+
+    /**
+     * Remove a key, dropping parent objects left empty
+     * @param {string} text The file content
+     * @param {string} key The translation key
+     * @returns {string} The updated content (unchanged if the key does not exist)
+     * @throws {Error} If the file uses JSON5 syntax that cannot be edited in place
+     */
+    removeKey(text, key) {
+        this.assertEditable(text);
+        return super.removeKey(text, key);
+    }
+
+    /**
+     * Rename a key, keeping its value and the rest of the file untouched
+     * @param {string} text The file content
+     * @param {string} oldKey The current key
+     * @param {string} newKey The new key
+     * @returns {string|null} The updated content or null if the old key does not exist
+     * @throws {Error} If the new key already exists, collides with an existing message or the file cannot be edited in place
+     */
+    renameKey(text, oldKey, newKey) {
+        this.assertEditable(text);
+        return super.renameKey(text, oldKey, newKey);
+    }
+
+    /**
+     * Make sure a file stays within the JSONC subset that can be edited without corrupting it.
+     * Unquoted keys, single-quoted strings and other JSON5-only syntax would make jsonc-parser
+     * insert text at the wrong place, so such files are never written.
+     * @param {string} text The file content
+     * @throws {Error} If the file contains syntax outside JSONC
+     */
+    assertEditable(text) {
+        const errors = [];
+        jsonc.parseTree(text, errors, { allowTrailingComma: true });
+        if (errors.length > 0) {
+            throw new Error(`${this.label} file uses JSON5 syntax (unquoted keys, single-quoted strings, ...) that cannot be edited in place; use quoted keys and double-quoted strings or edit the file manually`);
+        }
+    }
+}
+
+module.exports = { JsonFormatAdapter, JsoncFormatAdapter };
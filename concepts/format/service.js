@@ -0,0 +1,88 @@
+const path = require('path');
+const { LocaleService } = require('../locale/service');
+const { ProjectService } = require('../project/service');
+const { JsonFormatAdapter, JsoncFormatAdapter } = require('./json');
+const { I18nextFormatAdapter } = require('./i18next');
+const { YamlFormatAdapter } = require('./yaml');
+
+// inlang plugins and the message file format they read, matched by settings key or module URL
+const PLUGIN_FORMATS = [
+    { settingsKey: 'plugin.inlang.i18next', module: 'plugin-i18next', format: 'i18next' },
+    { settingsKey: 'plugin.inlang.messageFormat', module: 'plugin-message-format', format: 'json' },
+    { settingsKey: 'plugin.inlang.json', module: 'plugin-json', format: 'json' }
+];
+
+// File extensions that determine the syntax regardless of the plugin
+const EXTENSION_FORMATS = {
+    '.json5': 'jsonc',
+    '.jsonc': 'jsonc',
+    '.yaml': 'yaml',
+    '.yml': 'yaml'
+};
+
+// Adapters are stateless, so every FormatService shares them
+const ADAPTERS = {
+    json: new JsonFormatAdapter(),
+    jsonc: new JsoncFormatAdapter(),
+    yaml: new YamlFormatAdapter(),
+    i18next: new I18nextFormatAdapter()
+};
+
+/**
+ * Service choosing the message format adapter of a message file
+ */
+class FormatService {
+    constructor() {
+        this.localeService = new LocaleService();
+        this.projectService = new ProjectService();
+    }
+
+    /**
+     * Get an adapter by format id
+     * @param {string|null} format The format id ('json', 'jsonc', 'yaml' or 'i18next')
+     * @returns {MessageFormatAdapter} The adapter, JSON for unknown formats
+     */
+    getAdapter(format) {
+        return ADAPTERS[format] || ADAPTERS.json;
+    }
+
+    /**
+     * Get the adapter for a message file from its extension and the inlang plugin of its project
+     * @param {string} filePath The message file path
+     * @param {string} [workspacePath] The project path; resolved from the file if omitted
+     * @returns {MessageFormatAdapter} The adapter
+     */
+    getAdapterForFile(filePath, workspacePath) {
+        const extensionFormat = EXTENSION_FORMATS[path.extname(filePath).toLowerCase()];
+        if (extensionFormat) {
+            return this.getAdapter(extensionFormat);
+        }
+
+        const projectPath = workspacePath || this.projectService.getProjectPath(filePath);
+        return this.getAdapter(projectPath ? this.getProjectFormat(projectPath) : null);
+    }
+
+    /**
+     * Get the message format of a project from the inlang plugin configured in its settings
+     * @param {string} workspacePath The project path
+     * @returns {string|null} The format id or null if no known plugin is configured
+     */
+    getProjectFormat(workspacePath) {
+        const inlangSettings = this.localeService.loadInlangSettings(workspacePath);
+        if (!inlangSettings) {
+            return null;
+        }
+
+        // Plugin settings are the most specific hint, the module list covers plugins without settings
+        const bySettings = PLUGIN_FORMATS.find(plugin => inlangSettings[plugin.settingsKey]);
+        if (bySettings) {
+            return bySettings.format;
+        }
+
+        const modules = Array.isArray(inlangSettings.modules) ? inlangSettings.modules : [];
+        const byModule = PLUGIN_FORMATS.find(plugin => modules.some(module => String(module).includes(plugin.module)));
+        return byModule ? byModule.format : null;
+    }
+}
+
+module.exports = { FormatService };
@@ -0,0 +1,392 @@
+const YAML = require('yaml');
+const { MessageFormatAdapter } = require('./adapter');
+
+// Scalar styles whose source text is wrapped in quotes
+const QUOTED_SCALAR_TYPES = [YAML.Scalar.QUOTE_DOUBLE, YAML.Scalar.QUOTE_SINGLE];
+
+/**
+ * Adapter for YAML message files (nested mappings for dotted keys). Comments are kept when keys are written.
+ */
+class YamlFormatAdapter extends MessageFormatAdapter {
+    constructor() {
+        super('yaml', 'YAML');
+    }
+
+    /**
+     * Parse message file content into a translations object
+     * @param {string} text The file content
+     * @returns {Object} The translations object
+     */
+    read(text) {
+        return YAML.parse(text) || {};
+    }
+
+    /**
+     * Locate a key using the source ranges of the YAML document
+     * @param {string} text The file content
+     * @param {string} key The translation key
+     * @returns {Object|null} The key location or null if not found
+     */
+    locateKey(text, key) {
+        const document = YAML.parseDocument(text);
+
+        for (const keyPath of this.getCandidatePaths(key)) {
+            const pair = this.findPair(document.contents, keyPath);
+            if (pair) {
+                return this.createLocation(pair, keyPath);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the key/value pair at a path
+     * @param {YAML.Node|null} node The mapping to search
+     * @param {Array<string>} keyPath The path segments
+     * @returns {YAML.Pair|null} The pair or null if the path does not exist
+     */
+    findPair(node, keyPath) {
+        let current = node;
+        let pair = null;
+
+        for (const segment of keyPath) {
+            if (!YAML.isMap(current)) return null;
+
+            pair = current.items.find(item => this.getKeyName(item.key) === segment);
+            if (!pair) return null;
+
+            current = pair.value;
+        }
+
+        return pair;
+    }
+
+    /**
+     * Get the name of a mapping key
+     * @param {YAML.Node|any} keyNode The key node
+     * @returns {string} The key name
+     */
+    getKeyName(keyNode) {
+        return YAML.isScalar(keyNode) ? String(keyNode.value) : String(keyNode);
+    }
+
+    /**
+     * Build a key location from a pair's source ranges
+     * @param {YAML.Pair} pair The key/value pair
+     * @param {Array<string>} keyPath The path of the pair
+     * @returns {Object} The key location
+     */
+    createLocation(pair, keyPath) {
+        const keyRange = pair.key.range;
+        const valueNode = pair.value;
+        const valueRange = valueNode && valueNode.range ? valueNode.range : [keyRange[1], keyRange[1]];
+
+        const keyQuoted = QUOTED_SCALAR_TYPES.includes(pair.key.type);
+        const valueQuoted = YAML.isScalar(valueNode) && QUOTED_SCALAR_TYPES.includes(valueNode.type);
+
+        let valueType = 'null';
+        if (YAML.isMap(valueNode)) {
+            valueType = 'object';
+        } else if (YAML.isSeq(valueNode)) {
+            valueType = 'array';
+        } else if (YAML.isScalar(valueNode)) {
+            valueType = valueNode.value === null ? 'null' : typeof valueNode.value;
+        }
+
+        return {
+            path: keyPath,
+            propertyOffset: keyRange[0],
+            propertyLength: valueRange[1] - keyRange[0],
+            keyOffset: keyRange[0],
+            keyLength: keyRange[1] - keyRange[0],
+            keyContentOffset: keyQuoted ? keyRange[0] + 1 : keyRange[0],
+            keyContentLength: keyQuoted ? keyRange[1] - keyRange[0] - 2 : keyRange[1] - keyRange[0],
+            valueOffset: valueRange[0],
+            valueLength: valueRange[1] - valueRange[0],
+            valueContentOffset: valueQuoted ? valueRange[0] + 1 : valueRange[0],
+            valueContentLength: valueQuoted ? valueRange[1] - valueRange[0] - 2 : valueRange[1] - valueRange[0],
+            valueType
+        };
+    }
+
+    /**
+     * Set the value of a key, creating parent mappings as needed.
+     * Only the text of the changed pair is touched; the rest of the file keeps its indentation, quoting and comments.
+     * @param {string} text The file content
+     * @param {string} key The translation key
+     * @param {any} value The message value
+     * @returns {string} The updated content
+     */
+    setValue(text, key, value) {
+        if (text.trim() === '') {
+            return this.stringify(this.createNestedValue(this.getKeyPath(key), value), this.detectIndent(text));
+        }
+
+        const document = YAML.parseDocument(text);
+        const location = this.locateKey(text, key);
+        const keyPath = location ? location.path : this.getKeyPath(key);
+
+        // Walk down to the deepest mapping that already exists on the path
+        let map = document.contents;
+        let depth = 0;
+        while (depth < keyPath.length) {
+            if (!YAML.isMap(map)) break;
+            const pair = map.items.find(item => this.getKeyName(item.key) === keyPath[depth]);
+            if (!pair) break;
+
+            if (depth === keyPath.length - 1 || !YAML.isMap(pair.value)) {
+                // The key itself, or a message in the way of a nested key (replaced by a mapping, as for JSON files)
+                const pairValue = depth === keyPath.length - 1 ? value : this.createNestedValue(keyPath.slice(depth + 1), value);
+                return this.replacePairValue(text, pair, pairValue);
+            }
+
+            map = pair.value;
+            depth++;
+        }
+
+        if (!YAML.isMap(map) || map.flow) {
+            // Flow mappings ({ a: b }) and documents without a root mapping cannot be edited line by line
+            document.setIn(keyPath, value);
+            return document.toString({ indent: this.detectIndent(text), lineWidth: 0 });
+        }
+
+        return this.insertPair(text, map, keyPath.slice(depth), value);
+    }
+
+    /**
+     * Replace the value of an existing pair, keeping its key and the quoting style of scalar values
+     * @param {string} text The file content
+     * @param {YAML.Pair} pair The pair
+     * @param {any} value The new value
+     * @returns {string} The updated content
+     */
+    replacePairValue(text, pair, value) {
+        const valueNode = pair.value;
+        const colonIndex = text.indexOf(':', pair.key.range[1]);
+        let valueEnd = valueNode && valueNode.range ? valueNode.range[1] : colonIndex + 1;
+        // Block scalars (| and >) end after their line break; keep it so the next key stays on its own line
+        while (valueEnd > colonIndex + 1 && (text[valueEnd - 1] === '\n' || text[valueEnd - 1] === '\r')) {
+            valueEnd--;
+        }
+        const isScalarValue = !valueNode || YAML.isScalar(valueNode);
+
+        // Single-line strings replace a scalar in place, so trailing comments stay on the line
+        if (isScalarValue && typeof value === 'string' && !value.includes('\n')) {
+            const scalar = this.formatScalar(value, valueNode ? valueNode.type : null);
+            return text.slice(0, colonIndex + 1) + ' ' + scalar + text.slice(valueEnd);
+        }
+
+        // Anything else is serialized as a block below the original key
+        const column = this.getColumn(text, pair.key.range[0]);
+        const serialized = this.stringify({ x: value }, this.detectIndent(text));
+        const block = this.indentLines(serialized.slice(serialized.indexOf(':') + 1), column);
+        const lineEnd = this.getLineEnd(text, valueEnd);
+        return text.slice(0, colonIndex + 1) + block + text.slice(lineEnd);
+    }
+
+    /**
+     * Insert a new pair as the last item of a block mapping
+     * @param {string} text The file content
+     * @param {YAML.YAMLMap} map The mapping receiving the pair
+     * @param {Array<string>} keyPath The path of the new pair below the mapping
+     * @param {any} value The message value
+     * @returns {string} The updated content
+     */
+    insertPair(text, map, keyPath, value) {
+        const indent = this.detectIndent(text);
+        const block = this.stringify(this.createNestedValue(keyPath, value), indent);
+
+        if (map.items.length === 0) {
+            // An empty document with comments only: append at the end
+            const prefix = text.endsWith('\n') ? text : `${text}\n`;
+            return prefix + block;
+        }
+
+        const lastPair = map.items[map.items.length - 1];
+        const lastEnd = lastPair.value && lastPair.value.range ? lastPair.value.range[1] : lastPair.key.range[1];
+        const insertAt = this.getLineEnd(text, lastEnd);
+        const column = this.getColumn(text, map.items[0].key.range[0]);
+        const prefix = insertAt > 0 && text[insertAt - 1] !== '\n' ? '\n' : '';
+
+        return text.slice(0, insertAt) + prefix + this.indentLines(block, column) + text.slice(insertAt);
+    }
+
+    /**
+     * Remove a key, dropping parent mappings left empty. Only the lines of the removed pair are deleted.
+     * @param {string} text The file content
+     * @param {string} key The translation key
+     * @returns {string} The updated content (unchanged if the key does not exist)
+     */
+    removeKey(text, key) {
+        const location = this.locateKey(text, key);
+        if (!location) {
+            return text;
+        }
+
+        const document = YAML.parseDocument(text);
+
+        // A parent left without keys is removed with the key
+        let removePath = location.path;
+        while (removePath.length > 1) {
+            const parentNode = document.getIn(removePath.slice(0, -1), true);
+            if (!YAML.isMap(parentNode) || parentNode.items.length > 1) break;
+            removePath = removePath.slice(0, -1);
+        }
+
+        const parentNode = removePath.length > 1 ? document.getIn(removePath.slice(0, -1), true) : document.contents;
+        const pair = this.findPair(document.contents, removePath);
+        if (YAML.isMap(parentNode) && parentNode.flow) {
+            this.deletePath(document, removePath);
+            return document.toString({ indent: this.detectIndent(text), lineWidth: 0 });
+        }
+
+        const start = text.lastIndexOf('\n', pair.key.range[0] - 1) + 1;
+        const valueEnd = pair.value && pair.value.range ? pair.value.range[1] : pair.key.range[1];
+        return text.slice(0, start) + text.slice(this.getLineEnd(text, valueEnd));
+    }
+
+    /**
+     * Rename a key, keeping its value node (including comments and style)
+     * @param {string} text The file content
+     * @param {string} oldKey The current key
+     * @param {string} newKey The new key
+     * @returns {string|null} The updated content or null if the old key does not exist
+     * @throws {Error} If the new key already exists or collides with an existing message
+     */
+    renameKey(text, oldKey, newKey) {
+        const location = this.locateKey(text, oldKey);
+        if (!location) {
+            return null;
+        }
+
+        if (this.locateKey(text, newKey)) {
+            throw new Error(`Key "${newKey}" already exists`);
+        }
+
+        const document = YAML.parseDocument(text);
+        const oldPath = location.path;
+        const newPath = this.getKeyPath(newKey);
+
+        // A message cannot become the parent of another message
+        for (let i = 1; i < newPath.length; i++) {
+            const node = document.getIn(newPath.slice(0, i), true);
+            if (node !== undefined && !YAML.isMap(node)) {
+                throw new Error(`Key "${newPath.slice(0, i).join('.')}" is a message and cannot contain "${newKey}"`);
+            }
+        }
+
+        // Same parent mapping: only the key name changes, so rewrite it in place
+        const sameParent = oldPath.length === newPath.length &&
+            oldPath.slice(0, -1).every((segment, index) => segment === newPath[index]);
+        if (sameParent) {
+            const newName = this.formatScalar(newPath[newPath.length - 1], null);
+            return text.slice(0, location.keyOffset) + newName + text.slice(location.keyOffset + location.keyLength);
+        }
+
+        // Different parent: remove the pair and add its value at the new location
+        const value = document.getIn(oldPath);
+        return this.setValue(this.removeKey(text, oldKey), newKey, YAML.isNode(value) ? value.toJSON() : value);
+    }
+
+    /**
+     * Delete a path and the parent mappings it leaves empty
+     * @param {YAML.Document} document The YAML document
+     * @param {Array<string>} keyPath The path to delete
+     */
+    deletePath(document, keyPath) {
+        document.deleteIn(keyPath);
+
+        for (let depth = keyPath.length - 1; depth > 0; depth--) {
+            const parentPath = keyPath.slice(0, depth);
+            const parentNode = document.getIn(parentPath, true);
+            if (!YAML.isMap(parentNode) || parentNode.items.length > 0) {
+                break;
+            }
+            document.deleteIn(parentPath);
+        }
+    }
+
+    /**
+     * Wrap a value in mappings for the segments of a path, e.g. ["a", "b"] → { a: { b: value } }
+     * @param {Array<string>} keyPath The path segments
+     * @param {any} value The value
+     * @returns {Object} The nested object
+     */
+    createNestedValue(keyPath, value) {
+        return keyPath.reduceRight((nested, segment) => ({ [segment]: nested }), value);
+    }
+
+    /**
+     * Serialize a value as a YAML block without folding long lines
+     * @param {any} value The value
+     * @param {number} indent The indentation width of the file
+     * @returns {string} The YAML text, ending with a newline
+     */
+    stringify(value, indent) {
+        return YAML.stringify(value, { indent, lineWidth: 0 });
+    }
+
+    /**
+     * Format a single-line scalar, keeping the quoting style of the value it replaces
+     * @param {string} value The string value
+     * @param {string|null} type The YAML scalar type of the replaced value
+     * @returns {string} The scalar source text
+     */
+    formatScalar(value, type) {
+        if (type === YAML.Scalar.QUOTE_DOUBLE) {
+            return JSON.stringify(value);
+        }
+        if (type === YAML.Scalar.QUOTE_SINGLE) {
+            return `'${value.replace(/'/g, "''")}'`;
+        }
+        return this.stringify(value, 2).replace(/\n$/, '');
+    }
+
+    /**
+     * Indent every non-empty line of a block
+     * @param {string} block The text
+     * @param {number} column The number of spaces to add
+     * @returns {string} The indented text
+     */
+    indentLines(block, column) {
+        const padding = ' '.repeat(column);
+        return block.replace(/^(?=.)/gm, padding);
+    }
+
+    /**
+     * Get the column of an offset
+     * @param {string} text The file content
+     * @param {number} offset The offset
+     * @returns {number} The number of characters between the line start and the offset
+     */
+    getColumn(text, offset) {
+        return offset - (text.lastIndexOf('\n', offset - 1) + 1);
+    }
+
+    /**
+     * Get the offset after the line an offset is on (unchanged if the offset already starts a line)
+     * @param {string} text The file content
+     * @param {number} offset The offset
+     * @returns {number} The start of the next line, or the end of the text
+     */
+    getLineEnd(text, offset) {
+        if (offset > 0 && text[offset - 1] === '\n') {
+            return offset;
+        }
+        const newlineIndex = text.indexOf('\n', offset);
+        return newlineIndex === -1 ? text.length : newlineIndex + 1;
+    }
+
+    /**
+     * Detect the indentation width of nested mappings
+     * @param {string} text The file content
+     * @returns {number} The indentation width, 2 if the file has no nested mapping
+     */
+    detectIndent(text) {
+        const indentMatch = text.match(/^( +)[^\s#-]/m);
+        return indentMatch ? indentMatch[1].length : 2;
+    }
+}
+
+module.exports = { YamlFormatAdapter };
@@ -0,0 +1,357 @@
+const vscode = require('vscode');
+const crypto = require('crypto');
+
+/**
+ * Webview panel showing every key × locale of a project as an editable table
+ */
+class TranslationGridPanel {
+    constructor(gridService) {
+        this.gridService = gridService;
+        this.panel = null;
+        this.workspacePath = null;
+        this.disposables = [];
+    }
+
+    /**
+     * Show the grid for a project, reusing the open panel
+     * @param {string} workspacePath The project path
+     * @returns {Promise<void>}
+     */
+    async show(workspacePath) {
+        this.workspacePath = workspacePath;
+
+        if (this.panel) {
+            this.panel.reveal();
+            await this.refresh();
+            return;
+        }
+
+        this.panel = vscode.window.createWebviewPanel(
+            'elementaryWatsonTranslationGrid',
+            'Translation Grid',
+            vscode.ViewColumn.Active,
+            { enableScripts: true, retainContextWhenHidden: true }
+        );
+        this.panel.webview.html = this.getHtml(this.panel.webview);
+
+        this.panel.webview.onDidReceiveMessage(message => this.handleMessage(message), null, this.disposables);
+        this.panel.onDidDispose(() => this.disposePanel(), null, this.disposables);
+    }
+
+    /**
+     * Send fresh grid data to the webview if it is open
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        if (!this.panel || !this.workspacePath) return;
+
+        try {
+            const data = await this.gridService.getGridData(this.workspacePath);
+            this.panel.title = `Translation Grid: ${data.projectName}`;
+            await this.panel.webview.postMessage({ type: 'data', data });
+        } catch (error) {
+            console.error('Error loading translation grid:', error);
+            vscode.window.showErrorMessage(`Failed to load translation grid: ${error.message}`);
+        }
+    }
+
+    /**
+     * Handle a message from the webview
+     * @param {{type: string, locale?: string, key?: string, value?: string}} message The message
+     * @returns {Promise<void>}
+     */
+    async handleMessage(message) {
+        switch (message.type) {
+            case 'ready':
+                await this.refresh();
+                break;
+            case 'edit':
+                await this.saveCell(message.locale, message.key, message.value);
+                break;
+            case 'open':
+                await vscode.commands.executeCommand('elementaryWatson.openTranslationFile', this.workspacePath, message.locale, message.key);
+                break;
+        }
+    }
+
+    /**
+     * Save an edited cell and report the result to the webview
+     * @param {string} locale The locale of the edited cell
+     * @param {string} key The translation key
+     * @param {string} value The new value
+     * @returns {Promise<void>}
+     */
+    async saveCell(locale, key, value) {
+        try {
+            await this.gridService.updateValue(this.workspacePath, locale, key, value);
+            await this.panel?.webview.postMessage({ type: 'saved', locale, key, value });
+        } catch (error) {
+            console.error('Error saving translation grid edit:', error);
+            vscode.window.showErrorMessage(`Failed to save "${key}" (${locale}): ${error.message}`);
+            await this.panel?.webview.postMessage({ type: 'error', locale, key, message: error.message });
+        }
+    }
+
+    /**
+     * Build the webview HTML (the table is rendered by the inline script from posted data)
+     * @param {vscode.Webview} webview The webview
+     * @returns {string} The HTML document
+     */
+    getHtml(webview) {
+        const nonce = crypto.randomBytes(16).toString('hex');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource} 'unsafe-inline'; script-src 'nonce-${nonce}';">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Translation Grid</title>
+<style>
+    body { padding: 0 12px 12px; color: var(--vscode-foreground); font-family: var(--vscode-font-family); font-size: var(--vscode-font-size); }
+    .toolbar { position: sticky; top: 0; z-index: 2; display: flex; gap: 12px; align-items: center; padding: 10px 0; background: var(--vscode-editor-background); }
+    .toolbar input[type="search"] { flex: 1; max-width: 360px; padding: 4px 6px; color: var(--vscode-input-foreground); background: var(--vscode-input-background); border: 1px solid var(--vscode-input-border, transparent); }
+    .summary { margin-left: auto; opacity: 0.7; }
+    table { width: 100%; border-collapse: collapse; table-layout: fixed; }
+    th, td { padding: 2px 4px; border: 1px solid var(--vscode-panel-border); vertical-align: top; }
+    th { position: sticky; top: 44px; z-index: 1; text-align: left; background: var(--vscode-editor-background); }
+    th.key, td.key { width: 24%; }
+    td.key { font-family: var(--vscode-editor-font-family); word-break: break-all; cursor: pointer; }
+    tr.namespace td { font-weight: bold; cursor: pointer; background: var(--vscode-sideBarSectionHeader-background); }
+    tr.namespace td::before { content: '▾ '; }
+    tr.namespace.collapsed td::before { content: '▸ '; }
+    textarea { width: 100%; box-sizing: border-box; min-height: 1.8em; resize: vertical; color: var(--vscode-input-foreground); background: transparent; border: 1px solid transparent; font-family: inherit; font-size: inherit; }
+    textarea:focus { background: var(--vscode-input-background); border-color: var(--vscode-focusBorder); outline: none; }
+    td.missing { background: var(--vscode-inputValidation-errorBackground); }
+    td.empty { background: var(--vscode-inputValidation-warningBackground); }
+    td.saving textarea { opacity: 0.6; }
+    td.failed textarea { border-color: var(--vscode-inputValidation-errorBorder); }
+    td.variant { font-style: italic; opacity: 0.8; }
+    .placeholder { padding: 24px 0; opacity: 0.7; }
+</style>
+</head>
+<body>
+<div class="toolbar">
+    <input id="filter" type="search" placeholder="Filter by key or value">
+    <label><input id="missingOnly" type="checkbox"> Show only missing</label>
+    <span id="summary" class="summary"></span>
+</div>
+<div id="grid"><p class="placeholder">Loading translations…</p></div>
+<script nonce="${nonce}">
+(function () {
+    const vscode = acquireVsCodeApi();
+    const state = vscode.getState() || { filter: '', missingOnly: false, collapsed: [] };
+    const filterInput = document.getElementById('filter');
+    const missingOnlyInput = document.getElementById('missingOnly');
+    const grid = document.getElementById('grid');
+    const summary = document.getElementById('summary');
+    let data = null;
+
+    filterInput.value = state.filter;
+    missingOnlyInput.checked = state.missingOnly;
+
+    function saveState() {
+        vscode.setState(state);
+    }
+
+    function isMissing(cell) {
+        return cell.editable && (cell.value === null || cell.value.trim() === '');
+    }
+
+    function matchesFilter(row, filter) {
+        if (!filter) return true;
+        if (row.key.toLowerCase().includes(filter)) return true;
+        return Object.values(row.values).some(cell => cell.value && cell.value.toLowerCase().includes(filter));
+    }
+
+    function createCell(row, locale) {
+        const cell = row.values[locale];
+        const td = document.createElement('td');
+        td.dataset.key = row.key;
+        td.dataset.locale = locale;
+
+        if (!cell.editable) {
+            td.className = 'variant';
+            td.textContent = cell.variant ? cell.value + ' (variant - edit in file)' : '';
+            td.title = 'Open the message file to edit this message';
+            td.addEventListener('dblclick', () => vscode.postMessage({ type: 'open', locale, key: row.key }));
+            return td;
+        }
+
+        if (cell.value === null) td.classList.add('missing');
+        else if (cell.value.trim() === '') td.classList.add('empty');
+
+        const textarea = document.createElement('textarea');
+        textarea.rows = 1;
+        textarea.value = cell.value === null ? '' : cell.value;
+        textarea.placeholder = cell.value === null ? 'missing' : '';
+        textarea.addEventListener('keydown', event => {
+            // Enter saves, Shift+Enter inserts a line break, Escape reverts
+            if (event.key === 'Enter' && !event.shiftKey) {
+                event.preventDefault();
+                textarea.blur();
+            } else if (event.key === 'Escape') {
+                const current = row.values[locale];
+                textarea.value = current.value === null ? '' : current.value;
+                textarea.blur();
+            }
+        });
+        textarea.addEventListener('blur', () => {
+            // Only save real changes; leaving a missing cell empty does not create the key
+            const current = row.values[locale];
+            if (current.value === null ? textarea.value === '' : textarea.value === current.value) return;
+            td.classList.add('saving');
+            td.classList.remove('failed');
+            vscode.postMessage({ type: 'edit', locale, key: row.key, value: textarea.value });
+        });
+        td.appendChild(textarea);
+        return td;
+    }
+
+    function render() {
+        if (!data) return;
+
+        // Keep focus and unsaved input across re-renders triggered by file changes
+        const active = document.activeElement && document.activeElement.tagName === 'TEXTAREA'
+            ? { key: document.activeElement.parentElement.dataset.key, locale: document.activeElement.parentElement.dataset.locale, value: document.activeElement.value }
+            : null;
+
+        const filter = state.filter.trim().toLowerCase();
+        const rows = data.rows.filter(row => matchesFilter(row, filter) &&
+            (!state.missingOnly || data.locales.some(locale => isMissing(row.values[locale]))));
+
+        summary.textContent = rows.length + ' of ' + data.rows.length + ' keys';
+
+        if (data.rows.length === 0) {
+            grid.innerHTML = '<p class="placeholder">No translation keys found in this project.</p>';
+            return;
+        }
+
+        const table = document.createElement('table');
+        const headerRow = table.createTHead().insertRow();
+        const keyHeader = document.createElement('th');
+        keyHeader.className = 'key';
+        keyHeader.textContent = 'Key';
+        headerRow.appendChild(keyHeader);
+        for (const locale of data.locales) {
+            const th = document.createElement('th');
+            th.textContent = locale === data.baseLocale ? locale + ' (base)' : locale;
+            headerRow.appendChild(th);
+        }
+
+        const body = table.createTBody();
+        let currentNamespace = null;
+        for (const row of [...rows].sort((a, b) => a.namespace.localeCompare(b.namespace))) {
+            if (row.namespace !== currentNamespace) {
+                currentNamespace = row.namespace;
+                const namespace = row.namespace;
+                const groupRow = body.insertRow();
+                groupRow.className = 'namespace' + (state.collapsed.includes(namespace) ? ' collapsed' : '');
+                const groupCell = groupRow.insertCell();
+                groupCell.colSpan = data.locales.length + 1;
+                groupCell.textContent = namespace || '(root)';
+                groupCell.addEventListener('click', () => {
+                    state.collapsed = state.collapsed.includes(namespace)
+                        ? state.collapsed.filter(name => name !== namespace)
+                        : [...state.collapsed, namespace];
+                    saveState();
+                    render();
+                });
+            }
+
+            if (state.collapsed.includes(row.namespace)) continue;
+
+            const tr = body.insertRow();
+            const keyCell = tr.insertCell();
+            keyCell.className = 'key';
+            keyCell.textContent = row.namespace ? row.key.slice(row.namespace.length + 1) : row.key;
+            keyCell.title = row.key + ' - double-click to open in the base locale file';
+            keyCell.addEventListener('dblclick', () => vscode.postMessage({ type: 'open', locale: data.baseLocale, key: row.key }));
+            for (const locale of data.locales) {
+                tr.appendChild(createCell(row, locale));
+            }
+        }
+
+        grid.replaceChildren(table);
+
+        if (active) {
+            const cell = grid.querySelector('td[data-key="' + CSS.escape(active.key) + '"][data-locale="' + CSS.escape(active.locale) + '"] textarea');
+            if (cell) {
+                cell.value = active.value;
+                cell.focus();
+            }
+        }
+    }
+
+    function findRow(key) {
+        return data && data.rows.find(row => row.key === key);
+    }
+
+    function findCell(key, locale) {
+        return grid.querySelector('td[data-key="' + CSS.escape(key) + '"][data-locale="' + CSS.escape(locale) + '"]');
+    }
+
+    filterInput.addEventListener('input', () => {
+        state.filter = filterInput.value;
+        saveState();
+        render();
+    });
+
+    missingOnlyInput.addEventListener('change', () => {
+        state.missingOnly = missingOnlyInput.checked;
+        saveState();
+        render();
+    });
+
+    window.addEventListener('message', event => {
+        const message = event.data;
+        if (message.type === 'data') {
+            data = message.data;
+            render();
+        } else if (message.type === 'saved') {
+            const row = findRow(message.key);
+            if (row) row.values[message.locale] = { value: message.value, editable: true, variant: false };
+            const td = findCell(message.key, message.locale);
+            if (td) {
+                td.classList.remove('saving', 'missing', 'empty', 'failed');
+                if (message.value.trim() === '') td.classList.add('empty');
+            }
+        } else if (message.type === 'error') {
+            const td = findCell(message.key, message.locale);
+            if (td) {
+                td.classList.remove('saving');
+                td.classList.add('failed');
+                td.title = message.message;
+            }
+        }
+    });
+
+    vscode.postMessage({ type: 'ready' });
+}());
+</script>
+</body>
+</html>`;
+    }
+
+    /**
+     * Forget the panel once the user closes it
+     */
+    disposePanel() {
+        this.panel = null;
+        for (const disposable of this.disposables) {
+            disposable.dispose();
+        }
+        this.disposables = [];
+    }
+
+    /**
+     * Close the panel
+     */
+    dispose() {
+        if (this.panel) {
+            this.panel.dispose();
+        }
+    }
+}
+
+module.exports = { TranslationGridPanel };
@@ -0,0 +1,92 @@
+const path = require('path');
+const { TranslationService } = require('../translation/service');
+const { LocaleService } = require('../locale/service');
+const { ExtractionService } = require('../extraction/service');
+
+/**
+ * Service providing the key × locale table of the translation grid editor
+ */
+class TranslationGridService {
+    constructor() {
+        this.translationService = new TranslationService();
+        this.localeService = new LocaleService();
+        this.extractionService = new ExtractionService();
+    }
+
+    /**
+     * Build the grid of every key and its value in every locale of a project
+     * @param {string} workspacePath The project path
+     * @returns {Promise<Object>} The grid ({workspacePath, projectName, baseLocale, locales, rows})
+     */
+    async getGridData(workspacePath) {
+        const availableLocales = await this.localeService.getAvailableLocales(workspacePath);
+        const baseLocale = this.localeService.getBaseLocale(workspacePath);
+
+        // Base locale first, it is the column translators read from
+        const locales = availableLocales.includes(baseLocale)
+            ? [baseLocale, ...availableLocales.filter(locale => locale !== baseLocale)]
+            : availableLocales;
+        const translationsByLocale = await this.translationService.loadTranslationsForLocales(workspacePath, locales);
+
+        // Keys of every locale, in file order of the first locale defining them
+        const keys = [];
+        const seenKeys = new Set();
+        for (const locale of locales) {
+            for (const entry of this.translationService.flattenTranslations(translationsByLocale.get(locale))) {
+                if (!seenKeys.has(entry.key)) {
+                    seenKeys.add(entry.key);
+                    keys.push(entry.key);
+                }
+            }
+        }
+
+        const rows = keys.map(key => ({
+            key,
+            namespace: key.includes('.') ? key.slice(0, key.lastIndexOf('.')) : '',
+            values: Object.fromEntries(locales.map(locale => [locale, this.getCellValue(translationsByLocale.get(locale), key)]))
+        }));
+
+        return {
+            workspacePath,
+            projectName: path.basename(workspacePath),
+            baseLocale,
+            locales,
+            rows
+        };
+    }
+
+    /**
+     * Get the value of a single grid cell
+     * @param {Object|null} translations The locale's translations
+     * @param {string} key The translation key
+     * @returns {{value: string|null, editable: boolean, variant: boolean}} The cell; variant messages are shown read-only
+     */
+    getCellValue(translations, key) {
+        const rawValue = this.translationService.getRawTranslation(translations, key);
+
+        if (Array.isArray(rawValue)) {
+            return { value: this.translationService.getTranslation(translations, key), editable: false, variant: true };
+        }
+
+        if (rawValue !== null && typeof rawValue !== 'string') {
+            // A nested object in this locale where other locales have a message
+            return { value: null, editable: false, variant: false };
+        }
+
+        return { value: rawValue, editable: true, variant: false };
+    }
+
+    /**
+     * Save an edited cell through the same write path as text extraction
+     * @param {string} workspacePath The project path
+     * @param {string} locale The locale of the edited cell
+     * @param {string} key The translation key
+     * @param {string} value The new value
+     * @returns {Promise<void>}
+     */
+    async updateValue(workspacePath, locale, key, value) {
+        await this.extractionService.updateLocaleFile(workspacePath, locale, key, value);
+    }
+}
+
+module.exports = { TranslationGridService };
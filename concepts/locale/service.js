@@ -1,16 +1,28 @@
 const vscode = require('vscode');
 const fs = require('fs');
 const path = require('path');
+const { ProjectService } = require('../project/service');
+const { InlangSettingsNormalizer } = require('./settings');
+
+// Normalized inlang settings by project path, shared by every LocaleService (null when a project has none).
+// Cleared by the project settings watcher.
+const settingsCache = new Map();
 
 /**
  * Service for managing locale configuration and inlang project settings
  */
 class LocaleService {
+    constructor() {
+        this.projectService = new ProjectService();
+        this.settingsNormalizer = new InlangSettingsNormalizer();
+    }
+
     /**
      * Get the current locale from various sources in priority order
+     * @param {string} [workspacePath] The project path; defaults to the project of the active editor
      * @returns {string} The current locale code
      */
-    getCurrentLocale() {
+    getCurrentLocale(workspacePath) {
         // 1. Check VS Code configuration
         const config = vscode.workspace.getConfiguration('elementaryWatson');
         const configLocale = config.get('defaultLocale');
@@ -18,9 +30,10 @@ class LocaleService {
             return configLocale;
         }
 
-        // 2. Check inlang settings if we have a workspace
-        if (vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders.length > 0) {
-            const inlangSettings = this.loadInlangSettings(vscode.workspace.workspaceFolders[0].uri.fsPath);
+        // 2. Check inlang settings of the project if we have a workspace
+        const projectPath = workspacePath || this.projectService.getActiveProjectPath();
+        if (projectPath) {
+            const inlangSettings = this.loadInlangSettings(projectPath);
             if (inlangSettings && inlangSettings.baseLocale) {
                 return inlangSettings.baseLocale;
             }
@@ -31,11 +44,39 @@ class LocaleService {
     }
 
     /**
-     * Load inlang project settings
+     * Get the reference locale shown next to the current locale in inline labels
+     * @param {string} currentLocale The current locale
+     * @returns {string|null} The reference locale, or null if none is set or it equals the current locale
+     */
+    getReferenceLocale(currentLocale) {
+        const config = vscode.workspace.getConfiguration('elementaryWatson');
+        const referenceLocale = config.get('referenceLocale', '');
+        return referenceLocale && referenceLocale !== currentLocale ? referenceLocale : null;
+    }
+
+    /**
+     * Load inlang project settings, normalized to the current schema (legacy `sourceLanguageTag`,
+     * `languageTags` and `{languageTag}` are mapped to `baseLocale`, `locales` and `{locale}`).
+     * The file is read once per project until clearSettingsCache() is called.
      * @param {string} workspacePath 
-     * @returns {Object|null} The inlang settings or null if not found
+     * @returns {Object|null} The inlang settings or null if not found. Shared between callers - do not mutate.
      */
     loadInlangSettings(workspacePath) {
+        if (settingsCache.has(workspacePath)) {
+            return settingsCache.get(workspacePath);
+        }
+
+        const settings = this.readInlangSettings(workspacePath);
+        settingsCache.set(workspacePath, settings);
+        return settings;
+    }
+
+    /**
+     * Read and normalize the inlang settings file of a project
+     * @param {string} workspacePath The project path
+     * @returns {Object|null} The inlang settings or null if not found or invalid
+     */
+    readInlangSettings(workspacePath) {
         try {
             const inlangSettingsPath = path.join(workspacePath, 'project.inlang', 'settings.json');
             
@@ -49,7 +90,7 @@ class LocaleService {
             
             console.log(`📖 Loaded inlang settings from: ${path.basename(inlangSettingsPath)}`);
             
-            return settings;
+            return this.settingsNormalizer.normalize(settings);
         } catch (error) {
             console.log(`❌ Failed to load inlang settings: ${error.message}`);
             return null;
@@ -57,34 +98,114 @@ class LocaleService {
     }
 
     /**
-     * Get the path pattern for translation files
+     * Forget the cached inlang settings of every project, e.g. after a settings file changed
+     */
+    clearSettingsCache() {
+        settingsCache.clear();
+    }
+
+    /**
+     * Get the base locale of a project (the locale new messages are written in)
+     * @param {string} workspacePath The workspace root path
+     * @returns {string} The base locale code
+     */
+    getBaseLocale(workspacePath) {
+        const inlangSettings = this.loadInlangSettings(workspacePath);
+        return inlangSettings?.baseLocale || 'en';
+    }
+
+    /**
+     * Get available locales from inlang settings or fallback
+     * @param {string} workspacePath The workspace root path
+     * @returns {Promise<Array<string>>} Array of available locale codes
+     */
+    async getAvailableLocales(workspacePath) {
+        try {
+            const inlangSettings = this.loadInlangSettings(workspacePath);
+            
+            if (inlangSettings && inlangSettings.locales) {
+                return inlangSettings.locales;
+            }
+
+            // Fallback: try to detect existing locale files
+            const messagesDir = path.join(workspacePath, 'messages');
+            if (fs.existsSync(messagesDir)) {
+                const files = fs.readdirSync(messagesDir);
+                const locales = files
+                    .filter(file => file.endsWith('.json'))
+                    .map(file => path.basename(file, '.json'));
+                
+                if (locales.length > 0) {
+                    return locales;
+                }
+            }
+
+            // Ultimate fallback
+            return ['en'];
+
+        } catch (error) {
+            console.error('Error getting available locales:', error);
+            return ['en'];
+        }
+    }
+
+    /**
+     * Get the path pattern for translation files (the first one if several are configured)
      * @param {string} workspacePath 
      * @returns {string} The path pattern for translation files
      */
     getTranslationPathPattern(workspacePath) {
+        return this.getTranslationPathPatterns(workspacePath)[0];
+    }
+
+    /**
+     * Get every path pattern for translation files (pathPattern may be an array)
+     * @param {string} workspacePath The workspace root path
+     * @returns {Array<string>} The path patterns, at least one
+     */
+    getTranslationPathPatterns(workspacePath) {
         const inlangSettings = this.loadInlangSettings(workspacePath);
         
-        if (inlangSettings && 
-            inlangSettings['plugin.inlang.messageFormat'] && 
-            inlangSettings['plugin.inlang.messageFormat'].pathPattern) {
-            return inlangSettings['plugin.inlang.messageFormat'].pathPattern;
+        if (inlangSettings && inlangSettings.pathPatterns && inlangSettings.pathPatterns.length > 0) {
+            return inlangSettings.pathPatterns;
         }
         
         // Fallback to default pattern
-        return './messages/{locale}.json';
+        return ['./messages/{locale}.json'];
     }
 
     /**
-     * Resolve the actual translation file path
+     * Resolve the actual translation file path. With several path patterns this is the first one,
+     * which new messages are written to.
      * @param {string} workspacePath 
      * @param {string} locale 
      * @returns {string} The resolved path to the translation file
      */
     resolveTranslationPath(workspacePath, locale) {
-        const pathPattern = this.getTranslationPathPattern(workspacePath);
-        
+        return this.resolvePathPattern(workspacePath, this.getTranslationPathPattern(workspacePath), locale);
+    }
+
+    /**
+     * Resolve every translation file path of a locale, one per path pattern
+     * @param {string} workspacePath The workspace root path
+     * @param {string} locale The locale
+     * @returns {Array<string>} The resolved paths, in pathPattern order
+     */
+    resolveTranslationPaths(workspacePath, locale) {
+        return this.getTranslationPathPatterns(workspacePath)
+            .map(pathPattern => this.resolvePathPattern(workspacePath, pathPattern, locale));
+    }
+
+    /**
+     * Resolve a single path pattern for a locale
+     * @param {string} workspacePath The workspace root path
+     * @param {string} pathPattern The path pattern containing {locale}
+     * @param {string} locale The locale
+     * @returns {string} The resolved path
+     */
+    resolvePathPattern(workspacePath, pathPattern, locale) {
         // Replace {locale} placeholder with actual locale
-        const relativePath = pathPattern.replace('{locale}', locale);
+        const relativePath = pathPattern.replace(/\{locale\}/g, locale);
         
         // Resolve relative path from workspace root
         let resolvedPath;
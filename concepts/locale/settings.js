@@ -0,0 +1,80 @@
+// Plugin settings keys holding the message file pathPattern, in order of preference
+const MESSAGE_FORMAT_PLUGIN_KEYS = ['plugin.inlang.messageFormat', 'plugin.inlang.json', 'plugin.inlang.i18next'];
+
+/**
+ * Normalizes inlang project settings so the rest of the extension only deals with the current schema.
+ * Legacy projects use `sourceLanguageTag`, `languageTags` and `{languageTag}` in the pathPattern
+ * instead of `baseLocale`, `locales` and `{locale}`.
+ */
+class InlangSettingsNormalizer {
+    /**
+     * Normalize raw inlang settings
+     * @param {Object} settings The parsed project.inlang/settings.json
+     * @returns {Object} The settings with `baseLocale`, `locales` and `pathPatterns` filled in
+     */
+    normalize(settings) {
+        if (!settings || typeof settings !== 'object') {
+            return settings;
+        }
+
+        const locales = this.normalizeLocales(settings.locales || settings.languageTags);
+        const baseLocale = settings.baseLocale || settings.sourceLanguageTag || locales?.[0];
+
+        return {
+            ...settings,
+            baseLocale,
+            locales,
+            pathPatterns: this.normalizePathPatterns(this.getMessageFormatSettings(settings)?.pathPattern)
+        };
+    }
+
+    /**
+     * Get the settings of the message format plugin (current or legacy key)
+     * @param {Object} settings The raw inlang settings
+     * @returns {Object|null} The plugin settings or null if none is configured
+     */
+    getMessageFormatSettings(settings) {
+        for (const pluginKey of MESSAGE_FORMAT_PLUGIN_KEYS) {
+            if (settings[pluginKey] && typeof settings[pluginKey] === 'object') {
+                return settings[pluginKey];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Normalize the locale list
+     * @param {any} locales The configured locales
+     * @returns {Array<string>|undefined} The locales or undefined if none are configured
+     */
+    normalizeLocales(locales) {
+        if (!Array.isArray(locales)) {
+            return undefined;
+        }
+
+        const normalized = locales.filter(locale => typeof locale === 'string' && locale.trim() !== '');
+        return normalized.length > 0 ? normalized : undefined;
+    }
+
+    /**
+     * Normalize a pathPattern given as a string, an array or an i18next namespace map
+     * into a list using the `{locale}` placeholder
+     * @param {string|Array<string>|Object|undefined} pathPattern The configured pathPattern
+     * @returns {Array<string>} The path patterns (empty if none is configured)
+     */
+    normalizePathPatterns(pathPattern) {
+        let patterns = [pathPattern];
+        if (Array.isArray(pathPattern)) {
+            patterns = pathPattern;
+        } else if (pathPattern && typeof pathPattern === 'object') {
+            // i18next namespaces ({ common: "./locales/{languageTag}/common.json" }) are merged into one message set
+            patterns = Object.values(pathPattern);
+        }
+
+        return patterns
+            .filter(pattern => typeof pattern === 'string' && pattern.trim() !== '')
+            .map(pattern => pattern.replace(/\{languageTag\}/g, '{locale}'));
+    }
+}
+
+module.exports = { InlangSettingsNormalizer };
@@ -0,0 +1,41 @@
+const vscode = require('vscode');
+
+/**
+ * Status bar item showing the locale of the inline translation labels; clicking it switches the locale
+ */
+class LocaleStatusBar {
+    /**
+     * @param {LocaleService} localeService The service resolving the current locale
+     */
+    constructor(localeService) {
+        this.localeService = localeService;
+        this.item = vscode.window.createStatusBarItem('elementaryWatson.locale', vscode.StatusBarAlignment.Right, 101);
+        this.item.name = 'Translation Label Locale';
+        this.item.command = 'elementaryWatson.changeLocale';
+    }
+
+    /**
+     * Show the display locale of a project, or hide the item without a project
+     * @param {string|null} workspacePath The project path
+     */
+    update(workspacePath) {
+        if (!workspacePath) {
+            this.item.hide();
+            return;
+        }
+
+        const locale = this.localeService.getCurrentLocale(workspacePath);
+        this.item.text = `$(globe) ${locale}`;
+        this.item.tooltip = `Translation labels show "${locale}". Click to switch the locale`;
+        this.item.show();
+    }
+
+    /**
+     * Dispose of the status bar item
+     */
+    dispose() {
+        this.item.dispose();
+    }
+}
+
+module.exports = { LocaleStatusBar };
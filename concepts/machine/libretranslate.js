@@ -0,0 +1,76 @@
+const { MachineTranslationProvider } = require('./provider');
+
+// Longest time a single request may take before it is aborted
+const REQUEST_TIMEOUT = 30000;
+
+/**
+ * Provider for LibreTranslate-compatible HTTP endpoints (https://libretranslate.com or a self-hosted instance)
+ */
+class LibreTranslateProvider extends MachineTranslationProvider {
+    /**
+     * @param {Object} options Provider settings
+     * @param {string} options.url The base URL of the instance, e.g. "http://localhost:5000"
+     * @param {string} [options.apiKey] The API key, if the instance requires one
+     */
+    constructor({ url, apiKey }) {
+        super('libreTranslate', 'LibreTranslate');
+        this.url = url.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+    }
+
+    /**
+     * Translate texts with the /translate endpoint, sending all texts in one request
+     * @param {Array<string>} texts The texts to translate
+     * @param {string} sourceLocale The locale of the texts
+     * @param {string} targetLocale The locale to translate to
+     * @returns {Promise<Array<string>>} The translations, in the order of the texts
+     * @throws {Error} If the instance cannot be reached or rejects the request
+     */
+    async translate(texts, sourceLocale, targetLocale) {
+        const body = {
+            q: texts,
+            source: this.toLanguageCode(sourceLocale),
+            target: this.toLanguageCode(targetLocale),
+            format: 'text'
+        };
+        if (this.apiKey) {
+            body.api_key = this.apiKey;
+        }
+
+        let response;
+        try {
+            response = await fetch(`${this.url}/translate`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+            });
+        } catch (error) {
+            throw new Error(`Cannot reach LibreTranslate at ${this.url}: ${error.message}`);
+        }
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(`LibreTranslate rejected the request (${response.status}): ${result.error || response.statusText}`);
+        }
+
+        // An array of texts is answered with an array of translations
+        const translations = Array.isArray(result.translatedText) ? result.translatedText : [result.translatedText];
+        if (translations.length !== texts.length || translations.some(text => typeof text !== 'string')) {
+            throw new Error('LibreTranslate returned an unexpected response');
+        }
+
+        return translations;
+    }
+
+    /**
+     * Map an inlang locale to a LibreTranslate language code, e.g. "pt-BR" → "pt"
+     * @param {string} locale The locale
+     * @returns {string} The language code
+     */
+    toLanguageCode(locale) {
+        return locale.split(/[-_]/)[0].toLowerCase();
+    }
+}
+
+module.exports = { LibreTranslateProvider };
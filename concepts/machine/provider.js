@@ -0,0 +1,37 @@
+/**
+ * Base class of machine translation providers.
+ * A provider translates plain text; `{placeholders}` are replaced with numbered tokens before the text is sent
+ * and restored afterwards by the MachineTranslationService, so providers never see message syntax.
+ */
+class MachineTranslationProvider {
+    /**
+     * @param {string} id The provider id used in settings
+     * @param {string} label The human readable provider name
+     */
+    constructor(id, label) {
+        this.id = id;
+        this.label = label;
+    }
+
+    /**
+     * Translate texts from one locale to another
+     * @param {Array<string>} texts The texts to translate
+     * @param {string} sourceLocale The locale of the texts, e.g. "en"
+     * @param {string} targetLocale The locale to translate to, e.g. "pt-BR"
+     * @returns {Promise<Array<string>>} The translations, in the order of the texts
+     * @throws {Error} If the provider cannot be reached or rejects the request
+     */
+    async translate() {
+        throw new Error(`${this.label} provider does not implement translate()`);
+    }
+
+    /**
+     * Get the number of texts sent in one request
+     * @returns {number} The batch size
+     */
+    getBatchSize() {
+        return 25;
+    }
+}
+
+module.exports = { MachineTranslationProvider };
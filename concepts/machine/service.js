@@ -0,0 +1,250 @@
+const vscode = require('vscode');
+const { LocaleService } = require('../locale/service');
+const { TranslationService } = require('../translation/service');
+const { TranslationRepository } = require('../translation/repository');
+const { TranslationFileWriter } = require('../translation/writer');
+const { LibreTranslateProvider } = require('./libretranslate');
+
+// Machine translation providers by the id used in the elementaryWatson.machineTranslation.provider setting
+const PROVIDERS = {
+    libreTranslate: LibreTranslateProvider
+};
+
+// Placeholders and escape sequences that must reach the message file unchanged
+const PROTECTED_PATTERN = /\\[\\{}]|\{[^{}]*\}/g;
+
+// Numbered tokens standing in for protected text; providers keep them as they are
+const TOKEN_PATTERN = /\{\s*(\d+)\s*\}/g;
+
+// workspaceState key of the values written by machine translation
+const STATE_KEY = 'elementaryWatson.machineTranslations';
+
+// Workspace state holding the records, shared by every service instance; set on activation
+let recordState = null;
+
+/**
+ * Service filling untranslated values through the configured machine translation provider
+ * and recording the values it wrote
+ */
+class MachineTranslationService {
+    constructor() {
+        this.localeService = new LocaleService();
+        this.translationService = new TranslationService();
+        this.translationRepository = new TranslationRepository();
+        this.translationFileWriter = new TranslationFileWriter();
+    }
+
+    /**
+     * Use the workspace state to keep the record of machine-translated values
+     * @param {vscode.Memento} workspaceState The extension's workspace state
+     */
+    initialize(workspaceState) {
+        recordState = workspaceState;
+    }
+
+    /**
+     * Create the provider configured in the settings
+     * @returns {MachineTranslationProvider} The provider
+     * @throws {Error} If the provider is unknown or not configured
+     */
+    createProvider() {
+        const config = vscode.workspace.getConfiguration('elementaryWatson');
+        const providerId = config.get('machineTranslation.provider', 'libreTranslate');
+        const Provider = PROVIDERS[providerId];
+        if (!Provider) {
+            throw new Error(`Unknown machine translation provider "${providerId}"`);
+        }
+
+        const url = config.get('machineTranslation.url', 'http://localhost:5000');
+        if (!url) {
+            throw new Error('Set elementaryWatson.machineTranslation.url to the address of the translation service');
+        }
+
+        return new Provider({ url, apiKey: config.get('machineTranslation.apiKey', '') });
+    }
+
+    /**
+     * Find the keys of a locale that are missing or empty while the base locale has a text
+     * @param {string} workspacePath The project path
+     * @param {string} locale The locale to fill
+     * @param {Array<string>|null} [keys] The keys to consider; every base locale key if null
+     * @returns {Promise<Array<{key: string, source: string}>>} The keys and their base locale texts
+     */
+    async findUntranslatedEntries(workspacePath, locale, keys = null) {
+        const baseLocale = this.localeService.getBaseLocale(workspacePath);
+        const translationsByLocale = await this.translationService.loadTranslationsForLocales(workspacePath, [baseLocale, locale]);
+        const baseTranslations = translationsByLocale.get(baseLocale);
+        const translations = translationsByLocale.get(locale);
+
+        const candidateKeys = keys || this.translationService.flattenTranslations(baseTranslations).map(entry => entry.key);
+        const entries = [];
+
+        for (const key of new Set(candidateKeys)) {
+            // Variant messages have no single text to translate
+            const source = this.translationService.getRawTranslation(baseTranslations, key);
+            if (typeof source !== 'string' || source.trim() === '') continue;
+
+            if (!this.translationService.getTranslation(translations, key)) {
+                entries.push({ key, source });
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Translate entries in batches, keeping their placeholders
+     * @param {MachineTranslationProvider} provider The provider
+     * @param {Array<{key: string, source: string}>} entries The entries to translate
+     * @param {string} sourceLocale The base locale
+     * @param {string} targetLocale The locale to translate to
+     * @param {vscode.CancellationToken} [token] Stops before the next batch when cancelled
+     * @returns {Promise<{translated: Array<{key: string, value: string}>, skipped: Array<string>, error: Error|null}>}
+     *   The translated values, the keys whose translation lost or changed a placeholder and the error that stopped
+     *   a failed batch; the values of the batches before it are kept
+     */
+    async translateEntries(provider, entries, sourceLocale, targetLocale, token) {
+        const translated = [];
+        const skipped = [];
+        const batchSize = provider.getBatchSize();
+
+        for (let start = 0; start < entries.length; start += batchSize) {
+            if (token && token.isCancellationRequested) break;
+
+            const batch = entries.slice(start, start + batchSize).map(entry => ({ ...entry, ...this.protectPlaceholders(entry.source) }));
+            let results;
+            try {
+                results = await provider.translate(batch.map(entry => entry.text), sourceLocale, targetLocale);
+            } catch (error) {
+                return { translated, skipped, error };
+            }
+
+            batch.forEach((entry, index) => {
+                const value = this.restorePlaceholders(results[index], entry.tokens);
+                if (value === null || value.trim() === '') {
+                    skipped.push(entry.key);
+                } else {
+                    translated.push({ key: entry.key, value });
+                }
+            });
+        }
+
+        return { translated, skipped, error: null };
+    }
+
+    /**
+     * Replace placeholders and escape sequences with numbered tokens, e.g. "Hi {name}" → "Hi {0}"
+     * @param {string} text The message pattern
+     * @returns {{text: string, tokens: Array<string>}} The text to send and the protected parts by token number
+     */
+    protectPlaceholders(text) {
+        const tokens = [];
+        const protectedText = text.replace(PROTECTED_PATTERN, match => {
+            tokens.push(match);
+            return `{${tokens.length - 1}}`;
+        });
+
+        return { text: protectedText, tokens };
+    }
+
+    /**
+     * Put the protected parts back into a translation
+     * @param {string} text The translated text with numbered tokens
+     * @param {Array<string>} tokens The protected parts by token number
+     * @returns {string|null} The message pattern, or null if a token was lost, duplicated or invented
+     */
+    restorePlaceholders(text, tokens) {
+        const used = new Array(tokens.length).fill(0);
+        let valid = true;
+
+        const restored = text.replace(TOKEN_PATTERN, (match, number) => {
+            const index = Number(number);
+            if (index >= tokens.length) {
+                valid = false;
+                return match;
+            }
+            used[index]++;
+            return tokens[index];
+        });
+
+        return valid && used.every(count => count === 1) ? restored : null;
+    }
+
+    /**
+     * Write translated values to the message files of a locale as one undoable edit and record them
+     * @param {string} workspacePath The project path
+     * @param {string} locale The translated locale
+     * @param {Array<{key: string, value: string}>} translated The values to write
+     * @returns {Promise<Array<string>>} The paths of the changed message files
+     */
+    async writeTranslations(workspacePath, locale, translated) {
+        // Existing keys stay in the file defining them (pathPattern may list several files)
+        const entriesByPath = new Map();
+        for (const entry of translated) {
+            const translationPath = await this.translationService.findTranslationFileForKey(workspacePath, locale, entry.key);
+            if (!entriesByPath.has(translationPath)) {
+                entriesByPath.set(translationPath, []);
+            }
+            entriesByPath.get(translationPath).push(entry);
+        }
+
+        const changedPaths = await this.translationFileWriter.applyChanges([...entriesByPath].map(([translationPath, entries]) => ({
+            translationPath,
+            update: text => entries.reduce(
+                (updated, { key, value }) => this.translationRepository.setValueInText(updated, key, value, translationPath),
+                text
+            )
+        })));
+
+        this.recordMachineTranslations(workspacePath, locale, translated);
+
+        return changedPaths;
+    }
+
+    /**
+     * Load the machine-translated values of a project
+     * @param {string} workspacePath The project path
+     * @returns {Object<string, Object<string, string>>} Values written by machine translation, by locale and key.
+     *   Shared between callers - do not mutate.
+     */
+    loadRecord(workspacePath) {
+        const records = recordState ? recordState.get(STATE_KEY, {}) : {};
+        return records[workspacePath] || {};
+    }
+
+    /**
+     * Add translated values to the record of a project
+     * @param {string} workspacePath The project path
+     * @param {string} locale The translated locale
+     * @param {Array<{key: string, value: string}>} translated The values written
+     */
+    recordMachineTranslations(workspacePath, locale, translated) {
+        if (!recordState) return;
+
+        const records = recordState.get(STATE_KEY, {});
+        const record = records[workspacePath] || {};
+        const values = { ...record[locale] };
+        for (const { key, value } of translated) {
+            values[key] = value;
+        }
+
+        const updated = { ...records, [workspacePath]: { ...record, [locale]: values } };
+        Promise.resolve(recordState.update(STATE_KEY, updated)).catch(error => {
+            console.error('Error saving machine translation record:', error);
+        });
+    }
+
+    /**
+     * Check if a value is still the one machine translation wrote; a value edited since then is no longer marked
+     * @param {Object<string, Object<string, string>>} record The record from loadRecord()
+     * @param {string} locale The locale
+     * @param {string} key The translation key
+     * @param {any} value The current raw value
+     * @returns {boolean} True if the value was machine-translated and not changed since
+     */
+    isMachineTranslated(record, locale, key, value) {
+        return typeof value === 'string' && value !== '' && Boolean(record[locale]) && record[locale][key] === value;
+    }
+}
+
+module.exports = { MachineTranslationService };
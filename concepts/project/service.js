@@ -0,0 +1,166 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+
+// Glob matching the settings file of every inlang project in the workspace
+const INLANG_SETTINGS_GLOB = '**/project.inlang/settings.json';
+
+// Directory path -> resolved project path, shared by every ProjectService instance
+const projectPathCache = new Map();
+
+// Pending or resolved list of every project in the workspace
+let projectsPromise = null;
+
+/**
+ * Service resolving which inlang project a file belongs to.
+ * A project path is the directory containing `project.inlang`; without one the workspace folder root is used.
+ */
+class ProjectService {
+    /**
+     * Get the glob matching inlang project settings files
+     * @returns {string} The glob pattern
+     */
+    getSettingsGlob() {
+        return INLANG_SETTINGS_GLOB;
+    }
+
+    /**
+     * Resolve the nearest enclosing inlang project of a file
+     * @param {vscode.Uri|string} target The file URI or path
+     * @returns {string|null} The project path, the workspace folder root if no project encloses the file, or null outside the workspace
+     */
+    getProjectPath(target) {
+        const uri = typeof target === 'string' ? vscode.Uri.file(target) : target;
+        const workspaceFolder = vscode.workspace.getWorkspaceFolder(uri);
+        if (!workspaceFolder) return null;
+
+        return this.findNearestProject(uri.fsPath, workspaceFolder.uri.fsPath);
+    }
+
+    /**
+     * Walk up from a file to the nearest directory containing a project.inlang
+     * @param {string} filePath The file path
+     * @param {string} rootPath The workspace folder root the walk stops at
+     * @returns {string} The project path, or the root path if no project encloses the file
+     */
+    findNearestProject(filePath, rootPath) {
+        let directory = path.dirname(filePath);
+        const visited = [];
+        let projectPath = rootPath;
+
+        // Walk up until a project.inlang is found, stopping at the workspace folder root
+        while (true) {
+            if (projectPathCache.has(directory)) {
+                projectPath = projectPathCache.get(directory);
+                break;
+            }
+
+            visited.push(directory);
+
+            if (this.hasInlangProject(directory)) {
+                projectPath = directory;
+                break;
+            }
+
+            const parent = path.dirname(directory);
+            if (directory === rootPath || parent === directory || !this.isInside(parent, rootPath)) {
+                break;
+            }
+            directory = parent;
+        }
+
+        for (const visitedDirectory of visited) {
+            projectPathCache.set(visitedDirectory, projectPath);
+        }
+
+        return projectPath;
+    }
+
+    /**
+     * Resolve the project of the active editor, or of the first workspace folder if no editor is open
+     * @returns {string|null} The project path or null without a workspace
+     */
+    getActiveProjectPath() {
+        const activeEditor = vscode.window.activeTextEditor;
+        if (activeEditor && activeEditor.document.uri.scheme === 'file') {
+            const projectPath = this.getProjectPath(activeEditor.document.uri);
+            if (projectPath) return projectPath;
+        }
+
+        const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+        return workspaceFolder ? workspaceFolder.uri.fsPath : null;
+    }
+
+    /**
+     * Find every inlang project in the workspace. The result is cached until clearCache() is called.
+     * Workspace folders without any project.inlang are returned as projects themselves (messages directory fallback).
+     * @returns {Promise<Array<string>>} The project paths
+     */
+    findProjects() {
+        if (!projectsPromise) {
+            projectsPromise = this.discoverProjects().catch(error => {
+                projectsPromise = null;
+                throw error;
+            });
+        }
+        return projectsPromise;
+    }
+
+    /**
+     * Search the workspace folders for inlang projects
+     * @returns {Promise<Array<string>>} The project paths
+     */
+    async discoverProjects() {
+        const workspaceFolders = vscode.workspace.workspaceFolders || [];
+        const projects = new Set();
+
+        for (const workspaceFolder of workspaceFolders) {
+            const settingsFiles = await vscode.workspace.findFiles(
+                new vscode.RelativePattern(workspaceFolder, INLANG_SETTINGS_GLOB),
+                '**/node_modules/**'
+            );
+
+            if (settingsFiles.length === 0) {
+                projects.add(workspaceFolder.uri.fsPath);
+                continue;
+            }
+
+            for (const settingsFile of settingsFiles) {
+                // .../<project>/project.inlang/settings.json
+                projects.add(path.dirname(path.dirname(settingsFile.fsPath)));
+            }
+        }
+
+        return [...projects].sort();
+    }
+
+    /**
+     * Check whether a directory contains an inlang project
+     * @param {string} directory The directory path
+     * @returns {boolean} True if project.inlang/settings.json exists in the directory
+     */
+    hasInlangProject(directory) {
+        return fs.existsSync(path.join(directory, 'project.inlang', 'settings.json'));
+    }
+
+    /**
+     * Check whether a path is inside (or equal to) a directory
+     * @param {string} candidate The path to check
+     * @param {string} directory The directory
+     * @returns {boolean} True if the path is inside the directory
+     */
+    isInside(candidate, directory) {
+        const relativePath = path.relative(directory, candidate);
+        return relativePath === '' || (!relativePath.startsWith('..') && !path.isAbsolute(relativePath));
+    }
+
+    /**
+     * Forget resolved project paths and the project list, e.g. after a project.inlang was created or deleted
+     */
+    clearCache() {
+        projectPathCache.clear();
+        projectsPromise = null;
+    }
+}
+
+module.exports = { ProjectService };
@@ -1,6 +1,7 @@
 const vscode = require('vscode');
 const { LocaleService } = require('../locale/service');
 const { TranslationService } = require('../translation/service');
+const { ProjectService } = require('../project/service');
 
 /**
  * Tree data provider for the ElementaryWatson sidebar
@@ -10,6 +11,7 @@ class SidebarTreeProvider {
         this.sidebarService = sidebarService;
         this.localeService = new LocaleService();
         this.translationService = new TranslationService();
+        this.projectService = new ProjectService();
         this._onDidChangeTreeData = new vscode.EventEmitter();
         this.onDidChangeTreeData = this._onDidChangeTreeData.event;
         this.translationData = [];
@@ -109,17 +111,16 @@ class SidebarTreeProvider {
      */
     async getChildren(element) {
         if (!element) {
-            // Get current locale and workspace path
-            const currentLocale = this.localeService.getCurrentLocale();
-            const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+            // Get the project of the displayed file and its current locale
+            const workspacePath = this.currentFilePath ? this.projectService.getProjectPath(this.currentFilePath) : null;
             
-            if (!workspaceFolder) {
+            if (!workspacePath) {
                 return this.translationData.map(keyData => 
-                    new TranslationKeyNode(keyData.key, keyData.locales.length)
+                    new TranslationKeyNode(keyData.key, keyData.locales.length, null, keyData.locales[0].workspacePath)
                 );
             }
             
-            const workspacePath = workspaceFolder.uri.fsPath;
+            const currentLocale = this.localeService.getCurrentLocale(workspacePath);
             
             // Load current locale translations
             const currentTranslations = await this.translationService.loadTranslationsForLocale(workspacePath, currentLocale);
@@ -131,7 +132,7 @@ class SidebarTreeProvider {
                     currentValue = this.translationService.getTranslation(currentTranslations, keyData.key);
                 }
                 
-                return new TranslationKeyNode(keyData.key, keyData.locales.length, currentValue);
+                return new TranslationKeyNode(keyData.key, keyData.locales.length, currentValue, workspacePath);
             });
         }
 
@@ -144,12 +145,21 @@ class SidebarTreeProvider {
                         localeData.locale,
                         localeData.value,
                         element.key,
-                        localeData.workspacePath
+                        localeData.workspacePath,
+                        localeData.branches,
+                        localeData.machineTranslated
                     )
                 );
             }
         }
 
+        if (element instanceof TranslationItemNode && element.branches) {
+            // Return the match branches of a variant message
+            return element.branches.map(branch => 
+                new VariantBranchNode(branch.label, branch.value, element)
+            );
+        }
+
         return [];
     }
 }
@@ -160,9 +170,10 @@ class SidebarTreeProvider {
  * Tree node for translation keys
  */
 class TranslationKeyNode extends vscode.TreeItem {
-    constructor(key, localeCount, currentValue = null) {
+    constructor(key, localeCount, currentValue = null, workspacePath = null) {
         super(key, vscode.TreeItemCollapsibleState.Collapsed);
         this.key = key;
+        this.workspacePath = workspacePath;
         
         if (currentValue) {
             // Truncate long values for display
@@ -181,18 +192,22 @@ class TranslationKeyNode extends vscode.TreeItem {
  * Tree node for individual translation items (locale + value)
  */
 class TranslationItemNode extends vscode.TreeItem {
-    constructor(locale, value, key, workspacePath) {
+    constructor(locale, value, key, workspacePath, branches = null, machineTranslated = false) {
         // Truncate long values for display
         const displayValue = value.length > 50 ? value.substring(0, 47) + '...' : value;
-        const label = `[${locale}] "${displayValue}"`;
+        const label = branches
+            ? `[${locale}] variant (${branches.length} ${branches.length === 1 ? 'branch' : 'branches'})`
+            : `[${locale}] "${displayValue}"`;
         
-        super(label, vscode.TreeItemCollapsibleState.None);
+        super(label, branches ? vscode.TreeItemCollapsibleState.Collapsed : vscode.TreeItemCollapsibleState.None);
         
         this.locale = locale;
         this.value = value;
         this.key = key;
         this.workspacePath = workspacePath;
-        this.contextValue = 'translationItem';
+        this.branches = branches;
+        // Variant messages cannot be edited as a single string
+        this.contextValue = branches ? 'translationVariant' : 'translationItem';
         
         // Add command for clicking behavior with clearer indication
         this.command = {
@@ -204,10 +219,37 @@ class TranslationItemNode extends vscode.TreeItem {
         // Show empty values differently and add navigation hint
         if (!value || value.trim() === '') {
             this.description = '(empty) → click to navigate';
+        } else if (machineTranslated) {
+            this.description = '🤖 machine-translated → click to navigate';
         } else {
             this.description = '→ click to navigate';
         }
     }
 }
 
-module.exports = { SidebarTreeProvider, TranslationKeyNode, TranslationItemNode }; 
\ No newline at end of file
+/**
+ * Tree node for a match branch of a variant message (e.g. count=one)
+ */
+class VariantBranchNode extends vscode.TreeItem {
+    constructor(label, value, parent) {
+        // Truncate long values for display
+        const displayValue = value.length > 50 ? value.substring(0, 47) + '...' : value;
+        
+        super(`${label}: "${displayValue}"`, vscode.TreeItemCollapsibleState.None);
+        
+        this.value = value;
+        this.key = parent.key;
+        this.locale = parent.locale;
+        this.contextValue = 'variantBranch';
+        this.tooltip = `${label}: ${value}`;
+        
+        // Clicking a branch navigates to the variant message like its parent
+        this.command = parent.command;
+        
+        if (!value || value.trim() === '') {
+            this.description = '(empty)';
+        }
+    }
+}
+
+module.exports = { SidebarTreeProvider, TranslationKeyNode, TranslationItemNode, VariantBranchNode }; 
\ No newline at end of file
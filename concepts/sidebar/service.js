@@ -1,6 +1,10 @@
 const vscode = require('vscode');
+const path = require('path');
 const { TranslationService } = require('../translation/service');
 const { LocaleService } = require('../locale/service');
+const { ProjectService } = require('../project/service');
+const { ExtractionService } = require('../extraction/service');
+const { MachineTranslationService } = require('../machine/service');
 
 /**
  * Service for managing sidebar translation data
@@ -9,6 +13,9 @@ class SidebarService {
     constructor() {
         this.translationService = new TranslationService();
         this.localeService = new LocaleService();
+        this.projectService = new ProjectService();
+        this.extractionService = new ExtractionService();
+        this.machineTranslationService = new MachineTranslationService();
     }
 
     /**
@@ -20,19 +27,22 @@ class SidebarService {
         try {
             if (!document) return [];
 
-            const workspaceFolder = vscode.workspace.getWorkspaceFolder(document.uri);
-            if (!workspaceFolder) return [];
+            const workspacePath = this.projectService.getProjectPath(document.uri);
+            if (!workspacePath) return [];
 
-            const workspacePath = workspaceFolder.uri.fsPath;
             const text = document.getText();
 
             // Find all m.methodName() calls in the current file
-            const translationCalls = this.translationService.findTranslationCalls(text);
+            const translationCalls = this.translationService.findTranslationCalls(text, document.languageId);
             if (translationCalls.length === 0) return [];
 
             // Get available locales from inlang settings or fallback
             const availableLocales = await this.getAvailableLocales(workspacePath);
             
+            // Load every locale once up front instead of once per call
+            const translationsByLocale = await this.translationService.loadTranslationsForLocales(workspacePath, availableLocales);
+            const machineTranslations = this.machineTranslationService.loadRecord(workspacePath);
+            
             // Create translation data structure
             const translationData = [];
 
@@ -43,14 +53,20 @@ class SidebarService {
                 };
 
                 for (const locale of availableLocales) {
-                    const translations = await this.translationService.loadTranslationsForLocale(workspacePath, locale);
+                    const translations = translationsByLocale.get(locale);
                     const translationValue = translations ? this.translationService.getTranslation(translations, call.methodName) : null;
                     
                     // Only add locale data if the translation exists (not null/undefined)
                     if (translationValue !== null) {
+                        // Variant messages expose every match branch (e.g. count=one, count=other)
+                        const rawValue = this.translationService.getRawTranslation(translations, call.methodName);
+                        const variant = this.translationService.parseVariantMessage(rawValue);
+                        
                         keyData.locales.push({
                             locale,
                             value: translationValue,
+                            branches: variant ? variant.branches : null,
+                            machineTranslated: this.machineTranslationService.isMachineTranslated(machineTranslations, locale, call.methodName, rawValue),
                             workspacePath
                         });
                     }
@@ -76,36 +92,31 @@ class SidebarService {
      * @returns {Promise<Array<string>>} Array of available locale codes
      */
     async getAvailableLocales(workspacePath) {
-        try {
-            const inlangSettings = this.localeService.loadInlangSettings(workspacePath);
-            
-            if (inlangSettings && inlangSettings.locales) {
-                return inlangSettings.locales;
-            }
-
-            // Fallback: try to detect existing locale files
-            const fs = require('fs');
-            const path = require('path');
-            
-            const messagesDir = path.join(workspacePath, 'messages');
-            if (fs.existsSync(messagesDir)) {
-                const files = fs.readdirSync(messagesDir);
-                const locales = files
-                    .filter(file => file.endsWith('.json'))
-                    .map(file => path.basename(file, '.json'));
-                
-                if (locales.length > 0) {
-                    return locales;
-                }
-            }
+        return this.localeService.getAvailableLocales(workspacePath);
+    }
 
-            // Ultimate fallback
-            return ['en'];
+    /**
+     * Get the locales in which a key is missing or empty
+     * @param {string} workspacePath The workspace root path
+     * @param {string} key The translation key
+     * @returns {Promise<Array<string>>} The untranslated locale codes
+     */
+    async getUntranslatedLocales(workspacePath, key) {
+        const availableLocales = await this.getAvailableLocales(workspacePath);
+        const translationsByLocale = await this.translationService.loadTranslationsForLocales(workspacePath, availableLocales);
+        return this.translationService.getKeyLocaleStatus(translationsByLocale, key).missing;
+    }
 
-        } catch (error) {
-            console.error('Error getting available locales:', error);
-            return ['en'];
-        }
+    /**
+     * Write the value of a single key in one locale, leaving the rest of the file untouched
+     * @param {string} workspacePath The workspace root path
+     * @param {string} locale The locale to update
+     * @param {string} key The translation key
+     * @param {string} value The new value
+     * @returns {Promise<string>} The path of the updated locale file
+     */
+    async updateTranslationValue(workspacePath, locale, key, value) {
+        return this.extractionService.updateLocaleFile(workspacePath, locale, key, value);
     }
 
     /**
@@ -117,7 +128,8 @@ class SidebarService {
      */
     async openTranslationFile(workspacePath, locale, key) {
         try {
-            const translationPath = this.localeService.resolveTranslationPath(workspacePath, locale);
+            // With several path patterns the key may live in any of the locale's files
+            const translationPath = await this.translationService.findTranslationFileForKey(workspacePath, locale, key);
             
             // Check if file exists
             const fs = require('fs');
@@ -139,7 +151,7 @@ class SidebarService {
         }
     }
 
-        /**
+    /**
      * Navigate to a specific key in the translation file and highlight its value (supports nested keys)
      * @param {vscode.TextEditor} editor The text editor
      * @param {string} key The key to find (can be nested like "login.inputs.email")
@@ -149,52 +161,28 @@ class SidebarService {
         try {
             const document = editor.document;
             
-            // Get workspace folder to determine locale from file path
-            const workspaceFolder = vscode.workspace.getWorkspaceFolder(document.uri);
-            if (!workspaceFolder) {
-                vscode.window.showErrorMessage('Cannot determine workspace folder');
-                return;
-            }
-
-            const workspacePath = workspaceFolder.uri.fsPath;
-            const filePath = document.uri.fsPath;
-            
-            // Determine locale from file path
-            const path = require('path');
-            const fileName = path.basename(filePath, '.json');
-            const locale = fileName; // Assuming file name is the locale
-            
-            // Use existing TranslationService to load and process the translation
-            const translations = await this.translationService.loadTranslationsForLocale(workspacePath, locale);
-            if (!translations) {
-                vscode.window.showWarningMessage(`Could not load translations for locale: ${locale}`);
-                return;
-            }
-            
-            // Use existing getTranslation method to get the processed value (handles both simple and complex)
-            const translationValue = this.translationService.getTranslation(translations, key);
-            if (!translationValue) {
+            // Resolve the exact key node with the file's message format adapter
+            const location = this.translationService.locateKeyInText(document.getText(), key, document.uri.fsPath);
+            if (!location) {
                 vscode.window.showWarningMessage(`Key "${key}" not found in translation file`);
                 return;
             }
             
-            // Remove the asterisk if present (added by complex structure processing)
-            const searchValue = translationValue.endsWith('*') ? 
-                translationValue.slice(0, -1) : translationValue;
-            
-            // Try to navigate to the value first
-            if (await this.navigateToValue(editor, searchValue)) {
-                console.log(`🎯 Navigated to key "${key}" (value: "${searchValue}") in ${document.fileName}`);
-                return;
+            // Highlight string values without their quotes, otherwise highlight the key itself (e.g. variants)
+            let start, end;
+            if (location.valueType === 'string') {
+                start = location.valueContentOffset;
+                end = location.valueContentOffset + location.valueContentLength;
+            } else {
+                start = location.keyContentOffset;
+                end = location.keyContentOffset + location.keyContentLength;
             }
             
-            // Fallback: navigate to the key itself
-            if (await this.navigateToKeyName(editor, key)) {
-                console.log(`🎯 Navigated to key "${key}" (key location) in ${document.fileName}`);
-                return;
-            }
+            const selection = new vscode.Selection(document.positionAt(start), document.positionAt(end));
+            editor.selection = selection;
+            editor.revealRange(selection, vscode.TextEditorRevealType.InCenter);
             
-            vscode.window.showWarningMessage(`Key "${key}" not found in translation file`);
+            console.log(`🎯 Navigated to key "${key}" in ${document.fileName}`);
 
         } catch (error) {
             console.error('Error navigating to key:', error);
@@ -202,132 +190,6 @@ class SidebarService {
         }
     }
 
-    /**
-     * Navigate to a translation value in the file
-     * @param {vscode.TextEditor} editor The text editor
-     * @param {string} value The value to find
-     * @returns {Promise<boolean>} True if navigation was successful
-     */
-    async navigateToValue(editor, value) {
-        try {
-            const document = editor.document;
-            const text = document.getText();
-            
-            const valueRegex = new RegExp(`"${value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}"`, 'g');
-            const match = valueRegex.exec(text);
-            
-            if (match) {
-                // Highlight the value (without quotes)
-                const valueStart = match.index + 1; // Skip opening quote
-                const valueEnd = valueStart + value.length;
-                
-                const startPos = document.positionAt(valueStart);
-                const endPos = document.positionAt(valueEnd);
-                
-                const selection = new vscode.Selection(startPos, endPos);
-                editor.selection = selection;
-                editor.revealRange(selection, vscode.TextEditorRevealType.InCenter);
-                
-                return true;
-            }
-            
-            return false;
-        } catch (error) {
-            console.error('Error navigating to value:', error);
-            return false;
-        }
-    }
-
-    /**
-     * Navigate to a translation key in the file (supports nested keys)
-     * @param {vscode.TextEditor} editor The text editor
-     * @param {string} key The key to find (can be nested like "login.inputs.email")
-     * @returns {Promise<boolean>} True if navigation was successful
-     */
-    async navigateToKeyName(editor, key) {
-        try {
-            const document = editor.document;
-            const text = document.getText();
-            
-            if (key.includes('.')) {
-                // Nested key - search for the final key name
-                const keyParts = key.split('.');
-                const finalKey = keyParts[keyParts.length - 1];
-                
-                // Create a regex pattern that matches the nested structure
-                // This is more complex, so we'll use a simpler approach: search for the final key
-                const keyRegex = new RegExp(`"${finalKey.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}"\\s*:`, 'g');
-                
-                let match;
-                const matches = [];
-                
-                // Find all matches and look for the one in the right context
-                while ((match = keyRegex.exec(text)) !== null) {
-                    matches.push(match);
-                }
-                
-                // For nested keys, try to find the correct match by checking context
-                for (const match of matches) {
-                    // Simple heuristic: check if we're in the right nested context
-                    const beforeText = text.substring(Math.max(0, match.index - 200), match.index);
-                    const containsParentKeys = keyParts.slice(0, -1).every(parentKey => 
-                        beforeText.includes(`"${parentKey}"`)
-                    );
-                    
-                    if (containsParentKeys || matches.length === 1) {
-                        const keyStart = match.index + 1; // Skip opening quote
-                        const keyEnd = keyStart + finalKey.length;
-                        
-                        const startPos = document.positionAt(keyStart);
-                        const endPos = document.positionAt(keyEnd);
-                        
-                        const selection = new vscode.Selection(startPos, endPos);
-                        editor.selection = selection;
-                        editor.revealRange(selection, vscode.TextEditorRevealType.InCenter);
-                        
-                        return true;
-                    }
-                }
-                
-                // If no good context match, use first match
-                if (matches.length > 0) {
-                    const match = matches[0];
-                    const keyStart = match.index + 1; // Skip opening quote
-                    const keyEnd = keyStart + finalKey.length;
-                    
-                    const startPos = document.positionAt(keyStart);
-                    const endPos = document.positionAt(keyEnd);
-                    
-                    const selection = new vscode.Selection(startPos, endPos);
-                    editor.selection = selection;
-                    editor.revealRange(selection, vscode.TextEditorRevealType.InCenter);
-                    
-                    return true;
-                }
-            } else {
-                // Flat key - simple search
-                const keyRegex = new RegExp(`"${key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}"`, 'g');
-                const keyMatch = keyRegex.exec(text);
-                
-                if (keyMatch) {
-                    const startPos = document.positionAt(keyMatch.index);
-                    const endPos = document.positionAt(keyMatch.index + keyMatch[0].length);
-                    
-                    const selection = new vscode.Selection(startPos, endPos);
-                    editor.selection = selection;
-                    editor.revealRange(selection, vscode.TextEditorRevealType.InCenter);
-                    
-                    return true;
-                }
-            }
-            
-            return false;
-        } catch (error) {
-            console.error('Error navigating to key name:', error);
-            return false;
-        }
-    }
-
     /**
      * Check if a document is a translation file
      * @param {vscode.TextDocument} document The document to check
@@ -339,39 +201,20 @@ class SidebarService {
                 return false;
             }
             
-            const workspaceFolder = vscode.workspace.getWorkspaceFolder(document.uri);
-            if (!workspaceFolder) {
-                return false;
-            }
-
-            const workspacePath = workspaceFolder.uri.fsPath;
-            const filePath = document.uri.fsPath;
-            
-            // Get the path pattern for translation files
-            const pathPattern = this.localeService.getTranslationPathPattern(workspacePath);
+            const filePath = path.resolve(document.uri.fsPath);
             
-            const path = require('path');
-            const relativePath = path.relative(workspacePath, filePath);
-            
-            // Normalize paths for comparison (handle Windows paths)
-            const normalizedRelativePath = relativePath.replace(/\\/g, '/');
-            
-            // Use the actual available locales from configuration instead of hardcoding
-            const availableLocales = await this.getAvailableLocales(workspacePath);
+            // Message files can live outside their project directory (e.g. ../shared/messages), so check every project
+            const projects = await this.projectService.findProjects();
             
-            for (const locale of availableLocales) {
-                let expectedPath = pathPattern.replace('{locale}', locale);
+            for (const workspacePath of projects) {
+                // Use the actual available locales from configuration instead of hardcoding
+                const availableLocales = await this.getAvailableLocales(workspacePath);
                 
-                // Handle different path formats
-                if (expectedPath.startsWith('./')) {
-                    expectedPath = expectedPath.substring(2);
-                }
-                
-                // Normalize expected path
-                expectedPath = expectedPath.replace(/\\/g, '/');
-                
-                if (normalizedRelativePath === expectedPath) {
-                    return true;
+                for (const locale of availableLocales) {
+                    const expectedPaths = this.localeService.resolveTranslationPaths(workspacePath, locale);
+                    if (expectedPaths.some(expectedPath => path.resolve(expectedPath) === filePath)) {
+                        return true;
+                    }
                 }
             }
             
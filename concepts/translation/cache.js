@@ -0,0 +1,113 @@
+const path = require('path');
+
+/**
+ * In-memory cache of parsed message files, shared by every service instance.
+ * Entries are invalidated by the translation file watchers and after the extension writes a file.
+ */
+class TranslationCache {
+    constructor() {
+        this.entries = new Map(); // Map of normalized file path to a promise of the parsed translations
+        this.loadListeners = [];
+    }
+
+    /**
+     * Register a listener called whenever a file is (re)loaded into the cache, i.e. on first use and after invalidation
+     * @param {Function} listener Called with the normalized file path and the parsed translations
+     */
+    onDidLoad(listener) {
+        this.loadListeners.push(listener);
+    }
+
+    /**
+     * Normalize a file path so the same file always maps to the same entry
+     * @param {string} filePath The file path
+     * @returns {string} The normalized path
+     */
+    normalize(filePath) {
+        return path.resolve(filePath);
+    }
+
+    /**
+     * Get the cached translations for a file, loading them on a cache miss
+     * @param {string} filePath The full path to the translation file
+     * @param {Function} loader Async function returning the parsed translations (or null)
+     * @returns {Promise<Object|null>} The cached translations. Shared between callers - do not mutate.
+     */
+    get(filePath, loader) {
+        const key = this.normalize(filePath);
+
+        if (!this.entries.has(key)) {
+            const pending = Promise.resolve()
+                .then(loader)
+                .then(translations => {
+                    this.notifyLoad(key, translations);
+                    return translations;
+                })
+                .catch(error => {
+                    // Never cache failures so the next request retries the read
+                    this.entries.delete(key);
+                    throw error;
+                });
+            this.entries.set(key, pending);
+        }
+
+        return this.entries.get(key);
+    }
+
+    /**
+     * Tell the load listeners about freshly loaded translations. Listener errors never fail the load.
+     * @param {string} key The normalized file path
+     * @param {Object|null} translations The parsed translations
+     */
+    notifyLoad(key, translations) {
+        for (const listener of this.loadListeners) {
+            try {
+                listener(key, translations);
+            } catch (error) {
+                console.error('Error in translation cache listener:', error);
+            }
+        }
+    }
+
+    /**
+     * Check whether a file currently has a cached entry
+     * @param {string} filePath The full path to the translation file
+     * @returns {boolean} True if the file is cached
+     */
+    has(filePath) {
+        return this.entries.has(this.normalize(filePath));
+    }
+
+    /**
+     * Drop the cached entry for a single file
+     * @param {string} filePath The full path to the translation file
+     */
+    invalidate(filePath) {
+        this.entries.delete(this.normalize(filePath));
+    }
+
+    /**
+     * Drop every cached entry belonging to a workspace
+     * @param {string} workspacePath The workspace root path
+     */
+    invalidateWorkspace(workspacePath) {
+        const root = this.normalize(workspacePath) + path.sep;
+        for (const key of this.entries.keys()) {
+            if (key.startsWith(root)) {
+                this.entries.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Drop all cached entries
+     */
+    clear() {
+        this.entries.clear();
+    }
+}
+
+// Single cache instance shared across the extension
+const translationCache = new TranslationCache();
+
+module.exports = { TranslationCache, translationCache };
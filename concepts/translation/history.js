@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { TranslationService } = require('./service');
+const { translationCache } = require('./cache');
+
+// workspaceState key of the recorded message fingerprints
+const STATE_KEY = 'elementaryWatson.translationHistory';
+
+/**
+ * Tracks when the value of each key last changed per message file, so a translation can be flagged as stale
+ * when its reference locale changed later. A file is compared with its recorded fingerprints whenever the
+ * translation cache (re)loads it; changed keys are dated with the file's modification time. Fingerprints are
+ * kept in the workspace state; a file seen for the first time counts as unchanged since the beginning.
+ */
+class TranslationHistory {
+    constructor() {
+        this.translationService = new TranslationService();
+        this.workspaceState = null;
+        this.files = {}; // Map of normalized file path to key to [fingerprint, changedAt]
+    }
+
+    /**
+     * Load the recorded history from the workspace state and record every message file the cache loads
+     * @param {vscode.Memento} workspaceState The extension's workspace state
+     */
+    initialize(workspaceState) {
+        this.workspaceState = workspaceState;
+        this.files = workspaceState.get(STATE_KEY, {});
+        translationCache.onDidLoad((filePath, translations) => this.recordTranslations(filePath, translations));
+    }
+
+    /**
+     * Compare the messages of a file with the recorded fingerprints and record the keys that changed
+     * @param {string} filePath The full path to the message file
+     * @param {Object|null} translations The current translations of the file
+     */
+    recordTranslations(filePath, translations) {
+        if (!translations) return;
+
+        const fileKey = translationCache.normalize(filePath);
+        const previous = this.files[fileKey];
+        const changedAt = previous ? this.getModifiedTime(fileKey) : 0;
+        const current = {};
+        let changed = !previous;
+
+        for (const { key, value } of this.translationService.flattenTranslations(translations)) {
+            const fingerprint = this.fingerprint(value);
+            const recorded = previous && previous[key];
+
+            if (recorded && recorded[0] === fingerprint) {
+                current[key] = recorded;
+            } else {
+                // Without a previous snapshot there is nothing to compare against
+                current[key] = [fingerprint, changedAt];
+                changed = true;
+            }
+        }
+
+        if (!changed && Object.keys(previous).length === Object.keys(current).length) return;
+
+        this.files[fileKey] = current;
+        this.save();
+    }
+
+    /**
+     * Check if a key changed in the reference locale after it last changed in the primary locale
+     * @param {Array<string>} translationPaths The message files of the primary locale
+     * @param {Array<string>} referencePaths The message files of the reference locale
+     * @param {string} key The translation key
+     * @returns {boolean} True if the primary translation may be outdated
+     */
+    isStale(translationPaths, referencePaths, key) {
+        const primary = this.getChangedAt(translationPaths, key);
+        const reference = this.getChangedAt(referencePaths, key);
+
+        return primary !== null && reference !== null && reference > primary;
+    }
+
+    /**
+     * Get when a key last changed in any of the given message files
+     * @param {Array<string>} filePaths The message files of a locale
+     * @param {string} key The translation key
+     * @returns {number|null} The change time, or null if no file recorded the key
+     */
+    getChangedAt(filePaths, key) {
+        let latest = null;
+        for (const filePath of filePaths) {
+            const file = this.files[translationCache.normalize(filePath)];
+            if (file && file[key] && (latest === null || file[key][1] > latest)) {
+                latest = file[key][1];
+            }
+        }
+        return latest;
+    }
+
+    /**
+     * Get the modification time of a file, falling back to now when it cannot be read
+     * @param {string} filePath The full path to the file
+     * @returns {number} The modification time in milliseconds
+     */
+    getModifiedTime(filePath) {
+        try {
+            return fs.statSync(filePath).mtimeMs;
+        } catch {
+            return Date.now();
+        }
+    }
+
+    /**
+     * Create a short fingerprint of a message value
+     * @param {any} value The raw message value (string or variant array)
+     * @returns {string} The fingerprint
+     */
+    fingerprint(value) {
+        return crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex').slice(0, 12);
+    }
+
+    /**
+     * Persist the history to the workspace state
+     */
+    save() {
+        if (!this.workspaceState) return;
+
+        Promise.resolve(this.workspaceState.update(STATE_KEY, this.projects)).catch(error => {
+            console.error('Error saving translation history:', error);
+        });
+    }
+}
+
+// Single history instance shared across the extension
+const translationHistory = new TranslationHistory();
+
+module.exports = { TranslationHistory, translationHistory };
@@ -0,0 +1,487 @@
+const babelParser = require('@babel/parser');
+
+// AST properties that never contain child nodes worth visiting
+const SKIPPED_AST_KEYS = new Set(['loc', 'start', 'end', 'extra', 'range', 'leadingComments', 'trailingComments', 'innerComments']);
+
+// Svelte block/tag prefixes whose remainder is a plain JavaScript expression
+const SVELTE_EXPRESSION_TAGS = /^\s*(#if|:else\s+if|#key|@html|@render|@debug|@attach)\s+/;
+
+/**
+ * Parser that locates m.methodName() and m["nested.key"]() calls using a real JavaScript/TypeScript AST
+ */
+class TranslationCallParser {
+    /**
+     * Find all translation calls in a source text
+     * @param {string} text The source code text to analyze
+     * @param {string} [languageId] The VS Code language ID ('javascript', 'typescript' or 'svelte')
+     * @returns {Array} Array of translation call objects sorted by position. Each call contains
+     *   methodName, keyType ('flat' | 'nested'), params (raw argument text), args (structured arguments),
+     *   start/end (whole call), keyStart/keyEnd (key text without quotes) and calleeEnd (end of m.key / m["key"])
+     */
+    findCalls(text, languageId) {
+        const language = languageId || this.detectLanguage(text);
+        const regions = language === 'svelte'
+            ? this.getSvelteRegions(text)
+            : [{ start: 0, end: text.length, kind: 'program', typescript: language === 'typescript' }];
+
+        const calls = [];
+        for (const region of regions) {
+            calls.push(...this.findCallsInRegion(text, region));
+        }
+
+        // Sort by position to maintain order
+        calls.sort((a, b) => a.start - b.start);
+
+        return calls;
+    }
+
+    /**
+     * Guess the language of a text when no language ID is provided
+     * @param {string} text The source code text
+     * @returns {string} The detected language ID
+     */
+    detectLanguage(text) {
+        return /<script[\s>]/i.test(text) ? 'svelte' : 'typescript';
+    }
+
+    /**
+     * Split a Svelte component into parseable code regions (script blocks and markup expressions)
+     * @param {string} text The Svelte component source
+     * @returns {Array} Array of region objects with start, end, kind and typescript flag
+     */
+    getSvelteRegions(text) {
+        const regions = [];
+        const excluded = [];
+        let typescript = false;
+
+        // <script> blocks are parsed as whole programs
+        const scriptPattern = /<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi;
+        let match;
+        while ((match = scriptPattern.exec(text)) !== null) {
+            const isTypeScript = /\blang\s*=\s*["']?(ts|typescript)\b/i.test(match[1]);
+            typescript = typescript || isTypeScript;
+
+            const contentStart = match.index + match[0].indexOf('>') + 1;
+            regions.push({
+                start: contentStart,
+                end: contentStart + match[2].length,
+                kind: 'program',
+                typescript: isTypeScript
+            });
+            excluded.push({ start: match.index, end: match.index + match[0].length });
+        }
+
+        // <style> blocks and HTML comments never contain translation calls
+        const ignoredPattern = /<style\b[^>]*>[\s\S]*?<\/style\s*>|<!--[\s\S]*?-->/gi;
+        while ((match = ignoredPattern.exec(text)) !== null) {
+            excluded.push({ start: match.index, end: match.index + match[0].length });
+        }
+
+        // Every {...} in the remaining markup (text nodes and attributes) is an expression tag
+        let index = 0;
+        while (index < text.length) {
+            const excludedRange = excluded.find(range => index >= range.start && index < range.end);
+            if (excludedRange) {
+                index = excludedRange.end;
+                continue;
+            }
+
+            if (text[index] === '{') {
+                const closeIndex = this.findClosingBrace(text, index);
+                const end = closeIndex === -1 ? text.length : closeIndex;
+                regions.push({ start: index + 1, end, kind: 'markup', typescript });
+                index = end + 1;
+                continue;
+            }
+
+            index++;
+        }
+
+        return regions;
+    }
+
+    /**
+     * Find the brace closing the one at openIndex, skipping strings and template literals
+     * @param {string} text The source text
+     * @param {number} openIndex Index of the opening brace
+     * @returns {number} Index of the matching closing brace or -1 if unterminated
+     */
+    findClosingBrace(text, openIndex) {
+        let depth = 0;
+
+        for (let i = openIndex; i < text.length; i++) {
+            const char = text[i];
+
+            if (char === '"' || char === "'" || char === '`') {
+                // Skip over the string literal, honouring escapes
+                i++;
+                while (i < text.length && text[i] !== char) {
+                    if (text[i] === '\\') i++;
+                    i++;
+                }
+            } else if (char === '{') {
+                depth++;
+            } else if (char === '}') {
+                depth--;
+                if (depth === 0) {
+                    return i;
+                }
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Find translation calls inside a single code region
+     * @param {string} text The full source text
+     * @param {Object} region The region to parse
+     * @returns {Array} Array of translation call objects with absolute offsets
+     */
+    findCallsInRegion(text, region) {
+        const source = text.slice(region.start, region.end);
+        if (!source.includes('m.') && !source.includes('m[')) {
+            return [];
+        }
+
+        try {
+            const parsed = region.kind === 'program'
+                ? this.parseProgram(source, region.typescript)
+                : this.parseMarkupExpression(source, region.typescript);
+
+            if (!parsed) {
+                return [];
+            }
+
+            const calls = [];
+            this.walk(parsed.ast, node => {
+                const call = this.toTranslationCall(node, source, region.start - parsed.offset);
+                if (call) {
+                    calls.push(call);
+                }
+            });
+            return calls;
+        } catch {
+            // Incomplete code while typing - fall back to pattern matching for this region
+            return this.findCallsWithPatterns(source, region.start);
+        }
+    }
+
+    /**
+     * Parse a whole script as a module
+     * @param {string} source The script source
+     * @param {boolean} typescript Whether to enable TypeScript syntax
+     * @returns {{ast: Object, offset: number}} The AST and the offset of the source inside the parsed code
+     */
+    parseProgram(source, typescript) {
+        const ast = babelParser.parse(source, {
+            sourceType: 'module',
+            errorRecovery: true,
+            allowReturnOutsideFunction: true,
+            allowAwaitOutsideFunction: true,
+            allowUndeclaredExports: true,
+            plugins: typescript ? ['typescript'] : ['jsx']
+        });
+        return { ast, offset: 0 };
+    }
+
+    /**
+     * Parse the content of a Svelte markup tag such as {m.key()}, {#if cond} or {@const x = m.key()}
+     * @param {string} source The content between the braces
+     * @param {boolean} typescript Whether to enable TypeScript syntax
+     * @returns {{ast: Object, offset: number}|null} The AST and source offset, or null for tags without expressions
+     */
+    parseMarkupExpression(source, typescript) {
+        const options = {
+            errorRecovery: true,
+            plugins: typescript ? ['typescript'] : ['jsx']
+        };
+
+        // Closing tags, {:else}, {:then value} and snippet declarations hold no expression
+        if (/^\s*(\/|:else\s*$|:then\b|:catch\b|#snippet\b)/.test(source)) {
+            return null;
+        }
+
+        // {@const name = expression} is a declaration
+        const constMatch = source.match(/^\s*@const\s+/);
+        if (constMatch) {
+            const prefix = 'const ';
+            const ast = babelParser.parse(prefix + source.slice(constMatch[0].length), { ...options, sourceType: 'module' });
+            return { ast, offset: prefix.length - constMatch[0].length };
+        }
+
+        let expressionStart = 0;
+        let expressionSource = source;
+
+        const tagMatch = source.match(SVELTE_EXPRESSION_TAGS);
+        const blockMatch = source.match(/^\s*(#each|#await)\s+/);
+        if (tagMatch) {
+            expressionStart = tagMatch[0].length;
+            expressionSource = source.slice(expressionStart);
+        } else if (blockMatch) {
+            // {#each items as item} and {#await promise then value} - only the leading part is an expression
+            expressionStart = blockMatch[0].length;
+            const rest = source.slice(expressionStart);
+            const bindingMatch = rest.match(blockMatch[1] === '#each' ? /\s+as\s/ : /\s+(then|catch)(\s|$)/);
+            expressionSource = bindingMatch ? rest.slice(0, bindingMatch.index) : rest;
+        } else if (/^\s*\.\.\./.test(source)) {
+            // {...spread} attributes
+            expressionStart = source.indexOf('...') + 3;
+            expressionSource = source.slice(expressionStart);
+        }
+
+        const ast = babelParser.parseExpression(expressionSource, options);
+        return { ast, offset: -expressionStart };
+    }
+
+    /**
+     * Visit every node of an AST depth-first
+     * @param {Object} node The root node
+     * @param {Function} visit Callback invoked for each node
+     */
+    walk(node, visit) {
+        if (!node || typeof node.type !== 'string') {
+            return;
+        }
+
+        visit(node);
+
+        for (const key of Object.keys(node)) {
+            if (SKIPPED_AST_KEYS.has(key)) continue;
+
+            const child = node[key];
+            if (Array.isArray(child)) {
+                for (const item of child) {
+                    if (item && typeof item === 'object') {
+                        this.walk(item, visit);
+                    }
+                }
+            } else if (child && typeof child === 'object') {
+                this.walk(child, visit);
+            }
+        }
+    }
+
+    /**
+     * Convert a call expression node to a translation call object if it targets m
+     * @param {Object} node The AST node
+     * @param {string} source The parsed source text
+     * @param {number} baseOffset Offset converting parsed positions to document positions
+     * @returns {Object|null} The translation call object or null if the node is not a translation call
+     */
+    toTranslationCall(node, source, baseOffset) {
+        if (node.type !== 'CallExpression' && node.type !== 'OptionalCallExpression') {
+            return null;
+        }
+
+        const callee = node.callee;
+        if (!callee || (callee.type !== 'MemberExpression' && callee.type !== 'OptionalMemberExpression')) {
+            return null;
+        }
+        if (callee.object.type !== 'Identifier' || callee.object.name !== 'm') {
+            return null;
+        }
+
+        const property = callee.property;
+        let methodName, keyType, keyStart, keyEnd;
+
+        if (!callee.computed && property.type === 'Identifier') {
+            // m.methodName() - flat key syntax
+            methodName = property.name;
+            keyType = 'flat';
+            keyStart = property.start;
+            keyEnd = property.end;
+        } else if (callee.computed && property.type === 'StringLiteral') {
+            // m["nested.key"]() - nested key syntax
+            methodName = property.value;
+            keyType = 'nested';
+            keyStart = property.start + 1;
+            keyEnd = property.end - 1;
+        } else if (callee.computed && property.type === 'TemplateLiteral' && property.expressions.length === 0) {
+            // m[`nested.key`]()
+            methodName = property.quasis[0].value.cooked;
+            keyType = 'nested';
+            keyStart = property.start + 1;
+            keyEnd = property.end - 1;
+        } else {
+            return null;
+        }
+
+        const args = node.arguments.map(arg => this.describeArgument(arg, source, baseOffset));
+        const params = node.arguments.length > 0
+            ? source.slice(node.arguments[0].start, node.arguments[node.arguments.length - 1].end).trim()
+            : '';
+
+        return {
+            methodName,
+            params,
+            args,
+            start: baseOffset + node.start,
+            end: baseOffset + node.end,
+            keyStart: baseOffset + keyStart,
+            keyEnd: baseOffset + keyEnd,
+            calleeEnd: baseOffset + callee.end,
+            keyType
+        };
+    }
+
+    /**
+     * Describe a call argument in a structured, position-aware way
+     * @param {Object} node The argument node
+     * @param {string} source The parsed source text
+     * @param {number} baseOffset Offset converting parsed positions to document positions
+     * @returns {Object} Argument description with type ('object' | 'literal' | 'spread' | 'expression'),
+     *   start, end, text and, for object arguments, a properties array
+     */
+    describeArgument(node, source, baseOffset) {
+        const description = {
+            type: 'expression',
+            start: baseOffset + node.start,
+            end: baseOffset + node.end,
+            text: source.slice(node.start, node.end)
+        };
+
+        if (node.type === 'SpreadElement') {
+            description.type = 'spread';
+            return description;
+        }
+
+        const literal = this.getLiteralValue(node);
+        if (literal.isLiteral) {
+            description.type = 'literal';
+            description.value = literal.value;
+            return description;
+        }
+
+        if (node.type === 'ObjectExpression') {
+            description.type = 'object';
+            description.properties = node.properties.map(prop => this.describeProperty(prop, source, baseOffset));
+        }
+
+        return description;
+    }
+
+    /**
+     * Describe a property of an object argument
+     * @param {Object} node The property node
+     * @param {string} source The parsed source text
+     * @param {number} baseOffset Offset converting parsed positions to document positions
+     * @returns {Object} Property description with name (null for computed or spread), spread flag,
+     *   isLiteral/value for literal values and the value text
+     */
+    describeProperty(node, source, baseOffset) {
+        const description = {
+            name: null,
+            spread: node.type === 'SpreadElement',
+            start: baseOffset + node.start,
+            end: baseOffset + node.end,
+            isLiteral: false,
+            value: undefined,
+            valueText: null
+        };
+
+        if (description.spread) {
+            return description;
+        }
+
+        if (!node.computed) {
+            if (node.key.type === 'Identifier') {
+                description.name = node.key.name;
+            } else if (node.key.type === 'StringLiteral' || node.key.type === 'NumericLiteral') {
+                description.name = String(node.key.value);
+            }
+        }
+
+        if (node.type === 'ObjectProperty') {
+            const literal = this.getLiteralValue(node.value);
+            description.isLiteral = literal.isLiteral;
+            description.value = literal.value;
+            description.valueText = source.slice(node.value.start, node.value.end);
+        }
+
+        return description;
+    }
+
+    /**
+     * Get the value of a literal expression node
+     * @param {Object} node The expression node
+     * @returns {{isLiteral: boolean, value: any}} The literal value if the node is a literal
+     */
+    getLiteralValue(node) {
+        switch (node.type) {
+            case 'StringLiteral':
+            case 'NumericLiteral':
+            case 'BooleanLiteral':
+                return { isLiteral: true, value: node.value };
+            case 'NullLiteral':
+                return { isLiteral: true, value: null };
+            case 'TemplateLiteral':
+                if (node.expressions.length === 0) {
+                    return { isLiteral: true, value: node.quasis[0].value.cooked };
+                }
+                break;
+            case 'UnaryExpression':
+                if (node.operator === '-' && node.argument.type === 'NumericLiteral') {
+                    return { isLiteral: true, value: -node.argument.value };
+                }
+                break;
+            case 'TSAsExpression':
+            case 'TSSatisfiesExpression':
+                return this.getLiteralValue(node.expression);
+        }
+
+        return { isLiteral: false, value: undefined };
+    }
+
+    /**
+     * Fallback detection with regular expressions for code that cannot be parsed (e.g. while typing)
+     * @param {string} text The source text
+     * @param {number} [baseOffset] Offset of the text inside the document
+     * @returns {Array} Array of translation call objects
+     */
+    findCallsWithPatterns(text, baseOffset = 0) {
+        const calls = [];
+
+        // Pattern 1: m.methodName() or m.methodName(params) - flat key syntax
+        const flatPattern = /\bm\.([a-zA-Z_$][a-zA-Z0-9_$]*)\s*\(\s*([^)]*)\s*\)/g;
+
+        // Pattern 2: m["nested.key"]() or m['nested.key']() - nested key syntax
+        const nestedPattern = /\bm\[(['"`])([^'"`]+)\1\]\s*\(\s*([^)]*)\s*\)/g;
+
+        let match;
+
+        while ((match = flatPattern.exec(text)) !== null) {
+            const keyStart = baseOffset + match.index + 2;
+            calls.push({
+                methodName: match[1],
+                params: match[2].trim(),
+                args: [],
+                start: baseOffset + match.index,
+                end: baseOffset + match.index + match[0].length,
+                keyStart,
+                keyEnd: keyStart + match[1].length,
+                calleeEnd: keyStart + match[1].length,
+                keyType: 'flat'
+            });
+        }
+
+        while ((match = nestedPattern.exec(text)) !== null) {
+            const keyStart = baseOffset + match.index + 3;
+            calls.push({
+                methodName: match[2],
+                params: match[3].trim(),
+                args: [],
+                start: baseOffset + match.index,
+                end: baseOffset + match.index + match[0].length,
+                keyStart,
+                keyEnd: keyStart + match[2].length,
+                calleeEnd: keyStart + match[2].length + 2,
+                keyType: 'nested'
+            });
+        }
+
+        return calls;
+    }
+}
+
+module.exports = { TranslationCallParser };
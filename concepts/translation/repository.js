@@ -1,37 +1,149 @@
 const fs = require('fs');
 const path = require('path');
+const { translationCache } = require('./cache');
+const { FormatService } = require('../format/service');
 
 /**
  * Repository for loading translation data from files
  */
 class TranslationRepository {
+    constructor() {
+        this.formatService = new FormatService();
+    }
+
     /**
-     * Load translations for the specified locale
+     * Load translations for the specified locale, served from the shared cache when possible
      * @param {string} translationFilePath The full path to the translation file
      * @param {string} locale The locale for logging purposes
-     * @returns {Promise<Object|null>} The translations object or null if not found
+     * @returns {Promise<Object|null>} The translations object or null if not found. Shared between callers - do not mutate.
      */
     async loadTranslations(translationFilePath, locale) {
         try {
-            console.log(`📖 Reading translations from: ${path.basename(translationFilePath)} (locale: ${locale})`);
-            
-            if (!fs.existsSync(translationFilePath)) {
-                console.log(`❌ Translation file not found: ${translationFilePath}`);
-                return null;
-            }
-
-            const fileContent = fs.readFileSync(translationFilePath, 'utf8');
-            const translations = JSON.parse(fileContent);
-            
-            console.log(`✅ Loaded ${Object.keys(translations).length} translations for locale '${locale}'`);
-            
-            return translations;
+            return await translationCache.get(translationFilePath, () => this.readTranslations(translationFilePath, locale));
         } catch (error) {
             console.log(`❌ Failed to load translations: ${error.message}`);
             return null;
         }
     }
 
+    /**
+     * Read and parse a translation file from disk, bypassing the cache
+     * @param {string} translationFilePath The full path to the translation file
+     * @param {string} locale The locale for logging purposes
+     * @returns {Promise<Object|null>} The translations object or null if the file does not exist
+     */
+    async readTranslations(translationFilePath, locale) {
+        console.log(`📖 Reading translations from: ${path.basename(translationFilePath)} (locale: ${locale})`);
+
+        if (!fs.existsSync(translationFilePath)) {
+            console.log(`❌ Translation file not found: ${translationFilePath}`);
+            return null;
+        }
+
+        const fileContent = await fs.promises.readFile(translationFilePath, 'utf8');
+        const adapter = this.getAdapter(translationFilePath);
+        const translations = adapter.read(fileContent);
+
+        console.log(`✅ Loaded ${Object.keys(translations).length} translations for locale '${locale}' (${adapter.label})`);
+
+        return translations;
+    }
+
+    /**
+     * Invalidate the cached translations of a file so the next load reads it again
+     * @param {string} translationFilePath The full path to the translation file
+     */
+    invalidate(translationFilePath) {
+        translationCache.invalidate(translationFilePath);
+    }
+
+    /**
+     * Get the message format adapter of a translation file
+     * @param {string} [translationFilePath] The full path to the translation file; JSON is assumed without one
+     * @returns {MessageFormatAdapter} The adapter
+     */
+    getAdapter(translationFilePath) {
+        return translationFilePath ? this.formatService.getAdapterForFile(translationFilePath) : this.formatService.getAdapter('json');
+    }
+
+    /**
+     * Locate a key in translation file content (supports nested keys)
+     * @param {string} text The translation file content
+     * @param {string} key The translation key (can be nested like "login.inputs.email")
+     * @param {string} [translationFilePath] The file the content belongs to, selecting the format adapter
+     * @returns {Object|null} Offsets and lengths of the property, its key and its value
+     *   ({path, propertyOffset, propertyLength, keyOffset, keyLength, valueOffset, valueLength, valueType, ...}) or null if not found
+     */
+    locateKeyInText(text, key, translationFilePath) {
+        return this.getAdapter(translationFilePath).locateKey(text, key);
+    }
+
+    /**
+     * Set the value of a key inside translation file content, creating parents as needed
+     * @param {string} text The translation file content (empty for a new file)
+     * @param {string} key The translation key
+     * @param {any} value The message value
+     * @param {string} [translationFilePath] The file the content belongs to, selecting the format adapter
+     * @returns {string} The updated content
+     */
+    setValueInText(text, key, value, translationFilePath) {
+        return this.getAdapter(translationFilePath).setValue(text, key, value);
+    }
+
+    /**
+     * Rename a key inside translation file content, keeping the rest of the file untouched
+     * @param {string} text The translation file content
+     * @param {string} oldKey The current key
+     * @param {string} newKey The new key
+     * @param {string} [translationFilePath] The file the content belongs to, selecting the format adapter
+     * @returns {string|null} The updated content or null if the old key does not exist
+     * @throws {Error} If the new key already exists or collides with an existing message
+     */
+    renameKeyInText(text, oldKey, newKey, translationFilePath) {
+        return this.getAdapter(translationFilePath).renameKey(text, oldKey, newKey);
+    }
+
+    /**
+     * Remove a key from translation file content, dropping parent objects left empty
+     * @param {string} text The translation file content
+     * @param {string} key The translation key
+     * @param {string} [translationFilePath] The file the content belongs to, selecting the format adapter
+     * @returns {string} The updated content (unchanged if the key does not exist)
+     */
+    removeKeyInText(text, key, translationFilePath) {
+        return this.getAdapter(translationFilePath).removeKey(text, key);
+    }
+
+    /**
+     * Compute the smallest single replacement turning one text into another
+     * @param {string} oldText The original text
+     * @param {string} newText The updated text
+     * @returns {{offset: number, length: number, text: string}|null} The replacement or null if the texts are equal
+     */
+    getMinimalEdit(oldText, newText) {
+        if (oldText === newText) {
+            return null;
+        }
+
+        let prefix = 0;
+        const maxPrefix = Math.min(oldText.length, newText.length);
+        while (prefix < maxPrefix && oldText[prefix] === newText[prefix]) {
+            prefix++;
+        }
+
+        let suffix = 0;
+        const maxSuffix = Math.min(oldText.length, newText.length) - prefix;
+        while (suffix < maxSuffix && oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]) {
+            suffix++;
+        }
+
+        return {
+            offset: prefix,
+            length: oldText.length - prefix - suffix,
+            text: newText.slice(prefix, newText.length - suffix)
+        };
+    }
+
     /**
      * Check if a translation file exists
      * @param {string} translationFilePath The full path to the translation file
@@ -1,5 +1,6 @@
 const { TranslationRepository } = require('./repository');
 const { LocaleService } = require('../locale/service');
+const { TranslationCallParser } = require('./parser');
 
 /**
  * Service for processing translation calls and coordinating translation loading
@@ -8,50 +9,34 @@ class TranslationService {
     constructor() {
         this.translationRepository = new TranslationRepository();
         this.localeService = new LocaleService();
+        this.callParser = new TranslationCallParser();
     }
 
     /**
      * Find all m.methodName() and m["nested.key"]() calls in text
      * @param {string} text The source code text to analyze
+     * @param {string} [languageId] The VS Code language ID of the text ('javascript', 'typescript' or 'svelte')
      * @returns {Array} Array of translation call objects
      */
-    findTranslationCalls(text) {
-        const calls = [];
-        
-        // Pattern 1: m.methodName() or m.methodName(params) - original flat key syntax
-        const flatPattern = /\bm\.([a-zA-Z_$][a-zA-Z0-9_$]*)\s*\(\s*([^)]*)\s*\)/g;
-        
-        // Pattern 2: m["nested.key"]() or m['nested.key']() - new nested key syntax
-        const nestedPattern = /\bm\[(['"`])([^'"]+)\1\]\s*\(\s*([^)]*)\s*\)/g;
-        
-        let match;
-        
-        // Find flat key patterns
-        while ((match = flatPattern.exec(text)) !== null) {
-            calls.push({
-                methodName: match[1],
-                params: match[2].trim(),
-                start: match.index,
-                end: match.index + match[0].length,
-                keyType: 'flat'
-            });
-        }
-        
-        // Find nested key patterns
-        while ((match = nestedPattern.exec(text)) !== null) {
-            calls.push({
-                methodName: match[2], // The key inside the quotes
-                params: match[3].trim(),
-                start: match.index,
-                end: match.index + match[0].length,
-                keyType: 'nested'
-            });
-        }
-        
-        // Sort by position to maintain order
-        calls.sort((a, b) => a.start - b.start);
-        
-        return calls;
+    findTranslationCalls(text, languageId) {
+        return this.callParser.findCalls(text, languageId);
+    }
+
+    /**
+     * Find the innermost translation call at an offset
+     * @param {string} text The source code text to analyze
+     * @param {string} languageId The VS Code language ID of the text
+     * @param {number} offset The offset to look up
+     * @returns {Object|null} The translation call object or null if there is no call at the offset
+     */
+    findTranslationCallAt(text, languageId, offset) {
+        const calls = this.findTranslationCalls(text, languageId)
+            .filter(call => offset >= call.start && offset <= call.end);
+
+        // Nested calls (m.a({ b: m.b() })) overlap - prefer the smallest one
+        calls.sort((a, b) => (a.end - a.start) - (b.end - b.start));
+
+        return calls[0] || null;
     }
 
     /**
@@ -61,43 +46,237 @@ class TranslationService {
      * @returns {Promise<Object|null>} The translations object or null if not found
      */
     async loadTranslationsForLocale(workspacePath, locale) {
-        const translationPath = this.localeService.resolveTranslationPath(workspacePath, locale);
-        return await this.translationRepository.loadTranslations(translationPath, locale);
+        const translationPaths = this.localeService.resolveTranslationPaths(workspacePath, locale);
+        if (translationPaths.length === 1) {
+            return await this.translationRepository.loadTranslations(translationPaths[0], locale);
+        }
+
+        // pathPattern given as an array: merge the files, later files override earlier ones
+        let merged = null;
+        for (const translationPath of translationPaths) {
+            const translations = await this.translationRepository.loadTranslations(translationPath, locale);
+            if (translations) {
+                merged = this.mergeTranslations(merged || {}, translations);
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * Deep merge two translations objects without modifying either of them
+     * @param {Object} target The base translations
+     * @param {Object} source The translations overriding the base
+     * @returns {Object} The merged translations
+     */
+    mergeTranslations(target, source) {
+        const merged = { ...target };
+        for (const [key, value] of Object.entries(source)) {
+            const existing = merged[key];
+            const bothObjects = existing && typeof existing === 'object' && !Array.isArray(existing) &&
+                value && typeof value === 'object' && !Array.isArray(value);
+            merged[key] = bothObjects ? this.mergeTranslations(existing, value) : value;
+        }
+        return merged;
+    }
+
+    /**
+     * Find the translation file of a locale that defines a key.
+     * Only differs from the primary file when pathPattern is an array.
+     * @param {string} workspacePath The workspace root path
+     * @param {string} locale The locale
+     * @param {string} key The translation key
+     * @returns {Promise<string>} The path of the file defining the key, or the primary file if none does
+     */
+    async findTranslationFileForKey(workspacePath, locale, key) {
+        const translationPaths = this.localeService.resolveTranslationPaths(workspacePath, locale);
+
+        // Later files override earlier ones, so the last file defining the key wins
+        for (const translationPath of [...translationPaths].reverse()) {
+            const translations = await this.translationRepository.loadTranslations(translationPath, locale);
+            if (translations && this.getRawTranslation(translations, key) !== null) {
+                return translationPath;
+            }
+        }
+
+        return translationPaths[0];
+    }
+
+    /**
+     * Load translations for several locales of a workspace
+     * @param {string} workspacePath The workspace root path
+     * @param {Array<string>} locales The locales to load
+     * @returns {Promise<Map<string, Object|null>>} Map of locale to translations object (null if not found)
+     */
+    async loadTranslationsForLocales(workspacePath, locales) {
+        const translationsByLocale = new Map();
+        for (const locale of locales) {
+            translationsByLocale.set(locale, await this.loadTranslationsForLocale(workspacePath, locale));
+        }
+        return translationsByLocale;
+    }
+
+    /**
+     * Locate a key in translation file content (supports nested keys)
+     * @param {string} text The translation file content
+     * @param {string} key The translation key
+     * @param {string} [translationFilePath] The file the content belongs to, selecting the message format
+     * @returns {Object|null} The key location or null if not found
+     */
+    locateKeyInText(text, key, translationFilePath) {
+        return this.translationRepository.locateKeyInText(text, key, translationFilePath);
     }
 
     /**
      * Process paraglide variant array to extract display value
      * @param {Array} variantArray The paraglide variant array
-     * @returns {string|null} The first match value from the variant or null if invalid
+     * @returns {string|null} The value of the first match branch or null if invalid
      */
     processParaglideVariant(variantArray) {
+        const parsed = this.parseVariantMessage(variantArray);
+        if (!parsed || parsed.branches.length === 0) {
+            return null;
+        }
+
+        // Return the first match value
+        return parsed.branches[0].value;
+    }
+
+    /**
+     * Parse a paraglide variant message into its declarations, selectors and match branches
+     * @param {Array} variantArray The paraglide variant array, e.g.
+     *   [{ declarations: ["input count", "local countPlural = count: plural"], selectors: ["countPlural"],
+     *      match: { "countPlural=one": "One item", "countPlural=other": "{count} items" } }]
+     * @returns {Object|null} The parsed message ({declarations, selectors, branches}) or null if invalid.
+     *   Each branch has a label ("countPlural=one"), conditions ({countPlural: "one"}) and value
+     */
+    parseVariantMessage(variantArray) {
         try {
-            // Get the first element of the array
             if (!Array.isArray(variantArray) || variantArray.length === 0) {
                 return null;
             }
 
-            const firstVariant = variantArray[0];
-            
-            // Check if it has the expected structure with a match property
-            if (!firstVariant || typeof firstVariant !== 'object' || !firstVariant.match) {
-                return null;
-            }
+            const parsed = { declarations: [], selectors: [], branches: [] };
 
-            // Get the first value from the match object
-            const matchValues = Object.values(firstVariant.match);
-            if (matchValues.length === 0) {
-                return null;
+            for (const variant of variantArray) {
+                // Check if it has the expected structure with a match property
+                if (!variant || typeof variant !== 'object' || !variant.match) continue;
+
+                for (const declaration of variant.declarations || []) {
+                    const parsedDeclaration = this.parseDeclaration(declaration);
+                    if (parsedDeclaration) parsed.declarations.push(parsedDeclaration);
+                }
+
+                for (const selector of variant.selectors || []) {
+                    if (!parsed.selectors.includes(selector)) parsed.selectors.push(selector);
+                }
+
+                for (const [label, value] of Object.entries(variant.match)) {
+                    if (typeof value !== 'string') continue;
+
+                    // "countPlural=one, gender=*" → { countPlural: "one", gender: "*" }
+                    const conditions = {};
+                    for (const condition of label.split(',')) {
+                        const [selector, ...rest] = condition.split('=');
+                        if (selector.trim()) {
+                            conditions[selector.trim()] = rest.join('=').trim();
+                        }
+                    }
+
+                    parsed.branches.push({ label, conditions, value });
+                }
             }
 
-            // Return the first match value
-            return matchValues[0];
+            return parsed.branches.length > 0 ? parsed : null;
         } catch (error) {
             console.error('Error processing paraglide variant:', error);
             return null;
         }
     }
 
+    /**
+     * Parse a variant declaration such as "input count" or "local countPlural = count: plural"
+     * @param {string} declaration The declaration text
+     * @returns {Object|null} The declaration ({type, name, source, fn, options}) or null if unrecognized
+     */
+    parseDeclaration(declaration) {
+        if (typeof declaration !== 'string') {
+            return null;
+        }
+
+        const inputMatch = /^\s*input\s+([A-Za-z_$][\w$]*)\s*$/.exec(declaration);
+        if (inputMatch) {
+            return { type: 'input', name: inputMatch[1] };
+        }
+
+        // local <name> = <source>: <function> [options]
+        const localMatch = /^\s*local\s+([A-Za-z_$][\w$]*)\s*=\s*([A-Za-z_$][\w$]*)\s*(?::\s*([\w-]+)\s*(.*))?$/.exec(declaration);
+        if (localMatch) {
+            return {
+                type: 'local',
+                name: localMatch[1],
+                source: localMatch[2],
+                fn: localMatch[3] || null,
+                options: localMatch[4] || ''
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Pick the match branch of a variant message for literal argument values
+     * @param {Object} parsed The parsed variant message (see parseVariantMessage)
+     * @param {Map<string, any>} values Map of parameter name to literal value
+     * @param {string} locale The locale used for plural rules
+     * @returns {Object|null} The matching branch or null if a selector value is not known
+     */
+    selectVariantBranch(parsed, values, locale) {
+        const selectorValues = {};
+
+        for (const selector of parsed.selectors) {
+            const declaration = parsed.declarations.find(d => d.type === 'local' && d.name === selector);
+            const source = declaration ? declaration.source : selector;
+            if (!values.has(source)) {
+                return null;
+            }
+
+            const value = values.get(source);
+            if (declaration && declaration.fn === 'plural') {
+                const type = /\b(type|select)\s*=\s*ordinal\b/.test(declaration.options) ? 'ordinal' : 'cardinal';
+                try {
+                    selectorValues[selector] = new Intl.PluralRules(locale, { type }).select(Number(value));
+                } catch {
+                    selectorValues[selector] = new Intl.PluralRules('en', { type }).select(Number(value));
+                }
+            } else {
+                selectorValues[selector] = String(value);
+            }
+        }
+
+        // Prefer the branch with the most exact (non-wildcard) matches
+        let bestBranch = null;
+        let bestScore = -1;
+        for (const branch of parsed.branches) {
+            let score = 0;
+            const matches = parsed.selectors.every(selector => {
+                const condition = branch.conditions[selector];
+                if (condition === undefined || condition === '*') return true;
+                if (condition === selectorValues[selector]) {
+                    score++;
+                    return true;
+                }
+                return false;
+            });
+
+            if (matches && score > bestScore) {
+                bestBranch = branch;
+                bestScore = score;
+            }
+        }
+
+        return bestBranch;
+    }
+
     /**
      * Get translation value for a specific key (supports nested dot notation)
      * @param {Object} translations The translations object
@@ -105,6 +284,35 @@ class TranslationService {
      * @returns {string|null} The translation value or null if not found
      */
     getTranslation(translations, key) {
+        const value = this.getRawTranslation(translations, key);
+        if (value === null) {
+            return null;
+        }
+
+        // Case 1: Simple string value - return as-is
+        if (typeof value === 'string') {
+            return value;
+        }
+
+        // Case 2: Paraglide variant array - process and add asterisk
+        if (Array.isArray(value)) {
+            const variantValue = this.processParaglideVariant(value);
+            if (variantValue) {
+                return `${variantValue}*`;
+            }
+        }
+
+        // Case 3: Unsupported format
+        return null;
+    }
+
+    /**
+     * Get the unprocessed message value for a key (string, variant array or nested object)
+     * @param {Object} translations The translations object
+     * @param {string} key The translation key (can be nested like "login.inputs.email")
+     * @returns {any} The raw value or null if not found
+     */
+    getRawTranslation(translations, key) {
         if (!translations) {
             return null;
         }
@@ -119,25 +327,88 @@ class TranslationService {
             value = translations[key];
         }
         
-        if (value === undefined || value === null) {
-            return null;
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * Flatten a translations object into its message keys (nested keys use dot notation)
+     * @param {Object} translations The translations object
+     * @param {string} [prefix] The key prefix for nested objects
+     * @returns {Array<{key: string, value: any}>} Message keys with their raw values, in file order
+     */
+    flattenTranslations(translations, prefix = '') {
+        const entries = [];
+        if (!translations) {
+            return entries;
         }
 
-        // Case 1: Simple string value - return as-is
-        if (typeof value === 'string') {
-            return value;
+        for (const [key, value] of Object.entries(translations)) {
+            // Skip the "$schema" reference of inlang message files
+            if (!prefix && key.startsWith('$')) continue;
+
+            const currentKey = prefix ? `${prefix}.${key}` : key;
+
+            if (typeof value === 'string' || Array.isArray(value)) {
+                entries.push({ key: currentKey, value });
+            } else if (value && typeof value === 'object') {
+                entries.push(...this.flattenTranslations(value, currentKey));
+            }
         }
 
-        // Case 2: Paraglide variant array - process and add asterisk
-        if (Array.isArray(value)) {
-            const variantValue = this.processParaglideVariant(value);
-            if (variantValue) {
-                return `${variantValue}*`;
+        return entries;
+    }
+
+    /**
+     * Get the parameter names a message expects, e.g. ["name"] for "Hello {name}"
+     * @param {any} rawValue The raw message value (string or Paraglide variant array)
+     * @returns {Array<string>} Unique parameter names in order of appearance
+     */
+    getMessageParameters(rawValue) {
+        const parameters = new Set();
+
+        if (typeof rawValue === 'string') {
+            for (const name of this.getPlaceholders(rawValue)) {
+                parameters.add(name);
+            }
+        } else if (Array.isArray(rawValue)) {
+            for (const variant of rawValue) {
+                if (!variant || typeof variant !== 'object') continue;
+
+                // "input count" declares a parameter, "local countPlural = ..." a derived value
+                const locals = new Set();
+                for (const declaration of variant.declarations || []) {
+                    const inputMatch = /^\s*input\s+([A-Za-z_$][\w$]*)/.exec(declaration);
+                    const localMatch = /^\s*local\s+([A-Za-z_$][\w$]*)/.exec(declaration);
+                    if (inputMatch) parameters.add(inputMatch[1]);
+                    if (localMatch) locals.add(localMatch[1]);
+                }
+
+                for (const text of Object.values(variant.match || {})) {
+                    if (typeof text !== 'string') continue;
+                    for (const name of this.getPlaceholders(text)) {
+                        if (!locals.has(name)) parameters.add(name);
+                    }
+                }
             }
         }
 
-        // Case 3: Unsupported format
-        return null;
+        return [...parameters];
+    }
+
+    /**
+     * Get the {placeholder} names used in a message pattern
+     * @param {string} text The message pattern
+     * @returns {Array<string>} Placeholder names in order of appearance (may contain duplicates)
+     */
+    getPlaceholders(text) {
+        const names = [];
+        // Escaped braces (\{) are literal text, not placeholders
+        const placeholderPattern = /(?<!\\)\{\s*([A-Za-z_$][\w$]*)\s*\}/g;
+        let match;
+        while ((match = placeholderPattern.exec(text)) !== null) {
+            names.push(match[1]);
+        }
+        return names;
     }
 
     /**
@@ -152,6 +423,188 @@ class TranslationService {
         }, obj);
     }
 
+    /**
+     * Split locales into those that translate a key and those where it is missing or empty
+     * @param {Map<string, Object|null>} translationsByLocale Map of locale to translations object
+     * @param {string} key The translation key
+     * @returns {{translated: Array<string>, missing: Array<string>}} Locale codes grouped by state
+     */
+    getKeyLocaleStatus(translationsByLocale, key) {
+        const translated = [];
+        const missing = [];
+
+        for (const [locale, translations] of translationsByLocale) {
+            if (this.getTranslation(translations, key)) {
+                translated.push(locale);
+            } else {
+                missing.push(locale);
+            }
+        }
+
+        return { translated, missing };
+    }
+
+    /**
+     * Get the parameters a key expects in any locale
+     * @param {Map<string, Object|null>} translationsByLocale Map of locale to translations object
+     * @param {string} key The translation key
+     * @returns {Array<string>} Unique parameter names across all locales
+     */
+    getKeyParameters(translationsByLocale, key) {
+        const parameters = new Set();
+        for (const translations of translationsByLocale.values()) {
+            const rawValue = this.getRawTranslation(translations, key);
+            for (const name of this.getMessageParameters(rawValue)) {
+                parameters.add(name);
+            }
+        }
+        return [...parameters];
+    }
+
+    /**
+     * Check the arguments of a translation call against the parameters of its message.
+     * Paraglide messages take a single parameter object, optionally followed by an options object.
+     * @param {Object} call The translation call object
+     * @param {Array<string>} parameters The parameter names the message expects
+     * @returns {Array<Object>} Issues with type ('missingParameter' | 'unknownParameter' | 'positionalArgument'),
+     *   message, start and end offsets
+     */
+    validateCallArguments(call, parameters) {
+        const issues = [];
+        const args = call.args || [];
+
+        // Arguments could not be parsed (pattern fallback while typing) - nothing reliable to check
+        if (call.params && args.length === 0) {
+            return issues;
+        }
+
+        const [inputs, ...rest] = args;
+
+        rest.forEach((arg, index) => {
+            // Only an options object ({ locale }) may follow the parameter object
+            if (index === 0 && arg.type !== 'literal') return;
+
+            issues.push({
+                type: 'positionalArgument',
+                message: `Unexpected positional argument for "${call.methodName}": messages take a single parameter object`,
+                start: arg.start,
+                end: arg.end
+            });
+        });
+
+        if (!inputs) {
+            if (parameters.length > 0) {
+                issues.push({
+                    type: 'missingParameter',
+                    message: `Missing ${parameters.length === 1 ? 'parameter' : 'parameters'} for "${call.methodName}": ${parameters.join(', ')}`,
+                    start: call.start,
+                    end: call.calleeEnd
+                });
+            }
+            return issues;
+        }
+
+        if (inputs.type === 'literal') {
+            const expected = parameters.length > 0 ? `{ ${parameters.join(', ')} }` : 'no parameters';
+            issues.push({
+                type: 'positionalArgument',
+                message: `Positional argument passed to "${call.methodName}": expected ${expected}`,
+                start: inputs.start,
+                end: inputs.end
+            });
+            return issues;
+        }
+
+        // Variables and other expressions cannot be checked statically
+        if (inputs.type !== 'object') {
+            return issues;
+        }
+
+        const passed = new Set();
+        for (const property of inputs.properties) {
+            if (property.spread || property.name === null) continue;
+            passed.add(property.name);
+
+            if (!parameters.includes(property.name)) {
+                issues.push({
+                    type: 'unknownParameter',
+                    message: `Unknown parameter "${property.name}" for "${call.methodName}"` +
+                        (parameters.length > 0 ? ` (expected: ${parameters.join(', ')})` : ' (the message has no parameters)'),
+                    start: property.start,
+                    end: property.end
+                });
+            }
+        }
+
+        // A spread may provide any parameter, so missing ones cannot be reported
+        const hasSpread = inputs.properties.some(property => property.spread || property.name === null);
+        const missing = parameters.filter(name => !passed.has(name));
+        if (!hasSpread && missing.length > 0) {
+            issues.push({
+                type: 'missingParameter',
+                message: `Missing ${missing.length === 1 ? 'parameter' : 'parameters'} for "${call.methodName}": ${missing.join(', ')}`,
+                start: inputs.start,
+                end: inputs.end
+            });
+        }
+
+        return issues;
+    }
+
+    /**
+     * Get the literal values passed in a call's parameter object, e.g. { name: "Ada", count: 3 }
+     * @param {Object} call The translation call object
+     * @returns {Map<string, any>} Map of parameter name to literal value (non-literal values are omitted)
+     */
+    getLiteralArguments(call) {
+        const values = new Map();
+        const inputs = call.args && call.args[0];
+
+        if (inputs && inputs.type === 'object') {
+            for (const property of inputs.properties) {
+                if (property.name !== null && property.isLiteral) {
+                    values.set(property.name, property.value);
+                }
+            }
+        }
+
+        return values;
+    }
+
+    /**
+     * Replace {placeholders} of a message with literal values; unknown values keep their {placeholder}
+     * @param {string} pattern The message pattern
+     * @param {Map<string, any>} values Map of parameter name to value
+     * @returns {string} The rendered message
+     */
+    interpolate(pattern, values) {
+        return pattern.replace(/(?<!\\)\{\s*([A-Za-z_$][\w$]*)\s*\}/g, (placeholder, name) =>
+            values.has(name) ? String(values.get(name)) : placeholder
+        );
+    }
+
+    /**
+     * Render the display value of a call using the literal arguments it passes
+     * @param {string} translationValue The resolved translation value
+     * @param {Object} call The translation call object
+     * @param {any} [rawValue] The raw message value, used to pick the variant branch for literal selector values
+     * @param {string} [locale] The locale of the message, used for plural rules
+     * @returns {string} The rendered preview
+     */
+    renderTranslation(translationValue, call, rawValue, locale) {
+        const values = this.getLiteralArguments(call);
+
+        if (Array.isArray(rawValue)) {
+            const parsed = this.parseVariantMessage(rawValue);
+            const branch = parsed ? this.selectVariantBranch(parsed, values, locale || 'en') : null;
+            if (branch) {
+                return this.interpolate(branch.value, values);
+            }
+        }
+
+        return this.interpolate(translationValue, values);
+    }
+
     /**
      * Search for a translation key across all available locales
      * @param {string} workspacePath The workspace root path
@@ -174,6 +627,7 @@ class TranslationService {
                     if (translationValue) {
                         return {
                             translation: translationValue,
+                            rawValue: this.getRawTranslation(translations, key),
                             locale: locale
                         };
                     }
@@ -206,6 +660,12 @@ class TranslationService {
                 results.push({
                     ...call,
                     translationValue: currentTranslation,
+                    renderedValue: this.renderTranslation(
+                        currentTranslation,
+                        call,
+                        this.getRawTranslation(translations, call.methodName),
+                        currentLocale
+                    ),
                     warningType: null
                 });
             } else {
@@ -217,6 +677,12 @@ class TranslationService {
                     results.push({
                         ...call,
                         translationValue: searchResult.translation,
+                        renderedValue: this.renderTranslation(
+                            searchResult.translation,
+                            call,
+                            searchResult.rawValue,
+                            searchResult.locale
+                        ),
                         warningType: 'missingLocale',
                         foundInLocale: searchResult.locale
                     });
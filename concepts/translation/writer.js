@@ -0,0 +1,92 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const { TranslationRepository } = require('./repository');
+
+/**
+ * Writes message file changes as minimal, undoable workspace edits instead of rewriting files on disk
+ */
+class TranslationFileWriter {
+    constructor() {
+        this.translationRepository = new TranslationRepository();
+    }
+
+    /**
+     * Apply text updates to message files as a single workspace edit and save the touched files
+     * @param {Array<{translationPath: string, update: function(string): string}>} changes The files and
+     *   functions computing their new content from the current content ('' for files that do not exist yet)
+     * @returns {Promise<Array<string>>} The paths of the files that changed
+     * @throws {Error} If VS Code rejects the edit
+     */
+    async applyChanges(changes) {
+        const edit = new vscode.WorkspaceEdit();
+        const changedPaths = [];
+
+        for (const { translationPath, update } of changes) {
+            const uri = vscode.Uri.file(translationPath);
+
+            if (!fs.existsSync(translationPath)) {
+                const content = update('');
+                if (!content) continue;
+
+                edit.createFile(uri, { ignoreIfExists: true });
+                edit.insert(uri, new vscode.Position(0, 0), content);
+                changedPaths.push(translationPath);
+                continue;
+            }
+
+            // Work on the open document so unsaved changes are respected
+            const document = await vscode.workspace.openTextDocument(uri);
+            if (!this.addTextEdit(edit, document, update(document.getText()))) continue;
+
+            changedPaths.push(translationPath);
+        }
+
+        if (changedPaths.length === 0) {
+            return [];
+        }
+
+        const applied = await vscode.workspace.applyEdit(edit);
+        if (!applied) {
+            throw new Error('The message file edit could not be applied');
+        }
+
+        // Every touched file is saved, including files with unsaved changes: message files are read from disk,
+        // so an unsaved edit would not show up in decorations, hovers and diagnostics
+        for (const translationPath of changedPaths) {
+            const document = await vscode.workspace.openTextDocument(translationPath);
+            await document.save();
+        }
+
+        for (const translationPath of changedPaths) {
+            this.translationRepository.invalidate(translationPath);
+        }
+
+        return changedPaths;
+    }
+
+    /**
+     * Add the smallest replacement turning a document's text into the updated text
+     * @param {vscode.WorkspaceEdit} edit The workspace edit to extend
+     * @param {vscode.TextDocument} document The message file document
+     * @param {string} updatedText The new content of the document
+     * @returns {boolean} True if an edit was added, false if the content is unchanged
+     */
+    addTextEdit(edit, document, updatedText) {
+        const change = this.translationRepository.getMinimalEdit(document.getText(), updatedText);
+        if (!change) {
+            return false;
+        }
+
+        edit.replace(
+            document.uri,
+            new vscode.Range(
+                document.positionAt(change.offset),
+                document.positionAt(change.offset + change.length)
+            ),
+            change.text
+        );
+        return true;
+    }
+}
+
+module.exports = { TranslationFileWriter };
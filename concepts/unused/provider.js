@@ -0,0 +1,78 @@
+const vscode = require('vscode');
+
+/**
+ * Tree data provider listing translation keys that are never used
+ */
+class UnusedKeysTreeProvider {
+    constructor(unusedKeysService) {
+        this.unusedKeysService = unusedKeysService;
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+        this.unusedKeys = [];
+        this.hasScanned = false;
+    }
+
+    /**
+     * Re-run the unused key analysis and refresh the tree view
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        try {
+            this.unusedKeys = await this.unusedKeysService.findUnusedKeys();
+            this.hasScanned = true;
+        } catch (error) {
+            console.error('Error finding unused translation keys:', error);
+            this.unusedKeys = [];
+        }
+        this._onDidChangeTreeData.fire();
+    }
+
+    /**
+     * Get tree item for display
+     * @param {vscode.TreeItem} element The tree element
+     * @returns {vscode.TreeItem} The tree item
+     */
+    getTreeItem(element) {
+        return element;
+    }
+
+    /**
+     * Get children for a tree element
+     * @param {vscode.TreeItem} element The parent element
+     * @returns {vscode.TreeItem[]} The children
+     */
+    getChildren(element) {
+        if (element) {
+            return [];
+        }
+
+        return this.unusedKeys.map(unusedKey =>
+            new UnusedKeyNode(unusedKey.key, unusedKey.value, unusedKey.workspacePath)
+        );
+    }
+}
+
+/**
+ * Tree node for an unused translation key
+ */
+class UnusedKeyNode extends vscode.TreeItem {
+    constructor(key, value, workspacePath) {
+        super(key, vscode.TreeItemCollapsibleState.None);
+
+        this.key = key;
+        this.workspacePath = workspacePath;
+        this.contextValue = 'unusedKey';
+
+        if (typeof value === 'string') {
+            // Truncate long values for display
+            const displayValue = value.length > 40 ? value.substring(0, 37) + '...' : value;
+            this.description = `"${displayValue}"`;
+            this.tooltip = `${key}: "${value}"`;
+        } else {
+            this.description = '(variant)';
+            this.tooltip = key;
+        }
+    }
+}
+
+module.exports = { UnusedKeysTreeProvider, UnusedKeyNode };
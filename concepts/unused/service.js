@@ -0,0 +1,79 @@
+const { TranslationService } = require('../translation/service');
+const { LocaleService } = require('../locale/service');
+const { WorkspaceScanner } = require('../workspace/scanner');
+const { ProjectService } = require('../project/service');
+
+/**
+ * Service finding message keys that are defined in the base locale but never called
+ */
+class UnusedKeysService {
+    constructor() {
+        this.translationService = new TranslationService();
+        this.localeService = new LocaleService();
+        this.projectService = new ProjectService();
+        this.workspaceScanner = new WorkspaceScanner();
+    }
+
+    /**
+     * Find unused keys in every inlang project of the workspace
+     * @returns {Promise<Array>} Array of unused key objects ({key, value, workspacePath})
+     */
+    async findUnusedKeys() {
+        const projects = await this.projectService.findProjects();
+        if (projects.length === 0) {
+            return [];
+        }
+
+        const usedKeys = await this.collectUsedKeys();
+        const unusedKeys = [];
+
+        for (const workspacePath of projects) {
+            unusedKeys.push(...await this.findUnusedProjectKeys(workspacePath, usedKeys.get(workspacePath) || new Set()));
+        }
+
+        return unusedKeys;
+    }
+
+    /**
+     * Find the base locale keys of a project that are not in the set of called keys
+     * @param {string} workspacePath The project path
+     * @param {Set<string>} usedKeys The keys called in the project
+     * @returns {Promise<Array>} Array of unused key objects ({key, value, workspacePath})
+     */
+    async findUnusedProjectKeys(workspacePath, usedKeys) {
+        const baseLocale = this.localeService.getBaseLocale(workspacePath);
+        const baseTranslations = await this.translationService.loadTranslationsForLocale(workspacePath, baseLocale);
+
+        return this.translationService.flattenTranslations(baseTranslations)
+            .filter(entry => !usedKeys.has(entry.key))
+            .map(entry => ({ key: entry.key, value: entry.value, workspacePath }));
+    }
+
+    /**
+     * Collect the keys called anywhere in the workspace, grouped by the project each file belongs to
+     * @returns {Promise<Map<string, Set<string>>>} Map of project path to the set of called keys
+     */
+    async collectUsedKeys() {
+        const usedKeys = new Map();
+        const files = await this.workspaceScanner.findSourceFiles();
+
+        for (const uri of files) {
+            const workspacePath = this.projectService.getProjectPath(uri);
+            if (!workspacePath) continue;
+
+            const result = await this.workspaceScanner.collectTranslationCalls(uri);
+            if (!result) continue;
+
+            if (!usedKeys.has(workspacePath)) {
+                usedKeys.set(workspacePath, new Set());
+            }
+            for (const call of result.calls) {
+                usedKeys.get(workspacePath).add(call.methodName);
+            }
+        }
+
+        return usedKeys;
+    }
+}
+
+module.exports = { UnusedKeysService };
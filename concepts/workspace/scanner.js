@@ -0,0 +1,130 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const { TranslationService } = require('../translation/service');
+
+// Source files that can contain translation calls
+const SOURCE_FILE_GLOB = '**/*.{js,ts,svelte}';
+
+// Dependency, build and VCS folders never worth scanning
+const EXCLUDED_FOLDERS = ['node_modules', '.svelte-kit', '.git', 'dist', 'build'];
+const EXCLUDED_FILES_GLOB = `**/{${EXCLUDED_FOLDERS.join(',')}}/**`;
+
+// Map of file extension to VS Code language ID
+const LANGUAGE_IDS = {
+    '.js': 'javascript',
+    '.ts': 'typescript',
+    '.svelte': 'svelte'
+};
+
+/**
+ * Scanner for finding translation calls across every source file in the workspace
+ */
+class WorkspaceScanner {
+    constructor() {
+        this.translationService = new TranslationService();
+    }
+
+    /**
+     * Get the glob pattern matching supported source files
+     * @returns {string} The glob pattern
+     */
+    getSourceFileGlob() {
+        return SOURCE_FILE_GLOB;
+    }
+
+    /**
+     * Find all supported source files in the workspace
+     * @returns {Promise<Array<vscode.Uri>>} Array of source file URIs
+     */
+    async findSourceFiles() {
+        return await vscode.workspace.findFiles(SOURCE_FILE_GLOB, EXCLUDED_FILES_GLOB);
+    }
+
+    /**
+     * Check if a file should be scanned
+     * @param {vscode.Uri} uri The file URI
+     * @returns {boolean} True if the file is a supported source file outside excluded folders
+     */
+    isSourceFile(uri) {
+        if (!this.getLanguageId(uri.fsPath)) {
+            return false;
+        }
+        const segments = uri.fsPath.split(/[\\/]/);
+        return !segments.some(segment => EXCLUDED_FOLDERS.includes(segment));
+    }
+
+    /**
+     * Get the language ID of a source file from its extension
+     * @param {string} filePath The file path
+     * @returns {string|null} The language ID or null if unsupported
+     */
+    getLanguageId(filePath) {
+        return LANGUAGE_IDS[path.extname(filePath)] || null;
+    }
+
+    /**
+     * Read a source file, preferring the unsaved content of an open document
+     * @param {vscode.Uri} uri The file URI
+     * @returns {Promise<string|null>} The file content or null if it cannot be read
+     */
+    async readSourceFile(uri) {
+        const openDocument = vscode.workspace.textDocuments.find(doc => doc.uri.toString() === uri.toString());
+        if (openDocument) {
+            return openDocument.getText();
+        }
+
+        try {
+            return await fs.promises.readFile(uri.fsPath, 'utf8');
+        } catch (error) {
+            console.log(`❌ Failed to read source file ${uri.fsPath}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Find translation calls in a single source file
+     * @param {vscode.Uri} uri The file URI
+     * @returns {Promise<{text: string, calls: Array}|null>} The file text and its calls, or null if unreadable
+     */
+    async collectTranslationCalls(uri) {
+        const text = await this.readSourceFile(uri);
+        if (text === null) {
+            return null;
+        }
+
+        const calls = this.translationService.findTranslationCalls(text, this.getLanguageId(uri.fsPath));
+        return { text, calls };
+    }
+
+    /**
+     * Create a function converting text offsets to VS Code positions without opening a document
+     * @param {string} text The file text
+     * @returns {Function} Function mapping an offset to a vscode.Position
+     */
+    createPositionMapper(text) {
+        const lineStarts = [0];
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\n') {
+                lineStarts.push(i + 1);
+            }
+        }
+
+        return offset => {
+            // Binary search for the line containing the offset
+            let low = 0;
+            let high = lineStarts.length - 1;
+            while (low < high) {
+                const mid = Math.ceil((low + high) / 2);
+                if (lineStarts[mid] <= offset) {
+                    low = mid;
+                } else {
+                    high = mid - 1;
+                }
+            }
+            return new vscode.Position(low, offset - lineStarts[low]);
+        };
+    }
+}
+
+module.exports = { WorkspaceScanner };
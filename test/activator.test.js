@@ -0,0 +1,31 @@
+const assert = require('assert');
+const { ExtensionActivator } = require('../concepts/extension/activator');
+
+suite('ExtensionActivator', () => {
+	const activator = new ExtensionActivator();
+	const report = {
+		baseLocale: 'en',
+		locales: [
+			{ locale: 'de', total: 10, translated: 10, percent: 100 },
+			{ locale: 'fr', total: 10, translated: 7, percent: 70 }
+		]
+	};
+
+	test('describes each locale of the picker with its coverage', () => {
+		assert.deepStrictEqual(activator.createLocaleItems(['en', 'de', 'fr'], 'de', 'en', report), [
+			{ label: 'en', description: 'base locale', locale: 'en' },
+			{ label: '$(check) de', description: '100% translated', locale: 'de' },
+			{ label: 'fr', description: '70% translated · 3 untranslated', locale: 'fr' }
+		]);
+	});
+
+	test('keeps the base locale description next to its coverage', () => {
+		const withBase = { ...report, locales: [...report.locales, { locale: 'en', total: 10, translated: 10, percent: 100 }] };
+
+		assert.strictEqual(activator.createLocaleItems(['en'], 'de', 'en', withBase)[0].description, 'base locale · 100% translated');
+	});
+
+	test('leaves out the coverage when it could not be computed', () => {
+		assert.deepStrictEqual(activator.createLocaleItems(['en', 'fr'], 'en', 'en', null).map(item => item.description), ['base locale', '']);
+	});
+});
@@ -0,0 +1,54 @@
+const assert = require('assert');
+const path = require('path');
+const { TranslationCache } = require('../concepts/translation/cache');
+
+suite('TranslationCache', () => {
+	const root = path.join(path.sep, 'projects');
+	const enPath = path.join(root, 'app', 'messages', 'en.json');
+	const dePath = path.join(root, 'app', 'messages', 'de.json');
+	const otherPath = path.join(root, 'admin', 'messages', 'en.json');
+
+	test('loads each file once until it is invalidated', async () => {
+		const cache = new TranslationCache();
+		let reads = 0;
+		const loader = async () => ({ hello: `Hello ${++reads}` });
+
+		assert.deepStrictEqual(await cache.get(enPath, loader), { hello: 'Hello 1' });
+		assert.deepStrictEqual(await cache.get(path.join(root, 'app', '.', 'messages', 'en.json'), loader), { hello: 'Hello 1' });
+
+		cache.invalidate(enPath);
+		assert.ok(!cache.has(enPath));
+		assert.deepStrictEqual(await cache.get(enPath, loader), { hello: 'Hello 2' });
+	});
+
+	test('shares one pending read between concurrent callers', async () => {
+		const cache = new TranslationCache();
+		let reads = 0;
+		const loader = async () => ({ reads: ++reads });
+
+		const [first, second] = await Promise.all([cache.get(enPath, loader), cache.get(enPath, loader)]);
+
+		assert.strictEqual(reads, 1);
+		assert.strictEqual(first, second);
+	});
+
+	test('does not keep failed reads', async () => {
+		const cache = new TranslationCache();
+
+		await assert.rejects(cache.get(enPath, async () => { throw new Error('Unexpected token'); }), /Unexpected token/);
+		assert.ok(!cache.has(enPath));
+		assert.deepStrictEqual(await cache.get(enPath, async () => ({})), {});
+	});
+
+	test('drops the entries of one workspace or all of them', async () => {
+		const cache = new TranslationCache();
+		const loader = async () => ({});
+		await Promise.all([enPath, dePath, otherPath].map(filePath => cache.get(filePath, loader)));
+
+		cache.invalidateWorkspace(path.join(root, 'app'));
+		assert.deepStrictEqual([enPath, dePath, otherPath].map(filePath => cache.has(filePath)), [false, false, true]);
+
+		cache.clear();
+		assert.ok(!cache.has(otherPath));
+	});
+});
@@ -0,0 +1,62 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const { TranslationCodeActionProvider } = require('../concepts/editor/codeaction');
+
+suite('TranslationCodeActionProvider', () => {
+	const provider = new TranslationCodeActionProvider();
+
+	/**
+	 * Create a single-line document stand-in
+	 * @param {string} text The document text
+	 * @returns {Object} The document
+	 */
+	function createDocument(text) {
+		return {
+			uri: vscode.Uri.file('/projects/app/src/App.svelte'),
+			languageId: 'svelte',
+			getText: () => text,
+			offsetAt: position => position.character
+		};
+	}
+
+	/**
+	 * Create an ElementaryWatson diagnostic spanning a part of the single document line
+	 * @param {string} code The diagnostic code
+	 * @param {number} start The start offset
+	 * @param {number} end The end offset
+	 * @returns {vscode.Diagnostic} The diagnostic
+	 */
+	function createDiagnostic(code, start, end) {
+		const diagnostic = new vscode.Diagnostic(new vscode.Range(new vscode.Position(0, start), new vscode.Position(0, end)), code, vscode.DiagnosticSeverity.Error);
+		diagnostic.code = code;
+		diagnostic.source = 'ElementaryWatson';
+		return diagnostic;
+	}
+
+	test('offers to create a key missing in every locale once per key', () => {
+		const text = '<p>{m.nav_home()} {m.nav_home()} {m.hello()}</p>';
+		const first = text.indexOf('m.nav_home');
+		const second = text.indexOf('m.nav_home', first + 1);
+		const context = {
+			diagnostics: [
+				createDiagnostic('noLocale', first, first + 10),
+				createDiagnostic('noLocale', second, second + 10),
+				createDiagnostic('missingLocale', text.indexOf('m.hello'), text.indexOf('m.hello') + 7)
+			]
+		};
+
+		const actions = provider.provideCodeActions(createDocument(text), null, context);
+
+		assert.deepStrictEqual(actions.map(action => action.title), ['Create key "nav_home" in all locales']);
+		assert.strictEqual(actions[0].command.command, 'elementaryWatson.createMissingKey');
+		assert.strictEqual(actions[0].command.arguments[1], 'nav_home');
+		assert.deepStrictEqual(actions[0].diagnostics, [context.diagnostics[0]]);
+	});
+
+	test('ignores diagnostics of other extensions', () => {
+		const diagnostic = createDiagnostic('noLocale', 4, 14);
+		diagnostic.source = 'svelte';
+
+		assert.deepStrictEqual(provider.provideCodeActions(createDocument('<p>{m.nav_home()}</p>'), null, { diagnostics: [diagnostic] }), []);
+	});
+});
@@ -0,0 +1,83 @@
+const assert = require('assert');
+const { CoverageService } = require('../concepts/completeness/service');
+
+/**
+ * Create a plural variant message with the given branch texts
+ * @param {string} one The text of the "one" branch
+ * @param {string} other The text of the "other" branch
+ * @returns {Array} The paraglide variant message
+ */
+function plural(one, other) {
+	return [{
+		declarations: ['input count', 'local countPlural = count: plural'],
+		selectors: ['countPlural'],
+		match: { 'countPlural=one': one, 'countPlural=other': other }
+	}];
+}
+
+suite('CoverageService', () => {
+	const service = new CoverageService();
+	const baseKeys = ['hello', 'bye', 'nav.home', 'nav.about', 'items'];
+
+	test('counts missing, empty and incomplete variant keys', () => {
+		const coverage = service.computeLocaleCoverage('de', {
+			hello: 'Hallo',
+			bye: '  ',
+			nav: { home: 'Start' },
+			items: plural('Ein Eintrag', '')
+		}, baseKeys);
+
+		assert.deepStrictEqual(coverage, {
+			locale: 'de',
+			total: 5,
+			translated: 2,
+			missing: 1,
+			empty: 1,
+			variantIncomplete: 1,
+			percent: 40,
+			missingKeys: ['nav.about'],
+			emptyKeys: ['bye'],
+			variantIncompleteKeys: ['items']
+		});
+	});
+
+	test('counts complete variants and nested keys as translated', () => {
+		const coverage = service.computeLocaleCoverage('de', {
+			hello: 'Hallo',
+			bye: 'Tschüss',
+			nav: { home: 'Start', about: 'Über uns' },
+			items: plural('Ein Eintrag', '{count} Einträge')
+		}, baseKeys);
+
+		assert.strictEqual(coverage.translated, 5);
+		assert.strictEqual(coverage.percent, 100);
+	});
+
+	test('rounds the percentage down and treats a locale without keys as complete', () => {
+		assert.strictEqual(service.computeLocaleCoverage('de', { a: 'A', b: 'B' }, ['a', 'b', 'c']).percent, 66);
+		assert.strictEqual(service.computeLocaleCoverage('de', null, ['a']).missing, 1);
+		assert.strictEqual(service.computeLocaleCoverage('de', null, []).percent, 100);
+	});
+
+	test('formats the summary and the Markdown report', () => {
+		const report = {
+			project: '/projects/app',
+			baseLocale: 'en',
+			totalKeys: 2,
+			generatedAt: '2024-01-01T00:00:00.000Z',
+			locales: [
+				service.computeLocaleCoverage('de', { a: 'A', b: 'B' }, ['a', 'b']),
+				service.computeLocaleCoverage('fr', { a: 'A', b: '' }, ['a', 'b'])
+			]
+		};
+
+		assert.strictEqual(service.formatSummary(report), 'de 100% · fr 50%');
+
+		const markdown = service.formatMarkdown(report);
+		assert.ok(markdown.includes('| `de` | 100% | 2 | 0 | 0 | 0 |'));
+		assert.ok(markdown.includes('| `fr` | 50% | 1 | 0 | 1 | 0 |'));
+		assert.ok(!markdown.includes('## de'));
+		assert.ok(markdown.includes('## fr\n\n### Empty (1)\n\n- `b`'));
+		assert.deepStrictEqual(JSON.parse(service.formatJson(report)), report);
+	});
+});
@@ -0,0 +1,58 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const { TranslationCompletionProvider } = require('../concepts/editor/completion');
+
+suite('TranslationCompletionProvider', () => {
+	const provider = new TranslationCompletionProvider();
+	const entry = { key: 'greeting', value: 'Hello {name}' };
+
+	/**
+	 * Complete the message entry after the given line prefix, with the cursor at its end
+	 * @param {string} prefix The line text before the cursor
+	 * @param {string} suffix The line text after the cursor
+	 * @param {{key: string, value: string}} completed The message entry
+	 * @returns {vscode.CompletionItem} The completion item
+	 */
+	function completeDot(prefix, suffix, completed = entry) {
+		const match = prefix.match(/\bm\.([A-Za-z_$][\w$]*)?$/);
+		return provider.createDotItem(completed, match, new vscode.Position(0, prefix.length), suffix);
+	}
+
+	/**
+	 * Get the text a snippet inserts, with each placeholder replaced by its default text
+	 * @param {vscode.SnippetString} snippet The snippet
+	 * @returns {string} The inserted text
+	 */
+	function snippetText(snippet) {
+		return snippet.value.replace(/\$\{(?:\d+:)?([^}]*)\}/g, '$1');
+	}
+
+	test('inserts the parameter snippet after m.', () => {
+		assert.strictEqual(snippetText(completeDot('m.gre', ';').insertText), 'greeting({ name: name })');
+	});
+
+	test('inserts only the key when the call parentheses follow already', () => {
+		assert.strictEqual(completeDot('m.gre', '({ name })').insertText, 'greeting');
+		assert.strictEqual(completeDot('m.', ' ()').insertText, 'greeting');
+	});
+
+	test('replaces an auto-closed quote and bracket so the parameters follow them', () => {
+		const prefix = 'm["gre';
+		const match = prefix.match(/\bm\[\s*(['"`])([^'"`]*)$/);
+		const position = new vscode.Position(0, prefix.length);
+
+		const item = provider.createBracketItem(entry, match, position, '"]');
+		assert.strictEqual(snippetText(item.insertText), 'greeting"]({ name: name })');
+		assert.strictEqual(item.range.end.character, prefix.length + 2);
+
+		assert.strictEqual(provider.createBracketItem(entry, match, position, '"]()').insertText, 'greeting');
+		assert.strictEqual(provider.createBracketItem(entry, match, position, '"').insertText, 'greeting');
+	});
+
+	test('rewrites nested keys to bracket syntax without a second call', () => {
+		const item = completeDot('m.na', '()', { key: 'nav.home', value: 'Home' });
+
+		assert.strictEqual(item.insertText, '["nav.home"]');
+		assert.strictEqual(item.additionalTextEdits.length, 1);
+	});
+});
@@ -0,0 +1,31 @@
+const assert = require('assert');
+const { TranslationDefinitionProvider } = require('../concepts/editor/definition');
+
+suite('TranslationDefinitionProvider', () => {
+	const provider = new TranslationDefinitionProvider();
+	const translationPath = '/projects/app/messages/en.json';
+	const text = '{\n  "nav": {\n    "home": "Home"\n  },\n  "a.b": "Flat"\n}\n';
+
+	/**
+	 * Locate a key the way Go to Definition does, as the source text of its property and key ranges
+	 * @param {string} key The translation key
+	 * @returns {[string, string]|null} The property and key text, or null if the key is not found
+	 */
+	function locate(key) {
+		const location = provider.translationService.locateKeyInText(text, key, translationPath);
+		return location && [
+			text.substr(location.propertyOffset, location.propertyLength),
+			text.substr(location.keyOffset, location.keyLength)
+		];
+	}
+
+	test('targets the property of nested and flat dotted keys', () => {
+		assert.deepStrictEqual(locate('nav.home'), ['"home": "Home"', '"home"']);
+		assert.deepStrictEqual(locate('a.b'), ['"a.b": "Flat"', '"a.b"']);
+	});
+
+	test('finds no target for missing keys', () => {
+		assert.strictEqual(locate('nav.missing'), null);
+		assert.strictEqual(locate('home'), null);
+	});
+});
@@ -0,0 +1,53 @@
+const assert = require('assert');
+const { HardcodedTextDetector } = require('../concepts/extraction/detector');
+
+suite('HardcodedTextDetector', () => {
+	const detector = new HardcodedTextDetector();
+
+	/**
+	 * Detect the strings of a component as [value, source text of the range] pairs
+	 * @param {string} text The Svelte component source
+	 * @returns {Array<[string, string]>} The found strings
+	 */
+	function detect(text) {
+		return detector.findStrings(text).map(found => [found.value, text.slice(found.start, found.end)]);
+	}
+
+	test('finds text nodes and text attributes', () => {
+		const text = '<h1 class="title">Welcome   back</h1>\n<input placeholder="Your name" title=\'Name\' value="Ada">';
+
+		assert.deepStrictEqual(detect(text), [
+			['Welcome back', 'Welcome   back'],
+			['Your name', '"Your name"'],
+			['Name', '\'Name\'']
+		]);
+	});
+
+	test('skips code, comments, punctuation and dynamic attributes', () => {
+		const text = [
+			'<script>const label = "Not markup";</script>',
+			'<style>p::after { content: "Not markup"; }</style>',
+			'<!-- A comment -->',
+			'<p>{m.hello()}</p>',
+			'<span>&nbsp;-&nbsp;</span>',
+			'<img alt="Photo of {user.name}">'
+		].join('\n');
+
+		assert.deepStrictEqual(detect(text), []);
+	});
+
+	test('reports a text node with expression tags as one string', () => {
+		const text = '<p>Hello {user.name}, welcome &amp; enjoy {count > 1 ? "your  items" : "it"}!</p>';
+
+		assert.deepStrictEqual(detect(text), [[
+			'Hello {user.name}, welcome & enjoy {count > 1 ? "your  items" : "it"}!',
+			'Hello {user.name}, welcome &amp; enjoy {count > 1 ? "your  items" : "it"}!'
+		]]);
+	});
+
+	test('splits text at Svelte blocks', () => {
+		const text = '<p>{#if open}Open now{:else}Closed {reason}{/if}</p>';
+
+		assert.deepStrictEqual(detect(text).map(([value]) => value), ['Open now', 'Closed {reason}']);
+	});
+});
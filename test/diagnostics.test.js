@@ -0,0 +1,27 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const { DiagnosticsService } = require('../concepts/diagnostics/service');
+const { TranslationCallParser } = require('../concepts/translation/parser');
+
+suite('DiagnosticsService', () => {
+	const service = new DiagnosticsService();
+	const translationsByLocale = new Map([
+		['en', { hello: 'Hello', bye: 'Bye' }],
+		['de', { hello: 'Hallo', bye: '' }]
+	]);
+	service.localeService = { getAvailableLocales: async () => [...translationsByLocale.keys()] };
+	service.translationService.loadTranslationsForLocales = async () => translationsByLocale;
+
+	test('reports keys missing in some or all locales at their call', async () => {
+		const text = 'm.hello();\nm.bye();\nm["nav.missing"]();';
+		const calls = new TranslationCallParser().findCalls(text, 'javascript');
+
+		const diagnostics = await service.createDiagnostics('/projects/app', text, calls);
+
+		assert.deepStrictEqual(diagnostics.map(diagnostic => [diagnostic.code, diagnostic.severity, diagnostic.message]), [
+			['missingLocale', vscode.DiagnosticSeverity.Warning, 'Translation key "bye" is missing in: de'],
+			['noLocale', vscode.DiagnosticSeverity.Error, 'Translation key "nav.missing" is not defined in any locale']
+		]);
+		assert.deepStrictEqual([diagnostics[1].range.start.line, diagnostics[1].range.start.character, diagnostics[1].range.end.character], [2, 0, 16]);
+	});
+});
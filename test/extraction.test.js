@@ -0,0 +1,44 @@
+const assert = require('assert');
+const { ExtractionService } = require('../concepts/extraction/service');
+
+suite('ExtractionService', () => {
+	/**
+	 * Create a service whose project has the given locales and whose file writes are recorded
+	 * @param {Array<string>} locales The locales, the first one being the base locale
+	 * @returns {{service: ExtractionService, writes: Array<Array<Object>>}} The service and the recorded applyChanges calls
+	 */
+	function createService(locales) {
+		const service = new ExtractionService();
+		const writes = [];
+		service.localeService = {
+			getAvailableLocales: async () => locales,
+			getBaseLocale: () => locales[0],
+			resolveTranslationPath: (workspacePath, locale) => `${workspacePath}/messages/${locale}.json`
+		};
+		service.translationFileWriter = { applyChanges: async changes => writes.push(changes) };
+		return { service, writes };
+	}
+
+	test('adds a key to every locale file in a single edit', async () => {
+		const { service, writes } = createService(['en', 'de', 'fr']);
+
+		assert.strictEqual(await service.addToLocaleFiles('/projects/app', 'nav.home', 'Home'), true);
+		assert.strictEqual(writes.length, 1);
+
+		const [changes] = writes;
+		assert.deepStrictEqual(changes.map(change => change.translationPath), [
+			'/projects/app/messages/en.json',
+			'/projects/app/messages/de.json',
+			'/projects/app/messages/fr.json'
+		]);
+		assert.deepStrictEqual(JSON.parse(changes[0].update('{}')), { nav: { home: 'Home' } });
+		assert.deepStrictEqual(JSON.parse(changes[1].update('{\n  "hello": "Hallo"\n}\n')), { hello: 'Hallo', nav: { home: '' } });
+	});
+
+	test('reports a failed write', async () => {
+		const { service } = createService(['en']);
+		service.translationFileWriter = { applyChanges: async () => { throw new Error('rejected'); } };
+
+		assert.strictEqual(await service.addToLocaleFiles('/projects/app', 'hello', 'Hello'), false);
+	});
+});
@@ -0,0 +1,182 @@
+const assert = require('assert');
+const { JsonFormatAdapter, JsoncFormatAdapter } = require('../concepts/format/json');
+const { YamlFormatAdapter } = require('../concepts/format/yaml');
+const { I18nextFormatAdapter } = require('../concepts/format/i18next');
+
+suite('JsonFormatAdapter', () => {
+	const adapter = new JsonFormatAdapter();
+
+	test('locates flat and nested keys', () => {
+		const text = '{\n  "hello": "Hello",\n  "nav": {\n    "home": "Home"\n  },\n  "a.b": "Flat"\n}\n';
+
+		const nested = adapter.locateKey(text, 'nav.home');
+		assert.deepStrictEqual(nested.path, ['nav', 'home']);
+		assert.strictEqual(text.substr(nested.valueContentOffset, nested.valueContentLength), 'Home');
+		assert.strictEqual(text.substr(nested.keyContentOffset, nested.keyContentLength), 'home');
+
+		assert.deepStrictEqual(adapter.locateKey(text, 'a.b').path, ['a.b']);
+		assert.strictEqual(adapter.locateKey(text, 'missing'), null);
+	});
+
+	test('updates a value in place, keeping the file formatting', () => {
+		const text = '{\n    "hello": "Hello",\n    "bye": "Bye"\n}\n';
+
+		assert.strictEqual(adapter.setValue(text, 'hello', 'Hi'), '{\n    "hello": "Hi",\n    "bye": "Bye"\n}\n');
+	});
+
+	test('creates nested keys and empty files', () => {
+		const updated = adapter.setValue('{\n  "hello": "Hello"\n}\n', 'nav.home', 'Home');
+
+		assert.deepStrictEqual(adapter.read(updated), { hello: 'Hello', nav: { home: 'Home' } });
+		assert.deepStrictEqual(adapter.read(adapter.setValue('', 'hello', 'Hello')), { hello: 'Hello' });
+	});
+
+	test('removes keys and the parents they leave empty', () => {
+		const text = '{\n  "hello": "Hello",\n  "nav": {\n    "home": "Home"\n  }\n}\n';
+
+		assert.deepStrictEqual(adapter.read(adapter.removeKey(text, 'nav.home')), { hello: 'Hello' });
+		assert.strictEqual(adapter.removeKey(text, 'missing'), text);
+	});
+
+	test('renames keys, moving them between parents', () => {
+		const text = '{\n  "nav": {\n    "home": "Home",\n    "about": "About"\n  }\n}\n';
+
+		assert.deepStrictEqual(adapter.read(adapter.renameKey(text, 'nav.home', 'nav.start')), {
+			nav: { start: 'Home', about: 'About' }
+		});
+		assert.deepStrictEqual(adapter.read(adapter.renameKey(text, 'nav.home', 'home')), {
+			nav: { about: 'About' },
+			home: 'Home'
+		});
+	});
+});
+
+suite('JsoncFormatAdapter', () => {
+	const adapter = new JsoncFormatAdapter();
+
+	test('reads JSON5 syntax', () => {
+		assert.deepStrictEqual(adapter.read("{\n  // comment\n  hello: 'Hello',\n}\n"), { hello: 'Hello' });
+	});
+
+	test('edits JSONC files keeping comments', () => {
+		const text = '{\n  // Greeting\n  "hello": "Hello",\n}\n';
+
+		assert.strictEqual(adapter.setValue(text, 'hello', 'Hi'), '{\n  // Greeting\n  "hello": "Hi",\n}\n');
+	});
+
+	test('refuses to edit JSON5 syntax it cannot write back', () => {
+		const text = "{\n  hello: 'Hello'\n}\n";
+
+		assert.throws(() => adapter.setValue(text, 'hello', 'Hi'), /JSON5/);
+		assert.throws(() => adapter.removeKey(text, 'hello'), /JSON5/);
+		assert.throws(() => adapter.renameKey(text, 'hello', 'hi'), /JSON5/);
+	});
+});
+
+suite('YamlFormatAdapter', () => {
+	const adapter = new YamlFormatAdapter();
+
+	test('locates nested keys', () => {
+		const text = 'nav:\n  home: "Home"\n';
+		const location = adapter.locateKey(text, 'nav.home');
+
+		assert.deepStrictEqual(location.path, ['nav', 'home']);
+		assert.strictEqual(text.substr(location.valueContentOffset, location.valueContentLength), 'Home');
+		assert.strictEqual(adapter.locateKey(text, 'nav.about'), null);
+	});
+
+	test('updates a value without touching the rest of the file', () => {
+		const text = '# Messages\nhello: "Hello"  # greeting\nnav:\n    home: \'Home\'\n    about: About\n';
+
+		assert.strictEqual(
+			adapter.setValue(text, 'nav.home', 'Start'),
+			'# Messages\nhello: "Hello"  # greeting\nnav:\n    home: \'Start\'\n    about: About\n'
+		);
+	});
+
+	test('inserts new keys at the indentation of their siblings', () => {
+		const text = 'nav:\n    home: Home\nbye: Bye\n';
+		const updated = adapter.setValue(text, 'nav.about', 'About');
+
+		assert.ok(updated.startsWith('nav:\n    home: Home\n    about: About\n'), updated);
+		assert.deepStrictEqual(adapter.read(updated), { nav: { home: 'Home', about: 'About' }, bye: 'Bye' });
+		assert.deepStrictEqual(adapter.read(adapter.setValue('', 'nav.home', 'Home')), { nav: { home: 'Home' } });
+	});
+
+	test('does not fold long values', () => {
+		const value = 'A long message '.repeat(10).trim();
+		const updated = adapter.setValue('hello: Hello\n', 'hello', value);
+
+		assert.strictEqual(updated.split('\n').length, 2);
+		assert.strictEqual(adapter.read(updated).hello, value);
+	});
+
+	test('replaces block scalars without merging the next key into the value', () => {
+		assert.strictEqual(adapter.setValue('a: |\n  line1\n  line2\nb: x # c\n', 'a', 'single'), 'a: single\nb: x # c\n');
+		assert.strictEqual(adapter.setValue('a: >-\n  folded\n  text\n\nb: x\n', 'a', 'single'), 'a: single\n\nb: x\n');
+		assert.strictEqual(adapter.setValue('a: >\n  folded\nb: x\n', 'a', 'two\nlines'), 'a: |-\n  two\n  lines\nb: x\n');
+	});
+
+	test('removes keys and the parents they leave empty', () => {
+		const text = '# Messages\nhello: Hello\nnav:\n  home: Home\n';
+
+		assert.strictEqual(adapter.removeKey(text, 'nav.home'), '# Messages\nhello: Hello\n');
+		assert.strictEqual(adapter.removeKey(text, 'missing'), text);
+	});
+
+	test('renames keys in place or moves them to another parent', () => {
+		const text = 'nav:\n  home: Home  # start page\n  about: About\n';
+
+		assert.strictEqual(adapter.renameKey(text, 'nav.home', 'nav.start'), 'nav:\n  start: Home  # start page\n  about: About\n');
+		assert.deepStrictEqual(adapter.read(adapter.renameKey(text, 'nav.home', 'home')), {
+			nav: { about: 'About' },
+			home: 'Home'
+		});
+	});
+});
+
+suite('I18nextFormatAdapter', () => {
+	const adapter = new I18nextFormatAdapter();
+
+	/**
+	 * Create a plural message value the way the inlang format stores it
+	 * @param {Array<string>} selectors The selectors
+	 * @param {Object} match The patterns by condition
+	 * @returns {Array<Object>} The message value
+	 */
+	function variants(selectors, match) {
+		return [{ declarations: ['input count', 'local countPlural = count: plural'], selectors, match }];
+	}
+
+	test('groups plural keys into one message selected by count', () => {
+		const messages = adapter.read('{\n  "items_one": "{{count}} item",\n  "items_other": "{{count}} items",\n  "size_one": "Small"\n}\n');
+
+		assert.deepStrictEqual(messages.items, variants(['countPlural'], {
+			'countPlural=one': '{count} item',
+			'countPlural=other': '{count} items'
+		}));
+		// Without an _other form the suffix is part of the key
+		assert.strictEqual(messages.size_one, 'Small');
+	});
+
+	test('writes every plural form to its suffixed key', () => {
+		const text = '{\n  "items_one": "{{count}} item",\n  "items_other": "{{count}} items"\n}\n';
+		const updated = adapter.setValue(text, 'items', variants(['countPlural'], {
+			'countPlural=one': 'One {count} item',
+			'countPlural=*': '{count} items in total'
+		}));
+
+		assert.deepStrictEqual(JSON.parse(updated), { items_one: 'One {{count}} item', items_other: '{{count}} items in total' });
+	});
+
+	test('refuses variants it cannot store as plural keys', () => {
+		const text = '{}\n';
+
+		assert.throws(() => adapter.setValue(text, 'invite', variants(['countPlural', 'context'], {
+			'countPlural=one, context=male': 'He invited one guest'
+		})), /single plural selector/);
+		assert.throws(() => adapter.setValue(text, 'invite', variants(['context'], {
+			'context=male': 'He invited you'
+		})), /single plural selector/);
+	});
+});
@@ -0,0 +1,42 @@
+const assert = require('assert');
+const { TranslationGridService } = require('../concepts/grid/service');
+
+suite('TranslationGridService', () => {
+	const service = new TranslationGridService();
+	const translationsByLocale = new Map([
+		['de', { hello: 'Hallo', nav: { home: 'Startseite' }, extra: 'Nur Deutsch' }],
+		['en', {
+			hello: 'Hello',
+			nav: { home: 'Home', about: 'About' },
+			items: [{ selectors: ['countPlural'], match: { 'countPlural=one': 'One item', 'countPlural=other': '{count} items' } }]
+		}]
+	]);
+	service.localeService = { getAvailableLocales: async () => ['de', 'en'], getBaseLocale: () => 'en' };
+	service.translationService.loadTranslationsForLocales = async (workspacePath, locales) =>
+		new Map(locales.map(locale => [locale, translationsByLocale.get(locale)]));
+
+	test('lists every key of every locale with the base locale first', async () => {
+		const grid = await service.getGridData('/projects/shop');
+
+		assert.strictEqual(grid.projectName, 'shop');
+		assert.deepStrictEqual(grid.locales, ['en', 'de']);
+		assert.deepStrictEqual(grid.rows.map(row => [row.key, row.namespace]), [
+			['hello', ''],
+			['nav.home', 'nav'],
+			['nav.about', 'nav'],
+			['items', ''],
+			['extra', '']
+		]);
+	});
+
+	test('shows missing cells as editable and variant messages read-only', async () => {
+		const grid = await service.getGridData('/projects/shop');
+		const cells = key => grid.rows.find(row => row.key === key).values;
+
+		assert.deepStrictEqual(cells('nav.about'), {
+			en: { value: 'About', editable: true, variant: false },
+			de: { value: null, editable: true, variant: false }
+		});
+		assert.deepStrictEqual(cells('items').en, { value: 'One item*', editable: false, variant: true });
+	});
+});
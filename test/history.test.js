@@ -0,0 +1,85 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TranslationHistory } = require('../concepts/translation/history');
+const { TranslationCache } = require('../concepts/translation/cache');
+
+suite('TranslationHistory', () => {
+	let directory;
+	let enPath;
+	let esPath;
+
+	setup(() => {
+		directory = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+		enPath = path.join(directory, 'en.json');
+		esPath = path.join(directory, 'es.json');
+		fs.writeFileSync(enPath, '{}');
+		fs.writeFileSync(esPath, '{}');
+	});
+
+	teardown(() => {
+		fs.rmSync(directory, { recursive: true, force: true });
+	});
+
+	/**
+	 * Set the modification time of a file
+	 * @param {string} filePath The file path
+	 * @param {number} seconds The modification time in seconds since the epoch
+	 */
+	function touch(filePath, seconds) {
+		fs.utimesSync(filePath, seconds, seconds);
+	}
+
+	test('counts the first snapshot of a file as unchanged', () => {
+		const history = new TranslationHistory();
+		history.recordTranslations(enPath, { save: 'Save' });
+		history.recordTranslations(esPath, { save: 'Guardar' });
+
+		assert.strictEqual(history.isStale([esPath], [enPath], 'save'), false);
+	});
+
+	test('flags translations whose reference changed later', () => {
+		const history = new TranslationHistory();
+		history.recordTranslations(enPath, { save: 'Save', cancel: 'Cancel' });
+		history.recordTranslations(esPath, { save: 'Guardar', cancel: 'Cancelar' });
+
+		touch(enPath, 2000);
+		history.recordTranslations(enPath, { save: 'Save changes', cancel: 'Cancel' });
+
+		assert.strictEqual(history.isStale([esPath], [enPath], 'save'), true);
+		assert.strictEqual(history.isStale([esPath], [enPath], 'cancel'), false);
+
+		touch(esPath, 3000);
+		history.recordTranslations(esPath, { save: 'Guardar cambios', cancel: 'Cancelar' });
+
+		assert.strictEqual(history.isStale([esPath], [enPath], 'save'), false);
+	});
+
+	test('dates changes by file modification, not by when they are seen', () => {
+		const history = new TranslationHistory();
+		history.recordTranslations(enPath, { save: 'Save' });
+		history.recordTranslations(esPath, { save: 'Guardar' });
+
+		// Both files changed while the extension was closed; the translation was updated last
+		touch(enPath, 2000);
+		touch(esPath, 3000);
+		history.recordTranslations(esPath, { save: 'Guardar cambios' });
+		history.recordTranslations(enPath, { save: 'Save changes' });
+
+		assert.strictEqual(history.isStale([esPath], [enPath], 'save'), false);
+	});
+
+	test('reports cache loads once per invalidation', async () => {
+		const cache = new TranslationCache();
+		const loaded = [];
+		cache.onDidLoad((filePath, translations) => loaded.push([filePath, translations]));
+
+		await cache.get(enPath, async () => ({ save: 'Save' }));
+		await cache.get(enPath, async () => ({ save: 'Unused' }));
+		cache.invalidate(enPath);
+		await cache.get(enPath, async () => ({ save: 'Save changes' }));
+
+		assert.deepStrictEqual(loaded, [[enPath, { save: 'Save' }], [enPath, { save: 'Save changes' }]]);
+	});
+});
@@ -0,0 +1,32 @@
+const assert = require('assert');
+const { TranslationHoverProvider } = require('../concepts/editor/hover');
+
+suite('TranslationHoverProvider', () => {
+	const provider = new TranslationHoverProvider();
+	provider.localeService = { getCurrentLocale: () => 'de' };
+
+	test('lists the value of a key in every locale', () => {
+		const translationsByLocale = new Map([
+			['en', { greeting: 'Hello *you*' }],
+			['de', { greeting: 'Hallo' }],
+			['fr', { greeting: '' }],
+			['es', {}]
+		]);
+
+		const lines = provider.createHoverContent('greeting', '/projects/shop', translationsByLocale).value.split('\n');
+
+		assert.strictEqual(lines[0], '**greeting**');
+		assert.ok(lines[2].startsWith('- [`en`](command:elementaryWatson.openTranslationFile?'));
+		assert.ok(lines[2].endsWith(': "Hello \\*you\\*"'));
+		assert.ok(lines[3].endsWith(' *(current)*: "Hallo"'));
+		assert.ok(lines[4].endsWith(': $(warning) *empty*'));
+		assert.ok(lines[5].endsWith(': $(error) *missing*'));
+	});
+
+	test('opens the locale file at the key from the locale link', () => {
+		const markdown = provider.createHoverContent('nav.home', '/projects/shop', new Map([['en', { nav: { home: 'Home' } }]]));
+		const args = markdown.value.match(/openTranslationFile\?([^ ]+) /)[1];
+
+		assert.deepStrictEqual(JSON.parse(decodeURIComponent(args)), ['/projects/shop', 'en', 'nav.home']);
+	});
+});
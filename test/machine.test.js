@@ -0,0 +1,113 @@
+const assert = require('assert');
+const { MachineTranslationService } = require('../concepts/machine/service');
+const { MachineTranslationProvider } = require('../concepts/machine/provider');
+
+/**
+ * Provider answering with a fixed function instead of an HTTP service
+ */
+class FakeProvider extends MachineTranslationProvider {
+	constructor(translateText) {
+		super('fake', 'Fake');
+		this.translateText = translateText;
+		this.requests = [];
+	}
+
+	async translate(texts) {
+		this.requests.push(texts);
+		return texts.map(this.translateText);
+	}
+
+	getBatchSize() {
+		return 2;
+	}
+}
+
+suite('MachineTranslationService', () => {
+	const service = new MachineTranslationService();
+
+	test('replaces placeholders and escapes with numbered tokens', () => {
+		assert.deepStrictEqual(service.protectPlaceholders('Hi {name}, \\{literal\\} {count}'), {
+			text: 'Hi {0}, {1}literal{2} {3}',
+			tokens: ['{name}', '\\{', '\\}', '{count}']
+		});
+		assert.deepStrictEqual(service.protectPlaceholders('No placeholders'), { text: 'No placeholders', tokens: [] });
+	});
+
+	test('restores tokens in any order and spacing', () => {
+		assert.strictEqual(service.restorePlaceholders('{ 1 } mensajes para {0}', ['{name}', '{count}']), '{count} mensajes para {name}');
+	});
+
+	test('rejects translations that lose, repeat or invent tokens', () => {
+		const tokens = ['{name}', '{count}'];
+
+		assert.strictEqual(service.restorePlaceholders('Hola {0}', tokens), null);
+		assert.strictEqual(service.restorePlaceholders('Hola {0} {0} {1}', tokens), null);
+		assert.strictEqual(service.restorePlaceholders('Hola {0} {1} {2}', tokens), null);
+	});
+
+	test('translates entries in batches and skips broken placeholders', async () => {
+		const provider = new FakeProvider(text => (text.startsWith('Bye') ? 'Adiós' : text.replace('Hello', 'Hola')));
+		const entries = [
+			{ key: 'hello', source: 'Hello {name}' },
+			{ key: 'bye', source: 'Bye {name}' },
+			{ key: 'hello_all', source: 'Hello all' }
+		];
+
+		const result = await service.translateEntries(provider, entries, 'en', 'es');
+
+		assert.deepStrictEqual(provider.requests, [['Hello {0}', 'Bye {0}'], ['Hello all']]);
+		assert.deepStrictEqual(result.translated, [
+			{ key: 'hello', value: 'Hola {name}' },
+			{ key: 'hello_all', value: 'Hola all' }
+		]);
+		assert.deepStrictEqual(result.skipped, ['bye']);
+	});
+
+	test('stops before the next batch when cancelled', async () => {
+		const provider = new FakeProvider(text => text);
+		const token = { isCancellationRequested: false };
+		const entries = [{ key: 'a', source: 'A' }, { key: 'b', source: 'B' }, { key: 'c', source: 'C' }];
+
+		const translation = service.translateEntries(provider, entries, 'en', 'es', token);
+		token.isCancellationRequested = true;
+		const result = await translation;
+
+		assert.strictEqual(provider.requests.length, 1);
+		assert.deepStrictEqual(result.translated.map(entry => entry.key), ['a', 'b']);
+	});
+
+	test('keeps the batches translated before a failed one', async () => {
+		const provider = new FakeProvider(text => text);
+		provider.translate = async texts => {
+			provider.requests.push(texts);
+			if (provider.requests.length > 1) throw new Error('Service unavailable');
+			return texts;
+		};
+		const entries = [{ key: 'a', source: 'A' }, { key: 'b', source: 'B' }, { key: 'c', source: 'C' }];
+
+		const result = await service.translateEntries(provider, entries, 'en', 'es');
+
+		assert.deepStrictEqual(result.translated.map(entry => entry.key), ['a', 'b']);
+		assert.strictEqual(result.error.message, 'Service unavailable');
+	});
+
+	test('records written values in the workspace state per project', () => {
+		const state = new Map();
+		service.initialize({ get: (key, fallback) => (state.has(key) ? state.get(key) : fallback), update: async (key, value) => state.set(key, value) });
+
+		service.recordMachineTranslations('/projects/app', 'es', [{ key: 'hello', value: 'Hola' }]);
+		service.recordMachineTranslations('/projects/app', 'es', [{ key: 'bye', value: 'Adiós' }]);
+		service.recordMachineTranslations('/projects/app', 'de', [{ key: 'hello', value: 'Hallo' }]);
+
+		assert.deepStrictEqual(service.loadRecord('/projects/app'), { es: { hello: 'Hola', bye: 'Adiós' }, de: { hello: 'Hallo' } });
+		assert.deepStrictEqual(service.loadRecord('/projects/other'), {});
+	});
+
+	test('marks only values unchanged since machine translation', () => {
+		const record = { es: { hello: 'Hola' } };
+
+		assert.ok(service.isMachineTranslated(record, 'es', 'hello', 'Hola'));
+		assert.ok(!service.isMachineTranslated(record, 'es', 'hello', 'Hola!'));
+		assert.ok(!service.isMachineTranslated(record, 'de', 'hello', 'Hola'));
+	});
+});
@@ -0,0 +1,56 @@
+const assert = require('assert');
+const { ExtractedMessageBuilder } = require('../concepts/extraction/message');
+const { HardcodedTextDetector } = require('../concepts/extraction/detector');
+
+suite('ExtractedMessageBuilder', () => {
+	const builder = new ExtractedMessageBuilder();
+
+	test('turns Svelte expression tags into named parameters', () => {
+		const message = builder.build('Hello {user.name}, you have {$count} new {count === 1 ? "message" : "messages"}', 'svelte');
+
+		assert.strictEqual(message.value, 'Hello {name}, you have {count} new {value}');
+		assert.deepStrictEqual(message.params, [
+			{ name: 'name', expression: 'user.name' },
+			{ name: 'count', expression: '$count' },
+			{ name: 'value', expression: 'count === 1 ? "message" : "messages"' }
+		]);
+		assert.strictEqual(builder.formatArguments(message.params),
+			'{ name: user.name, count: $count, value: count === 1 ? "message" : "messages" }');
+	});
+
+	test('turns template literal expressions into named parameters', () => {
+		const message = builder.build('`Hi ${name}, \\${not} ${other.name} ${name}`', 'typescript');
+
+		assert.strictEqual(message.value, 'Hi {name}, $\\{not\\} {name2} {name}');
+		assert.deepStrictEqual(message.params, [
+			{ name: 'name', expression: 'name' },
+			{ name: 'name2', expression: 'other.name' }
+		]);
+		assert.strictEqual(builder.formatArguments(message.params), '{ name, name2: other.name }');
+	});
+
+	test('unescapes string literals and escapes message braces', () => {
+		assert.deepStrictEqual(builder.build("'Don\\'t use {braces}'", 'javascript'), {
+			value: "Don't use \\{braces\\}",
+			params: []
+		});
+		assert.deepStrictEqual(builder.build('Plain {text}', 'typescript'), { value: 'Plain \\{text\\}', params: [] });
+	});
+
+	test('builds one parameterized message from a detected text node', () => {
+		const [found] = new HardcodedTextDetector().findStrings('<p>Hello {user.name}, welcome to "{site}"</p>');
+		const message = builder.buildFromMarkup(found.value);
+
+		assert.strictEqual(message.value, 'Hello {name}, welcome to "{site}"');
+		assert.deepStrictEqual(message.params.map(param => param.expression), ['user.name', 'site']);
+	});
+
+	test('rejects Svelte blocks and unterminated expressions', () => {
+		assert.throws(() => builder.build('{#if open}Open{/if}', 'svelte'), /Svelte blocks/);
+		assert.throws(() => builder.build('Hello {user.name', 'svelte'), /unterminated/);
+	});
+
+	test('formats no arguments for messages without parameters', () => {
+		assert.strictEqual(builder.formatArguments([]), '');
+	});
+});
@@ -0,0 +1,65 @@
+const assert = require('assert');
+const path = require('path');
+const { KeyNamingService } = require('../concepts/extraction/naming');
+const { ExtractionService } = require('../concepts/extraction/service');
+
+suite('KeyNamingService', () => {
+	const naming = new KeyNamingService();
+	const workspacePath = path.join(path.sep, 'projects', 'app');
+
+	test('turns text into a snake_case slug of its first words', () => {
+		assert.strictEqual(naming.toSlug('Welcome back, Ada!'), 'welcome_back_ada');
+		assert.strictEqual(naming.toSlug('Crème brûlée'), 'creme_brulee');
+		assert.strictEqual(naming.toSlug('UserCard'), 'user_card');
+		assert.strictEqual(naming.toSlug('One two three four five six seven'), 'one_two_three_four_five');
+		assert.strictEqual(naming.toSlug('404 not found'), 'text_404_not_found');
+		assert.strictEqual(naming.toSlug('!!!'), '');
+	});
+
+	test('derives a namespace from the file path', () => {
+		const namespace = relativePath => naming.getPathNamespace(path.join(workspacePath, relativePath), workspacePath);
+
+		assert.strictEqual(namespace('src/routes/login/+page.svelte'), 'login');
+		assert.strictEqual(namespace('src/routes/(app)/users/[id]/+page@.svelte'), 'users');
+		assert.strictEqual(namespace('src/routes/+layout.svelte'), '');
+		assert.strictEqual(namespace('src/lib/components/UserCard.svelte'), 'components.user_card');
+		assert.strictEqual(namespace('src/lib/settings/index.ts'), 'settings');
+	});
+
+	test('keeps keys unique against existing keys, parents and children', () => {
+		const takenKeys = new Set(['title', 'title_2', 'login.title', 'banner']);
+
+		assert.strictEqual(naming.makeUnique('subtitle', takenKeys), 'subtitle');
+		assert.strictEqual(naming.makeUnique('title', takenKeys), 'title_3');
+		// "login" is a parent, so it cannot become a message
+		assert.strictEqual(naming.makeUnique('login', takenKeys), 'login_2');
+		// "banner" is a message, so it cannot become a parent
+		assert.strictEqual(naming.makeUnique('banner.title', takenKeys), 'banner_title');
+	});
+
+	test('fills key templates, leaving out empty segments', () => {
+		assert.strictEqual(naming.applyTemplate('{namespace}.{slug}', { namespace: 'login', slug: 'sign_in' }), 'login.sign_in');
+		assert.strictEqual(naming.applyTemplate('{namespace}.{slug}', { namespace: '', slug: 'sign_in' }), 'sign_in');
+	});
+
+	test('validates keys usable in m.key() and m["nested.key"]() calls', () => {
+		assert.ok(naming.isValidKey('login.sign_in'));
+		assert.ok(!naming.isValidKey('login..sign_in'));
+		assert.ok(!naming.isValidKey('sign in'));
+		assert.ok(!naming.isValidKey('say "hi"'));
+	});
+
+	test('calls prompted keys that are not identifiers with bracket syntax', () => {
+		const extraction = new ExtractionService();
+		const takenKeys = new Set(['login.title']);
+
+		assert.strictEqual(naming.validatePromptedKey(' sign-in ', takenKeys), null);
+		assert.strictEqual(naming.validatePromptedKey('1abc', takenKeys), null);
+		assert.ok(naming.validatePromptedKey('login', takenKeys));
+		assert.ok(naming.validatePromptedKey('sign in', takenKeys));
+
+		assert.strictEqual(extraction.formatKeyCall('sign-in', 'code'), 'm["sign-in"]()');
+		assert.strictEqual(extraction.formatKeyCall('1abc', 'template'), '{m["1abc"]()}');
+		assert.strictEqual(extraction.formatKeyCall('sign_in', 'code'), 'm.sign_in()');
+	});
+});
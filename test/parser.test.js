@@ -0,0 +1,96 @@
+const assert = require('assert');
+const { TranslationCallParser } = require('../concepts/translation/parser');
+
+suite('TranslationCallParser', () => {
+	const parser = new TranslationCallParser();
+
+	test('finds flat and nested calls with key positions', () => {
+		const text = 'const a = m.hello();\nconst b = m["nav.home"]({ count: 2 });';
+		const calls = parser.findCalls(text, 'javascript');
+
+		assert.strictEqual(calls.length, 2);
+		assert.strictEqual(calls[0].methodName, 'hello');
+		assert.strictEqual(calls[0].keyType, 'flat');
+		assert.strictEqual(text.slice(calls[0].keyStart, calls[0].keyEnd), 'hello');
+		assert.strictEqual(text.slice(calls[0].start, calls[0].end), 'm.hello()');
+
+		assert.strictEqual(calls[1].methodName, 'nav.home');
+		assert.strictEqual(calls[1].keyType, 'nested');
+		assert.strictEqual(text.slice(calls[1].keyStart, calls[1].keyEnd), 'nav.home');
+		assert.strictEqual(text.slice(calls[1].start, calls[1].calleeEnd), 'm["nav.home"]');
+		assert.strictEqual(calls[1].params, '{ count: 2 }');
+	});
+
+	test('ignores calls on other objects, dynamic keys, strings and comments', () => {
+		const text = [
+			'other.hello();',
+			'm[key]();',
+			'const s = "m.hello()";',
+			'// m.hello()',
+			'/* m["nav.home"]() */'
+		].join('\n');
+
+		assert.deepStrictEqual(parser.findCalls(text, 'javascript'), []);
+	});
+
+	test('describes literal and expression properties of the parameter object', () => {
+		const text = 'm.greeting({ name: "Ada", count: -1, user: user.name, ...rest })';
+		const [call] = parser.findCalls(text, 'javascript');
+		const [argument] = call.args;
+
+		assert.strictEqual(argument.type, 'object');
+		assert.deepStrictEqual(argument.properties.map(prop => [prop.name, prop.isLiteral, prop.value]), [
+			['name', true, 'Ada'],
+			['count', true, -1],
+			['user', false, undefined],
+			[null, false, undefined]
+		]);
+		assert.strictEqual(argument.properties[2].valueText, 'user.name');
+		assert.strictEqual(argument.properties[3].spread, true);
+	});
+
+	test('parses TypeScript syntax around calls', () => {
+		const text = 'const label: string = m.title({ id: 1 as number }) satisfies string;';
+		const [call] = parser.findCalls(text, 'typescript');
+
+		assert.strictEqual(call.methodName, 'title');
+		assert.strictEqual(call.args[0].properties[0].value, 1);
+	});
+
+	test('finds calls in Svelte scripts, markup expressions and attributes', () => {
+		const text = [
+			'<script lang="ts">',
+			'\tconst title: string = m.title();',
+			'</script>',
+			'',
+			'{#if m["nav.visible"]()}',
+			'\t<a title={m.link_title()}>{m.link({ count })}</a>',
+			'{/if}',
+			'<p>m.notACall()</p>'
+		].join('\n');
+		const calls = parser.findCalls(text, 'svelte');
+
+		assert.deepStrictEqual(calls.map(call => call.methodName), ['title', 'nav.visible', 'link_title', 'link']);
+		for (const call of calls) {
+			assert.strictEqual(text.slice(call.keyStart, call.keyEnd), call.methodName);
+		}
+	});
+
+	test('detects Svelte components when no language is given', () => {
+		const calls = parser.findCalls('<script>\n\tm.a();\n</script>\n{m.b()}');
+
+		assert.deepStrictEqual(calls.map(call => call.methodName), ['a', 'b']);
+	});
+
+	test('falls back to pattern matching for code that cannot be parsed', () => {
+		const text = 'if (m.hello() && m["a.b"](';
+		const calls = parser.findCalls(text, 'javascript');
+
+		assert.deepStrictEqual(calls.map(call => [call.methodName, call.keyType]), [['hello', 'flat']]);
+		assert.strictEqual(text.slice(calls[0].keyStart, calls[0].keyEnd), 'hello');
+		assert.deepStrictEqual(parser.findCallsWithPatterns('m.hello(); m["a.b"]()', 10).map(call => [call.methodName, call.keyStart]), [
+			['hello', 12],
+			['a.b', 24]
+		]);
+	});
+});
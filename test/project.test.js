@@ -0,0 +1,54 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ProjectService } = require('../concepts/project/service');
+
+suite('ProjectService', () => {
+	const service = new ProjectService();
+	let root;
+
+	/**
+	 * Create an inlang project settings file below the workspace root
+	 * @param {string} relativePath The project directory relative to the root
+	 */
+	function createProject(relativePath) {
+		const settingsDirectory = path.join(root, relativePath, 'project.inlang');
+		fs.mkdirSync(settingsDirectory, { recursive: true });
+		fs.writeFileSync(path.join(settingsDirectory, 'settings.json'), '{}');
+	}
+
+	setup(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'projects-'));
+		service.clearCache();
+	});
+
+	teardown(() => {
+		service.clearCache();
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test('resolves files to their nearest enclosing project', () => {
+		createProject('');
+		createProject(path.join('apps', 'admin'));
+
+		const admin = path.join(root, 'apps', 'admin');
+		assert.strictEqual(service.findNearestProject(path.join(admin, 'src', 'routes', '+page.svelte'), root), admin);
+		assert.strictEqual(service.findNearestProject(path.join(root, 'apps', 'shop', 'src', 'App.svelte'), root), root);
+	});
+
+	test('falls back to the workspace folder root without a project', () => {
+		assert.strictEqual(service.findNearestProject(path.join(root, 'src', 'lib', 'index.ts'), root), root);
+	});
+
+	test('remembers resolved directories until the cache is cleared', () => {
+		const filePath = path.join(root, 'packages', 'ui', 'Button.svelte');
+		assert.strictEqual(service.findNearestProject(filePath, root), root);
+
+		createProject(path.join('packages', 'ui'));
+		assert.strictEqual(service.findNearestProject(filePath, root), root);
+
+		service.clearCache();
+		assert.strictEqual(service.findNearestProject(filePath, root), path.join(root, 'packages', 'ui'));
+	});
+});
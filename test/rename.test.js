@@ -0,0 +1,57 @@
+const assert = require('assert');
+const { TranslationRenameProvider } = require('../concepts/editor/rename');
+
+suite('TranslationRenameProvider', () => {
+	/**
+	 * Collect the call site edits for a rename in a single source file of the project
+	 * @param {string} text The source file content
+	 * @param {string} oldKey The current key
+	 * @param {string} newKey The new key
+	 * @returns {Promise<Array<{line: number, character: number, newText: string}>>} The replacements
+	 */
+	async function renameCallSites(text, oldKey, newKey) {
+		const provider = new TranslationRenameProvider();
+		const uri = { fsPath: '/projects/app/src/page.ts', toString: () => 'file:///projects/app/src/page.ts' };
+		provider.projectService = { getProjectPath: () => '/projects/app' };
+		provider.workspaceScanner.findSourceFiles = async () => [uri];
+		provider.workspaceScanner.readSourceFile = async () => text;
+
+		const replacements = [];
+		const edit = { replace: (_uri, range, newText) => replacements.push({ line: range.start.line, character: range.start.character, newText }) };
+		await provider.addCallSiteEdits(edit, '/projects/app', oldKey, newKey);
+		return replacements;
+	}
+
+	test('switches between dot and bracket syntax', async () => {
+		const text = 'm.hello();\nm["nav.home"]({ count });\nm.other();';
+
+		assert.deepStrictEqual(await renameCallSites(text, 'hello', 'greeting.hello'), [
+			{ line: 0, character: 0, newText: 'm["greeting.hello"]' }
+		]);
+		assert.deepStrictEqual(await renameCallSites(text, 'nav.home', 'home'), [
+			{ line: 1, character: 0, newText: 'm.home' }
+		]);
+	});
+
+	test('uses bracket syntax for keys that are not identifiers', async () => {
+		const text = 'const a = m.hello();';
+
+		assert.deepStrictEqual(await renameCallSites(text, 'hello', 'sign-in'), [
+			{ line: 0, character: 10, newText: 'm["sign-in"]' }
+		]);
+		assert.deepStrictEqual(await renameCallSites(text, 'hello', '1abc'), [
+			{ line: 0, character: 10, newText: 'm["1abc"]' }
+		]);
+	});
+
+	test('leaves call sites of other projects alone', async () => {
+		const provider = new TranslationRenameProvider();
+		provider.projectService = { getProjectPath: () => '/projects/other' };
+		provider.workspaceScanner.findSourceFiles = async () => [{ fsPath: '/projects/other/src/page.ts' }];
+		provider.workspaceScanner.readSourceFile = async () => 'm.hello();';
+
+		const replacements = [];
+		await provider.addCallSiteEdits({ replace: () => replacements.push(true) }, '/projects/app', 'hello', 'greeting');
+		assert.deepStrictEqual(replacements, []);
+	});
+});
@@ -0,0 +1,70 @@
+const assert = require('assert');
+const { InlangSettingsNormalizer } = require('../concepts/locale/settings');
+
+suite('InlangSettingsNormalizer', () => {
+	const normalizer = new InlangSettingsNormalizer();
+
+	test('keeps current settings as they are', () => {
+		const settings = normalizer.normalize({
+			baseLocale: 'en',
+			locales: ['en', 'de'],
+			'plugin.inlang.messageFormat': { pathPattern: './messages/{locale}.json' }
+		});
+
+		assert.strictEqual(settings.baseLocale, 'en');
+		assert.deepStrictEqual(settings.locales, ['en', 'de']);
+		assert.deepStrictEqual(settings.pathPatterns, ['./messages/{locale}.json']);
+	});
+
+	test('maps legacy sourceLanguageTag, languageTags and {languageTag}', () => {
+		const settings = normalizer.normalize({
+			sourceLanguageTag: 'de',
+			languageTags: ['en', 'de'],
+			'plugin.inlang.messageFormat': { pathPattern: './messages/{languageTag}.json' }
+		});
+
+		assert.strictEqual(settings.baseLocale, 'de');
+		assert.deepStrictEqual(settings.locales, ['en', 'de']);
+		assert.deepStrictEqual(settings.pathPatterns, ['./messages/{locale}.json']);
+		assert.strictEqual(settings.sourceLanguageTag, 'de');
+	});
+
+	test('prefers current keys over legacy ones', () => {
+		const settings = normalizer.normalize({
+			baseLocale: 'fr',
+			sourceLanguageTag: 'en',
+			locales: ['fr'],
+			languageTags: ['en']
+		});
+
+		assert.strictEqual(settings.baseLocale, 'fr');
+		assert.deepStrictEqual(settings.locales, ['fr']);
+	});
+
+	test('falls back to the first locale when no base locale is configured', () => {
+		const settings = normalizer.normalize({ locales: ['', 'pt-BR', 42, 'en'] });
+
+		assert.deepStrictEqual(settings.locales, ['pt-BR', 'en']);
+		assert.strictEqual(settings.baseLocale, 'pt-BR');
+		assert.deepStrictEqual(settings.pathPatterns, []);
+	});
+
+	test('reads array, legacy plugin and i18next namespace path patterns', () => {
+		assert.deepStrictEqual(normalizer.normalize({
+			'plugin.inlang.messageFormat': { pathPattern: ['./a/{locale}.json', '', './b/{languageTag}.json'] }
+		}).pathPatterns, ['./a/{locale}.json', './b/{locale}.json']);
+
+		assert.deepStrictEqual(normalizer.normalize({
+			'plugin.inlang.json': { pathPattern: './legacy/{languageTag}.json' }
+		}).pathPatterns, ['./legacy/{locale}.json']);
+
+		assert.deepStrictEqual(normalizer.normalize({
+			'plugin.inlang.i18next': { pathPattern: { common: './locales/{languageTag}/common.json', auth: './locales/{languageTag}/auth.json' } }
+		}).pathPatterns, ['./locales/{locale}/common.json', './locales/{locale}/auth.json']);
+	});
+
+	test('returns invalid settings unchanged', () => {
+		assert.strictEqual(normalizer.normalize(null), null);
+		assert.strictEqual(normalizer.normalize('settings'), 'settings');
+	});
+});
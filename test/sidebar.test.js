@@ -0,0 +1,26 @@
+const assert = require('assert');
+const { SidebarService } = require('../concepts/sidebar/service');
+const { TranslationKeyNode, TranslationItemNode } = require('../concepts/sidebar/provider');
+
+suite('SidebarService', () => {
+	const service = new SidebarService();
+	service.getAvailableLocales = async () => ['en', 'de', 'fr'];
+	service.translationService.loadTranslationsForLocales = async () => new Map([
+		['en', { hello: 'Hello' }],
+		['de', { hello: '' }],
+		['fr', {}]
+	]);
+
+	test('offers the locales where a key is missing or empty for "Add to Locale"', async () => {
+		assert.deepStrictEqual(await service.getUntranslatedLocales('/projects/app', 'hello'), ['de', 'fr']);
+	});
+
+	test('makes plain values editable and keeps variant messages read-only', () => {
+		const plain = new TranslationItemNode('de', 'Hallo', 'hello', '/projects/app');
+		const variant = new TranslationItemNode('en', 'One item*', 'items', '/projects/app', [{ label: 'countPlural=one', value: 'One item' }]);
+
+		assert.strictEqual(plain.contextValue, 'translationItem');
+		assert.strictEqual(variant.contextValue, 'translationVariant');
+		assert.strictEqual(new TranslationKeyNode('hello', 3, 'Hello', '/projects/app').workspacePath, '/projects/app');
+	});
+});
@@ -0,0 +1,97 @@
+const assert = require('assert');
+const { TranslationService } = require('../concepts/translation/service');
+const { TranslationCallParser } = require('../concepts/translation/parser');
+
+suite('TranslationService', () => {
+	const service = new TranslationService();
+	const parser = new TranslationCallParser();
+
+	/**
+	 * Parse the single translation call of a line of code
+	 * @param {string} text The code
+	 * @returns {Object} The translation call
+	 */
+	function parseCall(text) {
+		return parser.findCalls(text, 'javascript')[0];
+	}
+
+	/**
+	 * Validate a call against the parameters of its message, as [type, flagged source text] pairs
+	 * @param {string} text The code
+	 * @param {Array<string>} parameters The message parameters
+	 * @returns {Array<[string, string]>} The issues
+	 */
+	function validate(text, parameters) {
+		return service.validateCallArguments(parseCall(text), parameters).map(issue => [issue.type, text.slice(issue.start, issue.end)]);
+	}
+
+	test('reads message parameters from patterns and variant inputs', () => {
+		assert.deepStrictEqual(service.getMessageParameters('Hi {name}, \\{not} {count} {name}'), ['name', 'count']);
+		assert.deepStrictEqual(service.getMessageParameters([{
+			declarations: ['input count', 'local countPlural = count: plural'],
+			selectors: ['countPlural'],
+			match: { 'countPlural=one': '{countPlural} item for {user}', 'countPlural=other': '{count} items' }
+		}]), ['count', 'user']);
+	});
+
+	test('accepts calls passing exactly the message parameters', () => {
+		assert.deepStrictEqual(validate('m.greeting({ name: "Ada" })', ['name']), []);
+		assert.deepStrictEqual(validate('m.greeting({ name }, { locale: "de" })', ['name']), []);
+		assert.deepStrictEqual(validate('m.greeting(params)', ['name']), []);
+		assert.deepStrictEqual(validate('m.greeting({ ...params })', ['name']), []);
+		assert.deepStrictEqual(validate('m.hello()', []), []);
+	});
+
+	test('flags missing, unknown and positional arguments', () => {
+		assert.deepStrictEqual(validate('m.greeting()', ['name']), [['missingParameter', 'm.greeting']]);
+		assert.deepStrictEqual(validate('m.greeting({ nme: "Ada" })', ['name']), [
+			['unknownParameter', 'nme: "Ada"'],
+			['missingParameter', '{ nme: "Ada" }']
+		]);
+		assert.deepStrictEqual(validate('m.greeting("Ada")', ['name']), [['positionalArgument', '"Ada"']]);
+		assert.deepStrictEqual(validate('m.greeting({ name }, "de", 2)', ['name']), [
+			['positionalArgument', '"de"'],
+			['positionalArgument', '2']
+		]);
+	});
+
+	test('renders previews with the literal arguments of a call', () => {
+		const call = parseCall('m.greeting({ name: "Ada", count: 3, user: currentUser })');
+
+		assert.deepStrictEqual([...service.getLiteralArguments(call)], [['name', 'Ada'], ['count', 3]]);
+		assert.strictEqual(service.renderTranslation('Hi {name}, {count} new for {user} \\{name}', call), 'Hi Ada, 3 new for {user} \\{name}');
+		assert.strictEqual(service.interpolate('{ name } and {name}', new Map([['name', 'Ada']])), 'Ada and Ada');
+	});
+
+	test('selects the variant branch for literal selector values', () => {
+		const parsed = service.parseVariantMessage([{
+			declarations: ['input count', 'input gender', 'local countPlural = count: plural'],
+			selectors: ['countPlural', 'gender'],
+			match: {
+				'countPlural=one, gender=*': 'One guest',
+				'countPlural=other, gender=female': '{count} guests, she invited',
+				'countPlural=other, gender=*': '{count} guests'
+			}
+		}]);
+		const select = values => {
+			const branch = service.selectVariantBranch(parsed, new Map(Object.entries(values)), 'en');
+			return branch && branch.label;
+		};
+
+		assert.strictEqual(select({ count: 1, gender: 'male' }), 'countPlural=one, gender=*');
+		assert.strictEqual(select({ count: 5, gender: 'female' }), 'countPlural=other, gender=female');
+		assert.strictEqual(select({ count: 5, gender: 'male' }), 'countPlural=other, gender=*');
+		assert.strictEqual(select({ gender: 'male' }), null);
+	});
+
+	test('renders the variant branch selected by a call', () => {
+		const rawValue = [{
+			declarations: ['input count', 'local countPlural = count: plural type=ordinal'],
+			selectors: ['countPlural'],
+			match: { 'countPlural=one': '{count}st', 'countPlural=two': '{count}nd', 'countPlural=other': '{count}th' }
+		}];
+
+		assert.strictEqual(service.renderTranslation('{count}st*', parseCall('m.place({ count: 22 })'), rawValue, 'en'), '22nd');
+		assert.strictEqual(service.renderTranslation('{count}st*', parseCall('m.place({ count })'), rawValue, 'en'), '{count}st*');
+	});
+});
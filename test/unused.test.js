@@ -0,0 +1,25 @@
+const assert = require('assert');
+const { UnusedKeysService } = require('../concepts/unused/service');
+
+suite('UnusedKeysService', () => {
+	const service = new UnusedKeysService();
+	service.localeService = { getBaseLocale: () => 'en' };
+	service.translationService.loadTranslationsForLocale = async () => ({
+		hello: 'Hello',
+		nav: { home: 'Home', about: 'About' },
+		items: [{ selectors: ['countPlural'], match: { 'countPlural=other': '{count} items' } }]
+	});
+
+	test('lists base locale keys that are never called, nested keys by their full name', async () => {
+		const unused = await service.findUnusedProjectKeys('/projects/app', new Set(['hello', 'nav.home']));
+
+		assert.deepStrictEqual(unused.map(entry => entry.key), ['nav.about', 'items']);
+		assert.deepStrictEqual(unused[0], { key: 'nav.about', value: 'About', workspacePath: '/projects/app' });
+	});
+
+	test('lists nothing when every key is called', async () => {
+		const unused = await service.findUnusedProjectKeys('/projects/app', new Set(['hello', 'nav.home', 'nav.about', 'items']));
+
+		assert.deepStrictEqual(unused, []);
+	});
+});